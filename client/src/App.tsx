@@ -1,15 +1,33 @@
-import { useState, useEffect, useCallback } from "react";
+import { useState, useEffect, useCallback, useRef } from "react";
 import { useWebSocket } from "./hooks/useWebSocket";
 import { useGameState } from "./hooks/useGameState";
 import { GameScreen } from "./components/GameScreen";
 import { ErrorModal } from "./components/ErrorModal";
 import { BackgroundAnimation } from "./components/BackgroundAnimation";
 import { GameLobbyIntegrated } from "./components/GameLobbyIntegrated";
-import type { JoinRoomPayload, AvailableRoom, AvailableRoomsMessage, PlayerSymbol } from "./types";
+import type {
+    JoinRoomPayload,
+    RejoinRoomPayload,
+    AvailableRoom,
+    AvailableRoomsMessage,
+    LiveRoom,
+    LeaderboardMessage,
+    LeaderboardQuery,
+    PlayerSymbol,
+    CreateTournamentPayload,
+    Tournament,
+    TournamentSummary,
+    WebSocketMessages,
+} from "./types";
 import "./App.css";
 import { useWebSocketNitrolite } from "./hooks/useWebSocketNitrolite";
 import { useNitroliteIntegration } from "./hooks/useNitroliteIntegration";
 import { useNitrolite } from "./context/NitroliteClientWrapper";
+import { useWebSocketContext } from "./context/WebSocketContext";
+import { createEthersSigner, signGameMove } from "./context/createSigner";
+
+// Session storage key remembering the room this tab is seated in
+const ACTIVE_ROOM_KEY = "nitro_aura_active_room";
 
 function App() {
     // Player's Ethereum address - now managed by useMetaMask hook in Lobby
@@ -20,16 +38,36 @@ function App() {
 
     // WebSocket connection
     const { 
+        isConnected,
         error: wsError, 
         lastMessage, 
         joinRoom, 
+        rejoinRoom,
+        joinQueue,
+        leaveQueue,
         makeMove, 
+        resign,
+        offerDraw,
+        respondDraw,
+        requestRematch,
+        acceptRematch,
+        spectateRoom,
         startGame, 
         getAvailableRooms,
+        getLeaderboard,
+        createTournament,
+        registerTournament,
+        unregisterTournament,
+        startTournament,
+        sendTournamentSignature,
+        getTournaments,
+        getTournament,
         sendAppSessionSignature,
-        sendAppSessionStartGame
+        sendAppSessionStartGame,
+        cancelAppSession
     } = useWebSocket();
     useWebSocketNitrolite();
+    const { keyPair } = useWebSocketContext();
     const { client, loading: nitroliteLoading, error: nitroliteError } = useNitrolite();
 
     // Initialize the Nitrolite integration
@@ -49,13 +87,25 @@ function App() {
 
     // Available rooms state
     const [availableRooms, setAvailableRooms] = useState<AvailableRoom[]>([]);
+    const [liveRooms, setLiveRooms] = useState<LiveRoom[]>([]);
     const [onlineUsers, setOnlineUsers] = useState<number>(1);
 
+    // Latest leaderboard page
+    const [leaderboard, setLeaderboard] = useState<LeaderboardMessage | null>(null);
+
+    // Matchmaking queue state
+    const [isQueued, setIsQueued] = useState<boolean>(false);
+
+    // Tournament list and the tournament being viewed
+    const [tournaments, setTournaments] = useState<TournamentSummary[]>([]);
+    const [tournament, setTournament] = useState<Tournament | null>(null);
+
     // Game state
     const {
         gameState,
         gameOver,
         roomId,
+        joinCode,
         errorMessage,
         isRoomReady,
         isGameStarted,
@@ -66,6 +116,12 @@ function App() {
         getOpponentAddress,
         resetGame,
         awaitingHostStart,
+        signingDeadline,
+        opponentReconnectDeadline,
+        rematchRequestedBy,
+        isRoomClosed,
+        spectatorCount,
+        isSpectating,
         signAndStartGame,
         isSigningInProgress,
         signatureError
@@ -96,17 +152,125 @@ function App() {
         }
     }, [wsError, errorMessage, nitroliteError, signatureError]);
 
+    // Remember the room we're seated in so a refresh can rejoin it
+    useEffect(() => {
+        if (gameOver) {
+            sessionStorage.removeItem(ACTIVE_ROOM_KEY);
+        } else if (roomId && eoaAddress && !isSpectating) {
+            sessionStorage.setItem(ACTIVE_ROOM_KEY, JSON.stringify({ roomId, eoa: eoaAddress }));
+        }
+    }, [roomId, eoaAddress, gameOver, isSpectating]);
+
+    // After a refresh, reclaim the seat the server is holding for us
+    const hasAttemptedRejoin = useRef(false);
+    useEffect(() => {
+        if (!isConnected || hasAttemptedRejoin.current) return;
+        hasAttemptedRejoin.current = true;
+
+        const savedRoom = sessionStorage.getItem(ACTIVE_ROOM_KEY);
+        if (!savedRoom) return;
+
+        try {
+            const payload = JSON.parse(savedRoom) as RejoinRoomPayload;
+            console.log("Rejoining room after reconnect:", payload);
+            setEoaAddress(payload.eoa);
+            rejoinRoom(payload);
+            setGameView("game");
+        } catch (error) {
+            console.error("Invalid saved room, ignoring:", error);
+            sessionStorage.removeItem(ACTIVE_ROOM_KEY);
+        }
+    }, [isConnected, rejoinRoom]);
+
     // Process available rooms from websocket messages
     useEffect(() => {
         if (lastMessage && lastMessage.type === "room:available") {
             const roomsMessage = lastMessage as AvailableRoomsMessage;
             setAvailableRooms(roomsMessage.rooms);
+            setLiveRooms(roomsMessage.liveRooms ?? []);
         }
 
         if (lastMessage && lastMessage.type === "onlineUsers") {
             setOnlineUsers(lastMessage.count);
         }
-    }, [lastMessage]);
+
+        if (lastMessage && lastMessage.type === "leaderboard") {
+            setLeaderboard(lastMessage);
+        }
+
+        if (lastMessage && lastMessage.type === "queue:joined") {
+            setIsQueued(true);
+        }
+
+        if (lastMessage && (lastMessage.type === "queue:left" || lastMessage.type === "error")) {
+            setIsQueued(false);
+        }
+
+        // Paired with an opponent: the room is ready and signing starts
+        if (lastMessage && lastMessage.type === "queue:matched") {
+            setIsQueued(false);
+            setGameView("game");
+        }
+
+        if (lastMessage && lastMessage.type === "tournaments") {
+            setTournaments(lastMessage.tournaments);
+        }
+
+        // Updates of a tournament we're registered in don't replace another one being viewed
+        if (
+            lastMessage &&
+            (lastMessage.type === "tournament" ||
+                lastMessage.type === "tournament:created" ||
+                lastMessage.type === "tournament:update" ||
+                lastMessage.type === "tournament:finished")
+        ) {
+            const update = lastMessage.tournament;
+            const isRequested = lastMessage.type === "tournament" || lastMessage.type === "tournament:created";
+            setTournament((current) => (isRequested || !current || current.id === update.id ? update : current));
+        }
+
+        if (lastMessage && lastMessage.type === "tournament:cancelled") {
+            getTournaments();
+        }
+    }, [lastMessage, getTournaments]);
+
+    // Tournament messages already acted on, so re-renders don't sign or join twice
+    const handledTournamentMessage = useRef<WebSocketMessages | null>(null);
+
+    // Sign the prize pool app session with the session key as soon as it's requested
+    useEffect(() => {
+        if (!lastMessage || lastMessage.type !== "tournament:signatureRequest") return;
+        if (handledTournamentMessage.current === lastMessage) return;
+
+        if (!keyPair?.privateKey) {
+            console.error("Cannot sign prize pool: no session key available");
+            return;
+        }
+
+        handledTournamentMessage.current = lastMessage;
+        const { tournamentId, requestToSign } = lastMessage;
+        const signPrizePool = async () => {
+            try {
+                // eslint-disable-next-line @typescript-eslint/no-explicit-any
+                const signature: string = await createEthersSigner(keyPair.privateKey).sign(requestToSign as any);
+                sendTournamentSignature(tournamentId, signature);
+            } catch (error) {
+                console.error("Failed to sign tournament prize pool:", error);
+            }
+        };
+        signPrizePool();
+    }, [lastMessage, keyPair, sendTournamentSignature]);
+
+    // Our next tournament match is open: take the seat reserved for us
+    useEffect(() => {
+        if (!lastMessage || lastMessage.type !== "tournament:matchReady" || !eoaAddress) return;
+        if (handledTournamentMessage.current === lastMessage) return;
+
+        handledTournamentMessage.current = lastMessage;
+        resetGame();
+        joinRoom({ eoa: eoaAddress, roomId: lastMessage.roomId });
+        setGameView("game");
+    }, [lastMessage, eoaAddress, resetGame, joinRoom]);
 
     // Handle fetching available rooms
     const handleGetAvailableRooms = useCallback(() => {
@@ -118,37 +282,111 @@ function App() {
         setEoaAddress(payload.eoa);
 
         // If creating a new room, mark as host
-        if (payload.roomId === undefined) {
+        if (payload.roomId === undefined && payload.joinCode === undefined) {
             console.log("Creating new room as host, payload:", payload);
         } else {
-            console.log("Joining existing room:", payload.roomId, "payload:", payload);
+            console.log("Joining existing room:", payload.roomId ?? payload.joinCode, "payload:", payload);
         }
 
         // Join room via WebSocket - pass the payload directly
-        console.log("Sending WebSocket joinRoom with payload:", {
-            roomId: payload.roomId,
-            eoa: payload.eoa,
-        });
+        console.log("Sending WebSocket joinRoom with payload:", payload);
 
-        joinRoom({
-            roomId: payload.roomId,
-            eoa: payload.eoa,
-        });
+        joinRoom(payload);
 
         // Switch to game view
         setGameView("game");
     };
 
+    // Handle watching a game in progress
+    const handleSpectateRoom = (spectatedRoomId: string) => {
+        resetGame();
+        spectateRoom(spectatedRoomId);
+        setGameView("game");
+    };
+
+    // Handle fetching a leaderboard page
+    const handleGetLeaderboard = useCallback(
+        (query: LeaderboardQuery) => {
+            getLeaderboard(query);
+        },
+        [getLeaderboard]
+    );
+
+    // Handle creating a tournament
+    const handleCreateTournament = (eoa: string, payload: CreateTournamentPayload) => {
+        setEoaAddress(eoa);
+        createTournament(eoa, payload);
+    };
+
+    // Handle registering for a tournament
+    const handleRegisterTournament = (eoa: string, tournamentId: string) => {
+        setEoaAddress(eoa);
+        registerTournament(eoa, tournamentId);
+    };
+
+    // Handle joining our open tournament match from the bracket (e.g. after a refresh)
+    const handleJoinTournamentMatch = (eoa: string, matchRoomId: string) => {
+        handleJoinRoom({ eoa, roomId: matchRoomId });
+    };
+
+    // Handle joining the matchmaking queue
+    const handleFindMatch = (eoa: string, stake: string) => {
+        setEoaAddress(eoa);
+        joinQueue(eoa, { stake, asset: "usdc" });
+    };
+
+    // Handle leaving the matchmaking queue
+    const handleCancelMatch = () => {
+        leaveQueue();
+    };
+
     // Handle cell click
     const handleCellClick = (position: number) => {
         if (!roomId || !isPlayerTurn || gameOver) return;
 
+        // Every move is signed with the session key registered during auth
+        if (!keyPair?.privateKey) {
+            console.error("Cannot sign move: no session key available");
+            return;
+        }
+
         makeMove({
             roomId,
             pos: position,
+            signature: signGameMove(keyPair.privateKey, roomId, gameState.nextSeq ?? 0, position),
         });
     };
 
+    // Handle conceding the game
+    const handleResign = () => {
+        if (!roomId || gameOver) return;
+        if (window.confirm("Resign this game? Your opponent wins the stake.")) {
+            resign(roomId);
+        }
+    };
+
+    // Handle offering a draw
+    const handleOfferDraw = () => {
+        if (!roomId || gameOver) return;
+        offerDraw(roomId);
+    };
+
+    // Handle answering the opponent's draw offer
+    const handleRespondDraw = (accept: boolean) => {
+        if (!roomId || gameOver) return;
+        respondDraw(roomId, accept);
+    };
+
+    // Handle rematch: accept the opponent's request, or ask for one
+    const handleRematch = () => {
+        if (!roomId || !gameOver || isRoomClosed) return;
+        if (rematchRequestedBy && rematchRequestedBy.toLowerCase() !== eoaAddress.toLowerCase()) {
+            acceptRematch(roomId);
+        } else {
+            requestRematch(roomId);
+        }
+    };
+
     // Handle starting the game (host only)
     const handleStartGame = () => {
         if (!roomId || !isHost) {
@@ -166,6 +404,12 @@ function App() {
         }
     };
 
+    // Handle either player backing out before the app session is signed
+    const handleCancelSigning = () => {
+        if (!roomId || isGameStarted) return;
+        cancelAppSession(roomId);
+    };
+
     // Handle play again
     const handlePlayAgain = () => {
         // For now, just reload the page
@@ -176,6 +420,7 @@ function App() {
 
     // Handle error close
     const handleErrorClose = () => {
+        sessionStorage.removeItem(ACTIVE_ROOM_KEY);
         setShowError(false);
         resetGame();
         setGameView("lobby");
@@ -211,8 +456,27 @@ function App() {
                 {gameView === "lobby" ? (
                     <GameLobbyIntegrated 
                         onJoinRoom={handleJoinRoom} 
+                        onFindMatch={handleFindMatch}
+                        onCancelMatch={handleCancelMatch}
+                        isQueued={isQueued}
+                        leaderboard={leaderboard}
+                        onGetLeaderboard={handleGetLeaderboard}
+                        tournamentLobby={{
+                            tournaments,
+                            tournament,
+                            onGetTournaments: getTournaments,
+                            onGetTournament: getTournament,
+                            onCloseTournament: () => setTournament(null),
+                            onCreateTournament: handleCreateTournament,
+                            onRegisterTournament: handleRegisterTournament,
+                            onUnregisterTournament: unregisterTournament,
+                            onStartTournament: startTournament,
+                            onJoinMatch: handleJoinTournamentMatch,
+                        }}
                         availableRooms={availableRooms} 
+                        liveRooms={liveRooms}
                         onGetAvailableRooms={handleGetAvailableRooms}
+                        onSpectateRoom={handleSpectateRoom}
                         onlineUsers={onlineUsers}
                     />
                 ) : (
@@ -227,12 +491,24 @@ function App() {
                         playerAddress={eoaAddress}
                         opponentAddress={getOpponentAddress()}
                         roomId={roomId}
+                        joinCode={joinCode}
                         formatShortAddress={formatShortAddress}
                         onCellClick={handleCellClick}
                         onPlayAgain={handlePlayAgain}
                         onStartGame={handleStartGame}
                         awaitingHostStart={awaitingHostStart}
+                        signingDeadline={signingDeadline}
+                        onCancelSigning={isSpectating ? undefined : handleCancelSigning}
+                        opponentReconnectDeadline={opponentReconnectDeadline}
                         isSigningInProgress={isSigningInProgress}
+                        onResign={isSpectating ? undefined : handleResign}
+                        onOfferDraw={isSpectating ? undefined : handleOfferDraw}
+                        onRespondDraw={isSpectating ? undefined : handleRespondDraw}
+                        rematchRequestedBy={rematchRequestedBy}
+                        isRoomClosed={isRoomClosed}
+                        onRematch={isSpectating ? undefined : handleRematch}
+                        spectatorCount={spectatorCount}
+                        isSpectating={isSpectating}
                     />
                 )}
 
@@ -5,7 +5,8 @@ import { useChannel } from "../hooks/useChannel";
 import { useWebSocketContext } from "../context/WebSocketContext";
 import { useNitroliteIntegration } from "../hooks/useNitroliteIntegration";
 import { useMetaMask } from "../hooks/useMetaMask";
-import type { JoinRoomPayload, AvailableRoom } from "../types";
+import type { TournamentsProps } from "./Tournaments";
+import type { JoinRoomPayload, AvailableRoom, LiveRoom, LeaderboardMessage, LeaderboardQuery } from "../types";
 import { Card, CardDescription, CardHeader, CardTitle } from "./ui/card";
 import { Loader2, AlertCircle } from "lucide-react";
 
@@ -14,12 +15,33 @@ import { Loader2, AlertCircle } from "lucide-react";
  */
 interface GameLobbyIntegratedProps {
     onJoinRoom: (payload: JoinRoomPayload) => void;
+    onFindMatch?: (eoa: string, stake: string) => void;
+    onCancelMatch?: () => void;
+    isQueued?: boolean;
+    leaderboard?: LeaderboardMessage | null;
+    onGetLeaderboard?: (query: LeaderboardQuery) => void;
+    tournamentLobby?: Omit<TournamentsProps, "playerAddress">;
     availableRooms: AvailableRoom[];
+    liveRooms?: LiveRoom[];
     onGetAvailableRooms: () => void;
+    onSpectateRoom?: (roomId: string) => void;
     onlineUsers?: number;
 }
 
-export function GameLobbyIntegrated({ onJoinRoom, availableRooms = [], onGetAvailableRooms, onlineUsers = 1 }: GameLobbyIntegratedProps) {
+export function GameLobbyIntegrated({
+    onJoinRoom,
+    onFindMatch,
+    onCancelMatch,
+    isQueued = false,
+    leaderboard = null,
+    onGetLeaderboard,
+    tournamentLobby,
+    availableRooms = [],
+    liveRooms = [],
+    onGetAvailableRooms,
+    onSpectateRoom,
+    onlineUsers = 1,
+}: GameLobbyIntegratedProps) {
     const [isLoading, setIsLoading] = useState(true);
     const { isConnected, status } = useWebSocketContext();
     const { clearStoredChannel } = useChannel();
@@ -65,10 +87,18 @@ export function GameLobbyIntegrated({ onJoinRoom, availableRooms = [], onGetAvai
             <>
                 <Lobby
                     onJoinRoom={onJoinRoom}
+                    onFindMatch={onFindMatch}
+                    onCancelMatch={onCancelMatch}
+                    isQueued={isQueued}
+                    leaderboard={leaderboard}
+                    onGetLeaderboard={onGetLeaderboard}
+                    tournamentLobby={tournamentLobby}
                     isConnected={isConnected}
                     error={null}
                     availableRooms={availableRooms}
+                    liveRooms={liveRooms}
                     onGetAvailableRooms={onGetAvailableRooms}
+                    onSpectateRoom={onSpectateRoom}
                     onlineUsers={onlineUsers}
                 />
             </>
@@ -125,10 +155,18 @@ export function GameLobbyIntegrated({ onJoinRoom, availableRooms = [], onGetAvai
         <>
             <Lobby
                 onJoinRoom={onJoinRoom}
+                onFindMatch={onFindMatch}
+                onCancelMatch={onCancelMatch}
+                isQueued={isQueued}
+                leaderboard={leaderboard}
+                onGetLeaderboard={onGetLeaderboard}
+                tournamentLobby={tournamentLobby}
                 isConnected={isConnected}
                 error={null}
                 availableRooms={availableRooms}
+                liveRooms={liveRooms}
                 onGetAvailableRooms={onGetAvailableRooms}
+                onSpectateRoom={onSpectateRoom}
                 onlineUsers={onlineUsers}
             />
         </>
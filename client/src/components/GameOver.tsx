@@ -1,4 +1,4 @@
-import { useEffect } from 'react';
+import { useEffect, useState } from 'react';
 import type { GameOver as GameOverType, PlayerSymbol } from '../types';
 import { Button } from './ui/button';
 import { cn } from '../lib/utils';
@@ -16,11 +16,43 @@ interface GameOverProps {
   gameOver: GameOverType;
   playerSymbol: PlayerSymbol | null;
   onPlayAgain: () => void;
+  playerAddress?: string;
+  rematchRequestedBy?: string | null;
+  isRoomClosed?: boolean;
+  onRematch?: () => void;
+  isSpectating?: boolean;
 }
 
-export function GameOver({ gameOver, playerSymbol, onPlayAgain }: GameOverProps) {
-  const { winner } = gameOver;
+// Games won by an address in the series (keys may differ in checksum casing)
+function getSeriesWins(wins: Record<string, number>, address: string): number {
+  const key = Object.keys(wins).find(eoa => eoa.toLowerCase() === address.toLowerCase());
+  return key ? wins[key] : 0;
+}
+
+export function GameOver({
+  gameOver,
+  playerSymbol,
+  onPlayAgain,
+  playerAddress = '',
+  rematchRequestedBy = null,
+  isRoomClosed = false,
+  onRematch,
+  isSpectating = false,
+}: GameOverProps) {
+  const { winner, reason, series, nextGameAt } = gameOver;
   const { playSound } = useSoundEffects();
+  const isSeriesRunning = gameOver.isSeriesOver === false;
+  const [secondsToNextGame, setSecondsToNextGame] = useState<number | null>(null);
+
+  // Count down to the next game of an undecided series
+  useEffect(() => {
+    if (!isSeriesRunning || !nextGameAt) return;
+
+    const update = () => setSecondsToNextGame(Math.max(0, Math.ceil((nextGameAt - Date.now()) / 1000)));
+    update();
+    const interval = setInterval(update, 250);
+    return () => clearInterval(interval);
+  }, [isSeriesRunning, nextGameAt]);
   
   // Play appropriate sound effect when component mounts
   useEffect(() => {
@@ -39,9 +71,71 @@ export function GameOver({ gameOver, playerSymbol, onPlayAgain }: GameOverProps)
       return "It's a Draw!";
     }
     
+    if (isSpectating) {
+      return `${winner} Won!`;
+    }
+
     return winner === playerSymbol ? "You Won!" : "You Lost!";
   };
   
+  // Explain how the game ended
+  const getDescription = () => {
+    if (reason === 'timeout' && winner) {
+      return `${winner === 'X' ? 'O' : 'X'} ran out of time. ${winner} wins!`;
+    }
+
+    if (reason === 'resignation' && winner) {
+      return `${winner === 'X' ? 'O' : 'X'} resigned. ${winner} wins!`;
+    }
+
+    if (reason === 'agreement') {
+      return "Both players agreed to a draw.";
+    }
+
+    return winner ? `${winner} has won the game!` : "No more moves available.";
+  };
+  
+  // Score of the series so far, from this player's point of view
+  const getSeriesScore = () => {
+    if (!series || !playerAddress) return null;
+
+    const myWins = getSeriesWins(series.wins, playerAddress);
+    const opponentWins = series.gamesPlayed - series.draws - myWins;
+    const draws = series.draws === 1 ? '1 draw' : `${series.draws} draws`;
+    const label = series.bestOf && series.bestOf > 1 ? `Best of ${series.bestOf}` : 'Series';
+    return `${label}: You ${myWins} - ${opponentWins} Opponent (${draws})`;
+  };
+
+  // Outcome of a finished best-of series
+  const getSeriesOutcome = () => {
+    if (!series?.bestOf || series.bestOf === 1 || isSeriesRunning || gameOver.isSeriesOver === undefined) {
+      return null;
+    }
+
+    if (!gameOver.seriesWinner) {
+      return 'The series is drawn. Both stakes are returned.';
+    }
+
+    if (isSpectating) {
+      return `${gameOver.seriesWinner.slice(0, 6)}...${gameOver.seriesWinner.slice(-4)} won the series.`;
+    }
+
+    return gameOver.seriesWinner.toLowerCase() === playerAddress.toLowerCase()
+      ? 'You won the series and take the pot!'
+      : 'Your opponent won the series.';
+  };
+
+  const isRematchRequestedByMe = !!rematchRequestedBy && rematchRequestedBy.toLowerCase() === playerAddress.toLowerCase();
+  const isRematchRequestedByOpponent = !!rematchRequestedBy && !isRematchRequestedByMe;
+  const seriesScore = getSeriesScore();
+  const seriesOutcome = getSeriesOutcome();
+
+  // This player's Elo change from the game
+  const ratingChangeKey = gameOver.ratingChanges && Object.keys(gameOver.ratingChanges)
+    .find(eoa => eoa.toLowerCase() === playerAddress.toLowerCase());
+  const ratingChange = ratingChangeKey ? gameOver.ratingChanges?.[ratingChangeKey] : undefined;
+  const ratingDelta = ratingChange ? ratingChange.after - ratingChange.before : 0;
+
   // Get appropriate icon for result
   const ResultIcon = !winner ? CircleSlash : (winner === playerSymbol ? Trophy : Medal);
   
@@ -93,21 +187,57 @@ export function GameOver({ gameOver, playerSymbol, onPlayAgain }: GameOverProps)
           
           <div className="text-center">
             <p className="text-gray-300 mb-4">
-              {winner ? `${winner} has won the game!` : "No more moves available."}
+              {getDescription()}
             </p>
+            {ratingChange && (
+              <p className="text-gray-400 text-sm mb-2">
+                Rating: {ratingChange.after} ({ratingDelta >= 0 ? '+' : ''}{ratingDelta})
+              </p>
+            )}
+            {seriesScore && (
+              <p className="text-gray-400 text-sm mb-2">{seriesScore}</p>
+            )}
+            {seriesOutcome && (
+              <p className="text-amber-300 text-sm mb-2">{seriesOutcome}</p>
+            )}
+            {isSeriesRunning && (
+              <p className="text-cyan-300 text-sm">
+                Next game starts {secondsToNextGame ? `in ${secondsToNextGame}s` : 'now'}, sides swapped.
+              </p>
+            )}
+            {isRematchRequestedByOpponent && !isRoomClosed && (
+              <p className="text-cyan-300 text-sm">Your opponent wants a rematch!</p>
+            )}
+            {isRoomClosed && (
+              <p className="text-gray-500 text-sm">The room has closed.</p>
+            )}
           </div>
           
-          <DialogFooter className="flex justify-center pb-2 mt-4">
-            <Button
-              onClick={onPlayAgain}
-              type="button"
-              variant={winner === 'X' ? 'cyan' : winner === 'O' ? 'magenta' : 'default'}
-              size="lg"
-              className="px-8"
-            >
-              Play Again
-            </Button>
-          </DialogFooter>
+          {!isSeriesRunning && (
+            <DialogFooter className="flex justify-center gap-2 pb-2 mt-4">
+              {onRematch && !isRoomClosed && (
+                <Button
+                  onClick={onRematch}
+                  type="button"
+                  variant="outline"
+                  size="lg"
+                  className="px-8"
+                  disabled={isRematchRequestedByMe}
+                >
+                  {isRematchRequestedByOpponent ? 'Accept Rematch' : isRematchRequestedByMe ? 'Rematch requested...' : 'Rematch'}
+                </Button>
+              )}
+              <Button
+                onClick={onPlayAgain}
+                type="button"
+                variant={winner === 'X' ? 'cyan' : winner === 'O' ? 'magenta' : 'default'}
+                size="lg"
+                className="px-8"
+              >
+                {isSpectating ? 'Back to Lobby' : 'Play Again'}
+              </Button>
+            </DialogFooter>
+          )}
         </div>
       </DialogContent>
     </Dialog>
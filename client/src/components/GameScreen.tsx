@@ -18,12 +18,24 @@ interface GameScreenProps {
     playerAddress: string;
     opponentAddress: string;
     roomId: string;
+    joinCode?: string | null;
     formatShortAddress: (address: string) => string;
     onCellClick: (position: number) => void;
     onPlayAgain: () => void;
     onStartGame: () => void;
     awaitingHostStart?: boolean;
+    signingDeadline?: number | null;
+    onCancelSigning?: () => void;
     isSigningInProgress?: boolean;
+    opponentReconnectDeadline?: number | null;
+    onResign?: () => void;
+    onOfferDraw?: () => void;
+    onRespondDraw?: (accept: boolean) => void;
+    rematchRequestedBy?: string | null;
+    isRoomClosed?: boolean;
+    onRematch?: () => void;
+    spectatorCount?: number;
+    isSpectating?: boolean;
 }
 
 export function GameScreen({
@@ -37,15 +49,31 @@ export function GameScreen({
     playerAddress,
     opponentAddress,
     roomId,
+    joinCode = null,
     formatShortAddress,
     onCellClick,
     onPlayAgain,
     onStartGame,
     awaitingHostStart = false,
+    signingDeadline = null,
+    onCancelSigning,
     isSigningInProgress = false,
+    opponentReconnectDeadline = null,
+    onResign,
+    onOfferDraw,
+    onRespondDraw,
+    rematchRequestedBy = null,
+    isRoomClosed = false,
+    onRematch,
+    spectatorCount = 0,
+    isSpectating = false,
 }: GameScreenProps) {
     const [hasChannelId, setHasChannelId] = useState<boolean>(false);
 
+    // Open draw offer, from either side
+    const drawOffer = gameState.drawOffer ?? null;
+    const isDrawOfferedToMe = !!drawOffer && drawOffer.toLowerCase() !== playerAddress.toLowerCase();
+
     useEffect(() => {
         const channelId = localStorage.getItem("nitrolite_channel_id");
         setHasChannelId(!!channelId);
@@ -69,7 +97,12 @@ export function GameScreen({
                 <div className="absolute inset-0 bg-gradient-to-br from-cyan-900/5 via-transparent to-fuchsia-900/5 rounded-lg z-0"></div>
 
                 <CardHeader className="pb-2 relative z-10">
-                    <RoomInfo roomId={roomId} />
+                    <RoomInfo roomId={roomId} joinCode={joinCode} />
+                    {spectatorCount > 0 && (
+                        <p className="text-xs text-gray-500 text-center">
+                            {spectatorCount} {spectatorCount === 1 ? "spectator" : "spectators"} watching
+                        </p>
+                    )}
                 </CardHeader>
 
                 <CardContent className="py-4 relative z-10">
@@ -150,11 +183,42 @@ export function GameScreen({
                                     </CardContent>
                                 </Card>
                             )}
+
+                            {/* App session signature round - either player can back out before it completes */}
+                            {isRoomReady && signingDeadline && (
+                                <div className="mt-3 flex items-center justify-between gap-2 text-xs text-gray-400">
+                                    <span>Both players must sign by {new Date(signingDeadline).toLocaleTimeString()}</span>
+                                    {onCancelSigning && (
+                                        <Button variant="ghost" size="sm" onClick={onCancelSigning} disabled={isSigningInProgress}>
+                                            Cancel game
+                                        </Button>
+                                    )}
+                                </div>
+                            )}
+                        </div>
+                    )}
+
+                    {/* Opponent dropped - the server holds their seat until the deadline */}
+                    {opponentReconnectDeadline && !gameOver && (
+                        <div className="mb-4 text-sm text-amber-300 p-3 bg-amber-900/20 border border-amber-900/30 rounded-md text-center animate-pulse">
+                            Opponent disconnected. Holding their seat until{" "}
+                            {new Date(opponentReconnectDeadline).toLocaleTimeString()}...
+                        </div>
+                    )}
+
+                    {/* Spectators see who plays whom instead of their own status */}
+                    {isGameStarted && isSpectating && (
+                        <div className="mt-2 mb-6 text-center text-sm text-gray-300">
+                            <p className="text-xs text-gray-500 uppercase tracking-wide mb-1">Spectating</p>
+                            <span className="text-cyan-400">X {formatShortAddress(gameState.players.X)}</span>
+                            <span className="mx-2 text-gray-500">vs</span>
+                            <span className="text-fuchsia-400">O {formatShortAddress(gameState.players.O)}</span>
+                            {!gameOver && <p className="text-xs text-gray-400 mt-1">{gameState.nextTurn} to move</p>}
                         </div>
                     )}
 
                     {/* Game Status - only show when game is started */}
-                    {isGameStarted && (
+                    {isGameStarted && !isSpectating && (
                         <div className="mt-2 mb-6">
                             <GameStatus
                                 isPlayerTurn={isPlayerTurn}
@@ -164,6 +228,7 @@ export function GameScreen({
                                 playerAddress={playerAddress}
                                 opponentAddress={opponentAddress}
                                 formatShortAddress={formatShortAddress}
+                                clock={gameState.clock}
                             />
                         </div>
                     )}
@@ -180,11 +245,53 @@ export function GameScreen({
                             />
                         </div>
                     )}
+
+                    {/* Opponent offered a draw */}
+                    {isGameStarted && !gameOver && isDrawOfferedToMe && onRespondDraw && (
+                        <div className="mb-4 text-sm text-gray-200 p-3 bg-gray-800/50 border border-gray-700/50 rounded-md text-center">
+                            <p className="mb-2">Your opponent offers a draw.</p>
+                            <div className="flex justify-center gap-2">
+                                <Button onClick={() => onRespondDraw(true)} variant="glowCyan" size="sm">
+                                    Accept
+                                </Button>
+                                <Button onClick={() => onRespondDraw(false)} variant="glass" size="sm">
+                                    Decline
+                                </Button>
+                            </div>
+                        </div>
+                    )}
+
+                    {/* Resign and draw offer */}
+                    {isGameStarted && !gameOver && (onResign || onOfferDraw) && (
+                        <div className="flex justify-center gap-2 mt-2">
+                            {onOfferDraw && (
+                                <Button onClick={onOfferDraw} variant="glass" size="sm" disabled={!!drawOffer}>
+                                    {drawOffer && !isDrawOfferedToMe ? "Draw Offered" : "Offer Draw"}
+                                </Button>
+                            )}
+                            {onResign && (
+                                <Button onClick={onResign} variant="glowMagenta" size="sm">
+                                    Resign
+                                </Button>
+                            )}
+                        </div>
+                    )}
                 </CardContent>
             </Card>
 
             {/* Game Over Modal */}
-            {gameOver && <GameOver gameOver={gameOver} playerSymbol={playerSymbol} onPlayAgain={onPlayAgain} />}
+            {gameOver && (
+                <GameOver
+                    gameOver={gameOver}
+                    playerSymbol={playerSymbol}
+                    onPlayAgain={onPlayAgain}
+                    playerAddress={playerAddress}
+                    rematchRequestedBy={rematchRequestedBy}
+                    isRoomClosed={isRoomClosed}
+                    onRematch={onRematch}
+                    isSpectating={isSpectating}
+                />
+            )}
         </div>
     );
 }
@@ -1,4 +1,5 @@
-import type { PlayerSymbol } from '../types';
+import { useEffect, useState } from 'react';
+import type { GameClock, PlayerSymbol } from '../types';
 import { cn } from '../lib/utils';
 import { Badge } from './ui/badge';
 import { UserCheck, User, Clock } from 'lucide-react';
@@ -11,6 +12,15 @@ interface GameStatusProps {
   playerAddress: string;
   opponentAddress: string;
   formatShortAddress: (address: string) => string;
+  clock?: GameClock;
+}
+
+// Formats milliseconds as m:ss
+function formatTime(ms: number): string {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
 }
 
 export function GameStatus({
@@ -18,8 +28,30 @@ export function GameStatus({
   playerSymbol,
   playerAddress,
   opponentAddress,
-  formatShortAddress
+  formatShortAddress,
+  clock
 }: GameStatusProps) {
+  // Tick while a clock is running so the countdowns stay live
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => {
+    if (!clock?.turn) return;
+    const interval = setInterval(() => setNow(Date.now()), 250);
+    return () => clearInterval(interval);
+  }, [clock?.turn]);
+
+  // Remaining game time of a player, counting down while they are on turn
+  const getRemainingTime = (address: string) => {
+    if (!clock) return null;
+    const key = Object.keys(clock.remainingMs).find(eoa => eoa.toLowerCase() === address.toLowerCase());
+    if (!key) return null;
+    const elapsed = clock.turn === key && clock.turnStartedAt ? now - clock.turnStartedAt : 0;
+    return clock.remainingMs[key] - elapsed;
+  };
+
+  const playerTimeLeft = getRemainingTime(playerAddress);
+  const opponentTimeLeft = getRemainingTime(opponentAddress);
+  const moveTimeLeft = clock?.deadline ? clock.deadline - now : null;
+
   // This component is only shown when the game has started, so we don't need
   // to handle the waiting states here anymore - they're handled in GameScreen
 
@@ -95,6 +127,9 @@ export function GameStatus({
             {formatShortAddress(playerAddress)}
           </span>
           <span className="ml-1 text-gray-500 text-xs">(you)</span>
+          {playerTimeLeft !== null && (
+            <span className="ml-2 text-gray-400 text-xs font-mono">{formatTime(playerTimeLeft)}</span>
+          )}
         </div>
         
         {/* VS */}
@@ -106,6 +141,14 @@ export function GameStatus({
           )}>
             {isPlayerTurn ? "your turn" : "waiting"}
           </span>
+          {moveTimeLeft !== null && (
+            <span className={cn(
+              "text-xs mt-1 font-mono",
+              moveTimeLeft <= 10000 ? "text-red-400 animate-pulse" : "text-gray-400"
+            )}>
+              {formatTime(moveTimeLeft)}
+            </span>
+          )}
         </div>
         
         {/* Opponent */}
@@ -129,6 +172,9 @@ export function GameStatus({
           )}>
             {formatShortAddress(opponentAddress)}
           </span>
+          {opponentTimeLeft !== null && (
+            <span className="ml-2 text-gray-400 text-xs font-mono">{formatTime(opponentTimeLeft)}</span>
+          )}
         </div>
       </div>
     </div>
@@ -0,0 +1,164 @@
+import { useEffect, useState } from "react";
+import { Trophy, RefreshCw, ChevronLeft, ChevronRight } from "lucide-react";
+import type { LeaderboardMessage, LeaderboardQuery, LeaderboardSort, LeaderboardWindow } from "../types";
+import { Button } from "./ui/button";
+import { cn } from "../lib/utils";
+
+// Players per leaderboard page
+const PAGE_SIZE = 10;
+
+const WINDOW_OPTIONS: { value: LeaderboardWindow; label: string }[] = [
+    { value: "daily", label: "Today" },
+    { value: "weekly", label: "This Week" },
+    { value: "all-time", label: "All Time" },
+];
+
+const SORT_OPTIONS: { value: LeaderboardSort; label: string }[] = [
+    { value: "rating", label: "Rating" },
+    { value: "wins", label: "Wins" },
+    { value: "netWon", label: "Net Won" },
+];
+
+interface LeaderboardProps {
+    leaderboard: LeaderboardMessage | null;
+    onGetLeaderboard: (query: LeaderboardQuery) => void;
+    playerAddress?: string;
+}
+
+export function Leaderboard({ leaderboard, onGetLeaderboard, playerAddress = "" }: LeaderboardProps) {
+    const [timeWindow, setTimeWindow] = useState<LeaderboardWindow>("weekly");
+    const [sortBy, setSortBy] = useState<LeaderboardSort>("rating");
+    const [offset, setOffset] = useState(0);
+
+    // Fetch the page whenever the query changes
+    useEffect(() => {
+        onGetLeaderboard({ window: timeWindow, sortBy, offset, limit: PAGE_SIZE });
+    }, [timeWindow, sortBy, offset, onGetLeaderboard]);
+
+    const total = leaderboard?.total ?? 0;
+    const entries = leaderboard?.entries ?? [];
+
+    // Short address display
+    const formatShortAddress = (address: string) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+    return (
+        <div className="space-y-4">
+            <div className="flex items-center justify-between gap-2">
+                <div className="flex gap-1">
+                    {WINDOW_OPTIONS.map((option) => (
+                        <Button
+                            key={option.value}
+                            type="button"
+                            variant="ghost"
+                            size="sm"
+                            className={cn(
+                                "h-8 px-3 border border-gray-800/40 text-gray-400",
+                                timeWindow === option.value && "bg-amber-900/40 text-amber-300 border-amber-700/60"
+                            )}
+                            onClick={() => {
+                                setTimeWindow(option.value);
+                                setOffset(0);
+                            }}
+                        >
+                            {option.label}
+                        </Button>
+                    ))}
+                </div>
+                <Button
+                    type="button"
+                    variant="ghost"
+                    size="sm"
+                    className="h-8 w-8 p-0 text-gray-400"
+                    onClick={() => onGetLeaderboard({ window: timeWindow, sortBy, offset, limit: PAGE_SIZE })}
+                >
+                    <RefreshCw className="h-4 w-4" />
+                </Button>
+            </div>
+
+            <div className="flex gap-1 text-xs">
+                <span className="text-gray-500 mr-1 self-center">Sort by</span>
+                {SORT_OPTIONS.map((option) => (
+                    <Button
+                        key={option.value}
+                        type="button"
+                        variant="ghost"
+                        size="sm"
+                        className={cn(
+                            "h-7 px-2 text-xs text-gray-400",
+                            sortBy === option.value && "text-cyan-300 bg-cyan-950/40"
+                        )}
+                        onClick={() => {
+                            setSortBy(option.value);
+                            setOffset(0);
+                        }}
+                    >
+                        {option.label}
+                    </Button>
+                ))}
+            </div>
+
+            {entries.length === 0 ? (
+                <div className="text-center py-8 text-gray-500 text-sm">
+                    <Trophy className="h-8 w-8 mx-auto mb-2 opacity-40" />
+                    No finished games in this period yet.
+                </div>
+            ) : (
+                <div className="space-y-1">
+                    {entries.map((entry) => {
+                        const isMe = entry.eoa.toLowerCase() === playerAddress.toLowerCase();
+                        const isNegative = entry.netWon.startsWith("-");
+                        return (
+                            <div
+                                key={entry.eoa}
+                                className={cn(
+                                    "flex items-center gap-3 rounded-md px-3 py-2 text-sm bg-gray-800/40 border border-gray-700/30",
+                                    isMe && "border-cyan-700/50 bg-cyan-950/20"
+                                )}
+                            >
+                                <span className="w-6 text-right text-gray-500 font-mono">{entry.rank}</span>
+                                <span className="flex-1 font-mono text-gray-300 truncate">
+                                    {formatShortAddress(entry.eoa)}
+                                    {isMe && <span className="ml-2 text-xs text-cyan-400">you</span>}
+                                </span>
+                                <span className="w-14 text-right text-cyan-300">{entry.rating}</span>
+                                <span className="w-16 text-right text-gray-400">
+                                    {entry.wins}-{entry.losses}-{entry.draws}
+                                </span>
+                                <span className={cn("w-20 text-right", isNegative ? "text-red-400" : "text-amber-300")}>
+                                    {isNegative ? "" : "+"}
+                                    {entry.netWon} {leaderboard?.asset.toUpperCase()}
+                                </span>
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+
+            {total > PAGE_SIZE && (
+                <div className="flex items-center justify-between text-xs text-gray-500">
+                    <Button
+                        type="button"
+                        variant="ghost"
+                        size="sm"
+                        disabled={offset === 0}
+                        onClick={() => setOffset(Math.max(0, offset - PAGE_SIZE))}
+                    >
+                        <ChevronLeft className="h-4 w-4" />
+                    </Button>
+                    <span>
+                        {offset + 1}-{Math.min(offset + PAGE_SIZE, total)} of {total}
+                    </span>
+                    <Button
+                        type="button"
+                        variant="ghost"
+                        size="sm"
+                        disabled={offset + PAGE_SIZE >= total}
+                        onClick={() => setOffset(offset + PAGE_SIZE)}
+                    >
+                        <ChevronRight className="h-4 w-4" />
+                    </Button>
+                </div>
+            )}
+        </div>
+    );
+}
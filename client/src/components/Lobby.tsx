@@ -1,28 +1,78 @@
 import { useState, useEffect } from "react";
-import type { JoinRoomPayload, AvailableRoom } from "../types";
+import type { JoinRoomPayload, AvailableRoom, LiveRoom, LeaderboardMessage, LeaderboardQuery, BotDifficulty, RoomMode } from "../types";
 import { Card, CardContent, CardDescription, CardFooter, CardHeader, CardTitle } from "./ui/card";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "./ui/tabs";
 import { Input } from "./ui/input";
 import { Button } from "./ui/button";
 import { cn } from "../lib/utils";
-import { Wallet, Users, Loader2, KeyRound, GamepadIcon, RefreshCw, Clock, AlertCircle } from "lucide-react";
+import { Wallet, Users, Loader2, KeyRound, GamepadIcon, RefreshCw, Clock, AlertCircle, Coins, Eye, Trophy, Lock, Swords, Bot } from "lucide-react";
 import { useMetaMask } from "../hooks/useMetaMask";
 import { ChannelRequiredModal } from "./ChannelRequiredModal";
 import { OnlinePlayersCounter } from "./OnlinePlayersCounter";
+import { Leaderboard } from "./Leaderboard";
+import { Tournaments, type TournamentsProps } from "./Tournaments";
+
+// Stake presets offered when hosting a game (USDC per player)
+const STAKE_OPTIONS = ["0.01", "0.05", "0.1", "0.5", "1"];
+
+// Series lengths a host can pick; a whole series is settled by one app session
+const BEST_OF_OPTIONS = [1, 3, 5, 7];
+
+// Difficulties of the practice bot
+const BOT_DIFFICULTY_OPTIONS: BotDifficulty[] = ["easy", "medium", "hard"];
+
+// Room IDs are UUIDs; private rooms are joined with a six character code instead
+const ROOM_ID_PATTERN = /^[a-fA-F0-9]{8}-[a-fA-F0-9]{4}-[a-fA-F0-9]{4}-[a-fA-F0-9]{4}-[a-fA-F0-9]{12}$/;
+const JOIN_CODE_PATTERN = /^[A-HJKMNP-Z2-9]{6}$/i;
+const ADDRESS_PATTERN = /^0x[a-fA-F0-9]{40}$/;
+
+// Most guests a host can invite to a private room
+const MAX_ALLOWED_GUESTS = 20;
 
 interface LobbyProps {
     onJoinRoom: (payload: JoinRoomPayload) => void;
+    onFindMatch?: (eoa: string, stake: string) => void;
+    onCancelMatch?: () => void;
+    isQueued?: boolean;
+    leaderboard?: LeaderboardMessage | null;
+    onGetLeaderboard?: (query: LeaderboardQuery) => void;
+    tournamentLobby?: Omit<TournamentsProps, "playerAddress">;
     isConnected: boolean;
     error: string | null;
     availableRooms?: AvailableRoom[];
+    liveRooms?: LiveRoom[];
     onGetAvailableRooms: () => void;
+    onSpectateRoom?: (roomId: string) => void;
     onlineUsers?: number;
 }
 
-export function Lobby({ onJoinRoom, isConnected, error, availableRooms = [], onGetAvailableRooms, onlineUsers = 1 }: LobbyProps) {
+export function Lobby({
+    onJoinRoom,
+    onFindMatch,
+    onCancelMatch,
+    isQueued = false,
+    leaderboard = null,
+    onGetLeaderboard,
+    tournamentLobby,
+    isConnected,
+    error,
+    availableRooms = [],
+    liveRooms = [],
+    onGetAvailableRooms,
+    onSpectateRoom,
+    onlineUsers = 1,
+}: LobbyProps) {
     const [roomId, setRoomId] = useState("");
     const [roomIdError, setRoomIdError] = useState("");
-    const [mode, setMode] = useState<"create" | "join">("create");
+    const [stake, setStake] = useState(STAKE_OPTIONS[0]);
+    const [bestOf, setBestOf] = useState(BEST_OF_OPTIONS[0]);
+    const [isPrivate, setIsPrivate] = useState(false);
+    const [isFree, setIsFree] = useState(false);
+    const [isPractice, setIsPractice] = useState(false);
+    const [botDifficulty, setBotDifficulty] = useState<BotDifficulty>("medium");
+    const [allowedGuestsInput, setAllowedGuestsInput] = useState("");
+    const [allowedGuestsError, setAllowedGuestsError] = useState("");
+    const [mode, setMode] = useState<"create" | "join" | "leaderboard" | "tournaments">("create");
     const [loadingRooms, setLoadingRooms] = useState(false);
     const [showChannelModal, setShowChannelModal] = useState(false);
     const [pendingRoomAction, setPendingRoomAction] = useState<{ mode: "create" | "join"; roomId?: string } | null>(null);
@@ -30,6 +80,12 @@ export function Lobby({ onJoinRoom, isConnected, error, availableRooms = [], onG
     // Use channel hook to check if channel exists
     const { isChannelOpen } = { isChannelOpen: true };
 
+    // Free rooms lock no funds, so only staked rooms need an open channel
+    const needsChannel = (roomMode: RoomMode) => !isChannelOpen && roomMode === "staked";
+
+    // Practice games are always free
+    const createMode: RoomMode = isFree || isPractice ? "free" : "staked";
+
     // Use MetaMask hook for wallet connection
     const { address, isConnected: isWalletConnected, connectWallet, isConnecting, error: metamaskError, isMetaMaskInstalled } = useMetaMask();
 
@@ -62,9 +118,9 @@ export function Lobby({ onJoinRoom, isConnected, error, availableRooms = [], onG
                 return false;
             }
 
-            // Should be a valid UUID format (8-4-4-4-12 hex chars)
-            const isValid = /^[a-fA-F0-9]{8}-[a-fA-F0-9]{4}-[a-fA-F0-9]{4}-[a-fA-F0-9]{4}-[a-fA-F0-9]{12}$/.test(id);
-            setRoomIdError(isValid ? "" : "Please enter a valid room ID (UUID format)");
+            // Should be a valid UUID format (8-4-4-4-12 hex chars) or a private room join code
+            const isValid = ROOM_ID_PATTERN.test(id.trim()) || JOIN_CODE_PATTERN.test(id.trim());
+            setRoomIdError(isValid ? "" : "Please enter a valid room ID or a 6 character join code");
             return isValid;
         }
 
@@ -72,9 +128,45 @@ export function Lobby({ onJoinRoom, isConnected, error, availableRooms = [], onG
         return true;
     };
 
+    // Parse the invite list of a private room (addresses separated by commas or whitespace)
+    const parseAllowedGuests = (): string[] | null => {
+        const guests = allowedGuestsInput.split(/[\s,]+/).filter(Boolean);
+        if (guests.length > MAX_ALLOWED_GUESTS) {
+            setAllowedGuestsError(`You can invite up to ${MAX_ALLOWED_GUESTS} addresses`);
+            return null;
+        }
+        if (!guests.every((guest) => ADDRESS_PATTERN.test(guest))) {
+            setAllowedGuestsError("Please enter valid wallet addresses");
+            return null;
+        }
+        setAllowedGuestsError("");
+        return guests;
+    };
+
+    // Build the payload that creates a room with the selected settings; free and practice games have no stake
+    const buildCreatePayload = (eoa: string, allowedGuests: string[]): JoinRoomPayload => isPractice ? {
+        eoa,
+        roomId: undefined,
+        practice: true,
+        botDifficulty,
+        ...(bestOf > 1 && { bestOf }),
+    } : {
+        eoa,
+        roomId: undefined,
+        ...(isFree ? { mode: "free" as const } : { stake }),
+        asset: "usdc",
+        ...(bestOf > 1 && { bestOf }),
+        ...(isPrivate && { isPrivate: true }),
+        ...(isPrivate && allowedGuests.length > 0 && { allowedGuests }),
+    };
+
+    // Build the payload that joins a room by its ID or, for private rooms, by its join code
+    const buildJoinPayload = (eoa: string, roomIdOrCode: string): JoinRoomPayload =>
+        JOIN_CODE_PATTERN.test(roomIdOrCode) ? { eoa, joinCode: roomIdOrCode.toUpperCase() } : { eoa, roomId: roomIdOrCode };
+
     // Handle tab change
     const handleTabChange = (value: string) => {
-        setMode(value as "create" | "join");
+        setMode(value as "create" | "join" | "leaderboard" | "tournaments");
         setRoomIdError("");
 
         // Fetch available rooms when switching to join tab
@@ -102,13 +194,13 @@ export function Lobby({ onJoinRoom, isConnected, error, availableRooms = [], onG
     };
 
     // Handle joining a specific available room
-    const handleJoinAvailableRoom = (selectedRoomId: string) => {
+    const handleJoinAvailableRoom = (selectedRoomId: string, roomMode: RoomMode = "staked") => {
         if (!isWalletConnected || !address) {
             return;
         }
 
         // Check if channel exists first
-        if (!isChannelOpen) {
+        if (needsChannel(roomMode)) {
             setPendingRoomAction({ mode: "join", roomId: selectedRoomId });
             setShowChannelModal(true);
             return;
@@ -141,8 +233,16 @@ export function Lobby({ onJoinRoom, isConnected, error, availableRooms = [], onG
             return;
         }
 
-        // Check if channel exists first
-        if (!isChannelOpen) {
+        const allowedGuests = mode === "create" && isPrivate && !isPractice ? parseAllowedGuests() : [];
+        if (!allowedGuests) {
+            return;
+        }
+
+        // Check if channel exists first; rooms joined by ID are free only if the room list says so
+        const roomMode = mode === "create"
+            ? createMode
+            : availableRooms.find((room) => room.roomId === roomId.trim())?.mode ?? "staked";
+        if (needsChannel(roomMode)) {
             if (mode === "create") {
                 setPendingRoomAction({ mode: "create" });
             } else {
@@ -155,13 +255,23 @@ export function Lobby({ onJoinRoom, isConnected, error, availableRooms = [], onG
         // Use MetaMask wallet address for app session participants
         if (mode === "create") {
             // When creating a room, always pass undefined for roomId
-            console.log("Creating a room with MetaMask address:", address);
-            onJoinRoom({ eoa: address, roomId: undefined });
+            console.log("Creating a room with MetaMask address:", address, "and stake:", stake);
+            onJoinRoom(buildCreatePayload(address, allowedGuests));
         } else {
-            // When joining, use the entered roomId
+            // When joining, use the entered roomId or join code
             console.log("Joining a room with MetaMask address:", address, "and roomId:", roomId.trim());
-            onJoinRoom({ eoa: address, roomId: roomId.trim() });
+            onJoinRoom(buildJoinPayload(address, roomId.trim()));
+        }
+    };
+
+    // Handle finding an opponent through the matchmaking queue
+    const handleFindMatch = () => {
+        if (!isWalletConnected || !address || !onFindMatch) {
+            return;
         }
+
+        console.log("Joining the matchmaking queue with MetaMask address:", address, "and stake:", stake);
+        onFindMatch(address, stake);
     };
 
     // Handle successful channel creation
@@ -184,11 +294,13 @@ export function Lobby({ onJoinRoom, isConnected, error, availableRooms = [], onG
         window.localStorage.setItem("last_join_call_time", now.toString());
 
         if (action === "create") {
-            console.log("Creating a room with MetaMask address after channel creation:", address);
-            onJoinRoom({ eoa: address, roomId: undefined });
-        } else {
+            const allowedGuests = isPrivate ? parseAllowedGuests() : [];
+            if (!allowedGuests) return;
+            console.log("Creating a room with MetaMask address after channel creation:", address, "and stake:", stake);
+            onJoinRoom(buildCreatePayload(address, allowedGuests));
+        } else if (roomIdParam) {
             console.log("Joining a room with MetaMask address after channel creation:", address, "and roomId:", roomIdParam);
-            onJoinRoom({ eoa: address, roomId: roomIdParam });
+            onJoinRoom(buildJoinPayload(address, roomIdParam));
         }
     };
 
@@ -274,7 +386,12 @@ export function Lobby({ onJoinRoom, isConnected, error, availableRooms = [], onG
                         </div>
                     ) : (
                         <Tabs defaultValue="create" onValueChange={handleTabChange}>
-                            <TabsList className="grid grid-cols-2 p-1 mb-5">
+                            <TabsList
+                                className={cn(
+                                    "grid p-1 mb-5",
+                                    ["grid-cols-2", "grid-cols-3", "grid-cols-4"][Number(!!onGetLeaderboard) + Number(!!tournamentLobby)]
+                                )}
+                            >
                                 <TabsTrigger
                                     value="create"
                                     className="data-[state=active]:bg-cyan-950/50 data-[state=active]:text-cyan-400 data-[state=active]:shadow-[0_0_10px_rgba(0,229,255,0.2)]"
@@ -291,9 +408,46 @@ export function Lobby({ onJoinRoom, isConnected, error, availableRooms = [], onG
                                     <Users className="w-4 h-4 mr-2" />
                                     Join Game
                                 </TabsTrigger>
+                                {onGetLeaderboard && (
+                                    <TabsTrigger
+                                        value="leaderboard"
+                                        className="data-[state=active]:bg-amber-950/50 data-[state=active]:text-amber-400 data-[state=active]:shadow-[0_0_10px_rgba(255,191,0,0.2)]"
+                                        disabled={!isConnected}
+                                    >
+                                        <Trophy className="w-4 h-4 mr-2" />
+                                        Leaderboard
+                                    </TabsTrigger>
+                                )}
+                                {tournamentLobby && (
+                                    <TabsTrigger
+                                        value="tournaments"
+                                        className="data-[state=active]:bg-amber-950/50 data-[state=active]:text-amber-400 data-[state=active]:shadow-[0_0_10px_rgba(255,191,0,0.2)]"
+                                        disabled={!isConnected}
+                                    >
+                                        <Swords className="w-4 h-4 mr-2" />
+                                        Cups
+                                    </TabsTrigger>
+                                )}
                             </TabsList>
 
-                            <form onSubmit={handleSubmit} className="space-y-6 mt-2">
+                            {/* Leaderboard tab content */}
+                            {onGetLeaderboard && (
+                                <TabsContent value="leaderboard" className="mt-2 mb-0">
+                                    <Leaderboard leaderboard={leaderboard} onGetLeaderboard={onGetLeaderboard} playerAddress={address ?? ""} />
+                                </TabsContent>
+                            )}
+
+                            {/* Tournaments tab content */}
+                            {tournamentLobby && (
+                                <TabsContent value="tournaments" className="mt-2 mb-0">
+                                    <Tournaments {...tournamentLobby} playerAddress={address ?? ""} />
+                                </TabsContent>
+                            )}
+
+                            <form
+                                onSubmit={handleSubmit}
+                                className={cn("space-y-6 mt-2", (mode === "leaderboard" || mode === "tournaments") && "hidden")}
+                            >
                                 {/* Wallet address display */}
                                 <div className="space-y-1.5">
                                     <label className="block text-sm font-medium text-gray-300 flex items-center">
@@ -317,7 +471,7 @@ export function Lobby({ onJoinRoom, isConnected, error, availableRooms = [], onG
                                     <div className="rounded-md bg-amber-950/20 p-4 text-sm border border-amber-900/30 shadow-inner">
                                         <p className="mb-2 text-amber-400 font-medium flex items-center">Game Stakes</p>
                                         <p className="text-amber-200 text-sm opacity-90">
-                                            Each player bets <span className="font-bold text-amber-300">$0.01</span>. Winner takes all!
+                                            The host sets the stake for each game. Winner takes all!
                                         </p>
                                     </div>
 
@@ -361,9 +515,30 @@ export function Lobby({ onJoinRoom, isConnected, error, availableRooms = [], onG
                                                                         {room.roomId}
                                                                     </span>
                                                                 </div>
+                                                                <div className="flex items-center mt-1 text-xs text-gray-400">
+                                                                    <span className="font-mono">
+                                                                        {room.hostAddress.slice(0, 6)}...{room.hostAddress.slice(-4)}
+                                                                    </span>
+                                                                    {room.hostRating !== undefined && (
+                                                                        <span className="ml-2 text-cyan-300">{room.hostRating} Elo</span>
+                                                                    )}
+                                                                </div>
                                                                 <div className="flex items-center mt-1 text-xs text-gray-500">
                                                                     <Clock className="h-3 w-3 mr-1" />
                                                                     <span>Created {formatTimeAgo(room.createdAt)}</span>
+                                                                    <Coins className="h-3 w-3 ml-3 mr-1 text-amber-400" />
+                                                                    <span className="text-amber-300">
+                                                                        {room.mode === "free" ? "Free" : `${room.stake} ${room.asset.toUpperCase()}`}
+                                                                    </span>
+                                                                    {!!room.bestOf && room.bestOf > 1 && (
+                                                                        <span className="ml-3">Best of {room.bestOf}</span>
+                                                                    )}
+                                                                    {!!room.spectatorCount && (
+                                                                        <>
+                                                                            <Eye className="h-3 w-3 ml-3 mr-1" />
+                                                                            <span>{room.spectatorCount} watching</span>
+                                                                        </>
+                                                                    )}
                                                                 </div>
                                                             </div>
                                                             <Button
@@ -371,7 +546,7 @@ export function Lobby({ onJoinRoom, isConnected, error, availableRooms = [], onG
                                                                 size="sm"
                                                                 className="ml-2 whitespace-nowrap"
                                                                 disabled={!isConnected}
-                                                                onClick={() => handleJoinAvailableRoom(room.roomId)}
+                                                                onClick={() => handleJoinAvailableRoom(room.roomId, room.mode)}
                                                             >
                                                                 Join
                                                             </Button>
@@ -388,12 +563,67 @@ export function Lobby({ onJoinRoom, isConnected, error, availableRooms = [], onG
                                         )}
                                     </div>
 
+                                    {/* Games in progress, open to spectators */}
+                                    {onSpectateRoom && liveRooms.length > 0 && (
+                                        <div className="rounded-md bg-cyan-950/10 p-4 border border-cyan-900/20 shadow-inner space-y-3">
+                                            <h3 className="text-cyan-400 font-medium flex items-center mb-2">
+                                                <Eye className="h-4 w-4 mr-1.5" />
+                                                Live Games
+                                            </h3>
+                                            <div className="space-y-2">
+                                                {liveRooms.map((room) => (
+                                                    <div
+                                                        key={room.roomId}
+                                                        className="bg-gray-800/50 rounded-md p-3 border border-gray-700/40 hover:border-cyan-800/30 transition-all hover:bg-gray-800/70"
+                                                    >
+                                                        <div className="flex items-center justify-between">
+                                                            <div className="flex-1">
+                                                                <div className="flex items-center text-xs text-gray-300 font-mono">
+                                                                    {[room.players.host, room.players.guest]
+                                                                        .map((player) => (player ? `${player.slice(0, 6)}...${player.slice(-4)}` : "(seat open)"))
+                                                                        .join(" vs ")}
+                                                                </div>
+                                                                <div className="flex items-center mt-1 text-xs text-gray-500">
+                                                                    <Coins className="h-3 w-3 mr-1 text-amber-400" />
+                                                                    <span className="text-amber-300">
+                                                                        {room.mode === "free" ? "Free" : `${room.stake} ${room.asset.toUpperCase()}`}
+                                                                    </span>
+                                                                    {!!room.bestOf && room.bestOf > 1 && (
+                                                                        <span className="ml-3">Best of {room.bestOf}</span>
+                                                                    )}
+                                                                    <span className="ml-3">
+                                                                        {room.moveCount} {room.moveCount === 1 ? "move" : "moves"}
+                                                                    </span>
+                                                                    {room.spectatorCount > 0 && (
+                                                                        <>
+                                                                            <Eye className="h-3 w-3 ml-3 mr-1" />
+                                                                            <span>{room.spectatorCount} watching</span>
+                                                                        </>
+                                                                    )}
+                                                                </div>
+                                                            </div>
+                                                            <Button
+                                                                variant="glowCyan"
+                                                                size="sm"
+                                                                className="ml-2 whitespace-nowrap"
+                                                                disabled={!isConnected}
+                                                                onClick={() => onSpectateRoom(room.roomId)}
+                                                            >
+                                                                Watch
+                                                            </Button>
+                                                        </div>
+                                                    </div>
+                                                ))}
+                                            </div>
+                                        </div>
+                                    )}
+
                                     {/* Manual room ID entry */}
                                     <div className="space-y-1.5 pt-2">
                                         <div className="flex items-center justify-between">
                                             <label htmlFor="roomId" className="block text-sm font-medium text-gray-300 flex items-center">
                                                 <KeyRound className="h-4 w-4 mr-1.5 text-gray-500" />
-                                                Room ID
+                                                Room ID or Join Code
                                             </label>
                                             <p className="text-xs text-gray-500">Or enter room ID manually</p>
                                         </div>
@@ -402,7 +632,7 @@ export function Lobby({ onJoinRoom, isConnected, error, availableRooms = [], onG
                                             type="text"
                                             value={roomId}
                                             onChange={(e) => setRoomId(e.target.value)}
-                                            placeholder="Enter the room ID to join"
+                                            placeholder="Enter the room ID or join code"
                                             icon={<KeyRound className="h-4 w-4" />}
                                             variant="magenta"
                                             className={cn(roomIdError && "border-red-500 focus-visible:ring-red-500")}
@@ -413,7 +643,7 @@ export function Lobby({ onJoinRoom, isConnected, error, availableRooms = [], onG
                                                 {roomIdError}
                                             </p>
                                         )}
-                                        <p className="text-xs text-gray-500 mt-1 pl-1">Format: xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx</p>
+                                        <p className="text-xs text-gray-500 mt-1 pl-1">Format: xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx or a 6 character code</p>
                                     </div>
                                 </TabsContent>
 
@@ -423,8 +653,74 @@ export function Lobby({ onJoinRoom, isConnected, error, availableRooms = [], onG
                                     <div className="rounded-md bg-amber-950/20 p-4 text-sm border border-amber-900/30 shadow-inner">
                                         <p className="mb-2 text-amber-400 font-medium flex items-center">Game Stakes</p>
                                         <p className="text-amber-200 text-sm opacity-90">
-                                            Each player bets <span className="font-bold text-amber-300">$0.01</span>. Winner takes all!
+                                            {isPractice ? (
+                                                "Practice games are free: no stake and no rating changes."
+                                            ) : isFree ? (
+                                                "Free play: no stake, no channel deposit and no signatures."
+                                            ) : (
+                                                <>Each player bets <span className="font-bold text-amber-300">${stake}</span>. Winner takes all!</>
+                                            )}
                                         </p>
+                                        {!isPractice && (
+                                            <div className="flex flex-wrap items-center gap-2 mt-3">
+                                                <span className="text-amber-200/80 text-xs mr-1">Mode</span>
+                                                {([false, true] as const).map((option) => (
+                                                    <Button
+                                                        key={String(option)}
+                                                        type="button"
+                                                        variant="ghost"
+                                                        size="sm"
+                                                        className={cn(
+                                                            "h-8 px-3 border border-amber-900/40 text-amber-200",
+                                                            isFree === option && "bg-amber-900/40 text-amber-300 border-amber-700/60"
+                                                        )}
+                                                        onClick={() => setIsFree(option)}
+                                                    >
+                                                        {option ? "Free" : "Staked"}
+                                                    </Button>
+                                                ))}
+                                            </div>
+                                        )}
+                                        {createMode === "staked" && <div className="flex flex-wrap gap-2 mt-3">
+                                            {STAKE_OPTIONS.map((option) => (
+                                                <Button
+                                                    key={option}
+                                                    type="button"
+                                                    variant="ghost"
+                                                    size="sm"
+                                                    className={cn(
+                                                        "h-8 px-3 border border-amber-900/40 text-amber-200",
+                                                        stake === option && "bg-amber-900/40 text-amber-300 border-amber-700/60"
+                                                    )}
+                                                    onClick={() => setStake(option)}
+                                                >
+                                                    ${option}
+                                                </Button>
+                                            ))}
+                                        </div>}
+                                        <div className="flex flex-wrap items-center gap-2 mt-3">
+                                            <span className="text-amber-200/80 text-xs mr-1">Series</span>
+                                            {BEST_OF_OPTIONS.map((option) => (
+                                                <Button
+                                                    key={option}
+                                                    type="button"
+                                                    variant="ghost"
+                                                    size="sm"
+                                                    className={cn(
+                                                        "h-8 px-3 border border-amber-900/40 text-amber-200",
+                                                        bestOf === option && "bg-amber-900/40 text-amber-300 border-amber-700/60"
+                                                    )}
+                                                    onClick={() => setBestOf(option)}
+                                                >
+                                                    {option === 1 ? "Single" : `Best of ${option}`}
+                                                </Button>
+                                            ))}
+                                        </div>
+                                        {bestOf > 1 && createMode === "staked" && (
+                                            <p className="text-amber-200/70 text-xs mt-2">
+                                                One stake covers the whole series. The series winner takes the pot.
+                                            </p>
+                                        )}
                                     </div>
 
                                     <div className="rounded-md bg-cyan-950/20 p-4 text-sm text-gray-300 border border-cyan-900/30 shadow-inner">
@@ -432,8 +728,101 @@ export function Lobby({ onJoinRoom, isConnected, error, availableRooms = [], onG
                                             <GamepadIcon className="h-4 w-4 mr-1.5" />
                                             Host a New Game
                                         </p>
-                                        <p className="text-sm opacity-90">You'll create a room and get a Room ID to share with your opponent.</p>
+                                        <p className="text-sm opacity-90">
+                                            {isPractice
+                                                ? "You'll play the server's bot right away, no opponent or channel needed."
+                                                : isPrivate
+                                                ? "You'll create a private room and get a join code to share with your opponent."
+                                                : "You'll create a room and get a Room ID to share with your opponent."}
+                                        </p>
                                     </div>
+
+                                    {/* Practice settings */}
+                                    <div className="rounded-md bg-gray-900/40 p-4 text-sm text-gray-300 border border-gray-800/50 shadow-inner space-y-3">
+                                        <div className="flex items-center justify-between">
+                                            <p className="text-gray-300 font-medium flex items-center">
+                                                <Bot className="h-4 w-4 mr-1.5 text-gray-500" />
+                                                Practice vs Bot
+                                            </p>
+                                            <Button
+                                                type="button"
+                                                variant="ghost"
+                                                size="sm"
+                                                className={cn(
+                                                    "h-8 px-3 border border-gray-700/50 text-gray-400",
+                                                    isPractice && "bg-cyan-900/40 text-cyan-300 border-cyan-700/60"
+                                                )}
+                                                onClick={() => setIsPractice(!isPractice)}
+                                            >
+                                                {isPractice ? "On" : "Off"}
+                                            </Button>
+                                        </div>
+                                        {isPractice && (
+                                            <div className="flex flex-wrap items-center gap-2">
+                                                <span className="text-gray-500 text-xs mr-1">Difficulty</span>
+                                                {BOT_DIFFICULTY_OPTIONS.map((option) => (
+                                                    <Button
+                                                        key={option}
+                                                        type="button"
+                                                        variant="ghost"
+                                                        size="sm"
+                                                        className={cn(
+                                                            "h-8 px-3 border border-gray-700/50 text-gray-400 capitalize",
+                                                            botDifficulty === option && "bg-cyan-900/40 text-cyan-300 border-cyan-700/60"
+                                                        )}
+                                                        onClick={() => setBotDifficulty(option)}
+                                                    >
+                                                        {option}
+                                                    </Button>
+                                                ))}
+                                            </div>
+                                        )}
+                                    </div>
+
+                                    {/* Private room settings */}
+                                    {!isPractice && <div className="rounded-md bg-gray-900/40 p-4 text-sm text-gray-300 border border-gray-800/50 shadow-inner space-y-3">
+                                        <div className="flex items-center justify-between">
+                                            <p className="text-gray-300 font-medium flex items-center">
+                                                <Lock className="h-4 w-4 mr-1.5 text-gray-500" />
+                                                Private Room
+                                            </p>
+                                            <Button
+                                                type="button"
+                                                variant="ghost"
+                                                size="sm"
+                                                className={cn(
+                                                    "h-8 px-3 border border-gray-700/50 text-gray-400",
+                                                    isPrivate && "bg-cyan-900/40 text-cyan-300 border-cyan-700/60"
+                                                )}
+                                                onClick={() => {
+                                                    setIsPrivate(!isPrivate);
+                                                    setAllowedGuestsError("");
+                                                }}
+                                            >
+                                                {isPrivate ? "On" : "Off"}
+                                            </Button>
+                                        </div>
+                                        <p className="text-xs text-gray-500">Private rooms are hidden from the game list and joined with a code.</p>
+                                        {isPrivate && (
+                                            <div className="space-y-1.5">
+                                                <Input
+                                                    id="allowedGuests"
+                                                    type="text"
+                                                    value={allowedGuestsInput}
+                                                    onChange={(e) => setAllowedGuestsInput(e.target.value)}
+                                                    placeholder="Invited addresses (optional, comma separated)"
+                                                    icon={<Users className="h-4 w-4" />}
+                                                    variant="cyan"
+                                                    className={cn(allowedGuestsError && "border-red-500 focus-visible:ring-red-500")}
+                                                />
+                                                {allowedGuestsError ? (
+                                                    <p className="text-sm text-red-400">{allowedGuestsError}</p>
+                                                ) : (
+                                                    <p className="text-xs text-gray-500 pl-1">Leave empty to let anyone with the code join.</p>
+                                                )}
+                                            </div>
+                                        )}
+                                    </div>}
                                 </TabsContent>
 
                                 {/* Error message */}
@@ -455,6 +844,21 @@ export function Lobby({ onJoinRoom, isConnected, error, availableRooms = [], onG
                                 >
                                     {!isConnected ? "Connecting..." : mode === "create" ? "Create Game" : "Join Game"}
                                 </Button>
+
+                                {/* Matchmaking: pair with a random opponent at the selected stake */}
+                                {mode === "create" && onFindMatch && (
+                                    <Button
+                                        type="button"
+                                        disabled={!isConnected}
+                                        variant="glass"
+                                        size="lg"
+                                        className="w-full"
+                                        onClick={isQueued ? onCancelMatch : handleFindMatch}
+                                        leftIcon={isQueued ? <Loader2 className="animate-spin" /> : <Users />}
+                                    >
+                                        {isQueued ? "Searching for an opponent... (cancel)" : "Find Match"}
+                                    </Button>
+                                )}
                             </form>
                         </Tabs>
                     )}
@@ -6,15 +6,16 @@ import { cn } from '../lib/utils';
 
 interface RoomInfoProps {
   roomId: string;
+  joinCode?: string | null;
 }
 
-export function RoomInfo({ roomId }: RoomInfoProps) {
+export function RoomInfo({ roomId, joinCode }: RoomInfoProps) {
   const [copied, setCopied] = useState(false);
   
-  // Copy room ID to clipboard
+  // Copy the join code of a private room, otherwise the room ID
   const copyToClipboard = async () => {
     try {
-      await navigator.clipboard.writeText(roomId);
+      await navigator.clipboard.writeText(joinCode || roomId);
       setCopied(true);
     } catch (err) {
       console.error('Failed to copy room ID', err);
@@ -43,12 +44,13 @@ export function RoomInfo({ roomId }: RoomInfoProps) {
           copied ? "bg-gray-800/70 border-gray-700/50" : "bg-gray-800/50 hover:bg-gray-800/70"
         )}
       >
-        <span className="text-gray-400 mr-2">Room:</span>
+        <span className="text-gray-400 mr-2">{joinCode ? 'Join code:' : 'Room:'}</span>
         <span className={cn(
           "font-mono transition-colors",
+          joinCode && "tracking-widest",
           copied ? "text-cyan-300" : "text-gray-300"
         )}>
-          {roomId.length > 12 ? `${roomId.substring(0, 8)}...` : roomId}
+          {joinCode || (roomId.length > 12 ? `${roomId.substring(0, 8)}...` : roomId)}
         </span>
         <Button 
           variant="ghost" 
@@ -64,7 +66,7 @@ export function RoomInfo({ roomId }: RoomInfoProps) {
           ) : (
             <Copy className="h-3.5 w-3.5" />
           )}
-          <span className="sr-only">{copied ? "Copied" : "Copy room ID"}</span>
+          <span className="sr-only">{copied ? "Copied" : joinCode ? "Copy join code" : "Copy room ID"}</span>
         </Button>
       </Badge>
     </div>
@@ -0,0 +1,346 @@
+import { useEffect, useState } from "react";
+import { Trophy, RefreshCw, ChevronLeft, Swords, Users, Clock } from "lucide-react";
+import type { CreateTournamentPayload, Tournament, TournamentFormat, TournamentMatch, TournamentSummary } from "../types";
+import { Input } from "./ui/input";
+import { Button } from "./ui/button";
+import { cn } from "../lib/utils";
+
+// Entry stake presets (USDC per player)
+const ENTRY_STAKE_OPTIONS = ["0.01", "0.05", "0.1", "0.5", "1"];
+
+// Field sizes offered when creating a tournament
+const MAX_PLAYERS_OPTIONS = [4, 8, 16, 32];
+
+const FORMAT_OPTIONS: { value: TournamentFormat; label: string }[] = [
+    { value: "single-elimination", label: "Knockout" },
+    { value: "round-robin", label: "Round Robin" },
+];
+
+const STATUS_LABELS: Record<Tournament["status"], string> = {
+    registering: "Open",
+    funding: "Signing",
+    running: "Playing",
+    finished: "Finished",
+    cancelled: "Cancelled",
+};
+
+const RESULT_LABELS: Record<NonNullable<TournamentMatch["result"]>, string> = {
+    played: "",
+    draw: "draw",
+    walkover: "walkover",
+    bye: "bye",
+    forfeit: "no-show",
+    tiebreak: "higher seed",
+};
+
+export interface TournamentsProps {
+    tournaments: TournamentSummary[];
+    tournament: Tournament | null;
+    playerAddress: string;
+    onGetTournaments: () => void;
+    onGetTournament: (tournamentId: string) => void;
+    onCloseTournament: () => void;
+    onCreateTournament: (eoa: string, payload: CreateTournamentPayload) => void;
+    onRegisterTournament: (eoa: string, tournamentId: string) => void;
+    onUnregisterTournament: (tournamentId: string) => void;
+    onStartTournament: (tournamentId: string) => void;
+    onJoinMatch: (eoa: string, roomId: string) => void;
+}
+
+export function Tournaments({
+    tournaments,
+    tournament,
+    playerAddress,
+    onGetTournaments,
+    onGetTournament,
+    onCloseTournament,
+    onCreateTournament,
+    onRegisterTournament,
+    onUnregisterTournament,
+    onStartTournament,
+    onJoinMatch,
+}: TournamentsProps) {
+    const [name, setName] = useState("");
+    const [format, setFormat] = useState<TournamentFormat>("single-elimination");
+    const [maxPlayers, setMaxPlayers] = useState(MAX_PLAYERS_OPTIONS[1]);
+    const [entryStake, setEntryStake] = useState(ENTRY_STAKE_OPTIONS[0]);
+
+    // Fetch the list when the tab opens
+    useEffect(() => {
+        onGetTournaments();
+    }, [onGetTournaments]);
+
+    // Short address display
+    const formatShortAddress = (address: string) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+    const isMe = (address: string | null) => !!address && address.toLowerCase() === playerAddress.toLowerCase();
+
+    const handleCreate = () => {
+        onCreateTournament(playerAddress, {
+            format,
+            maxPlayers,
+            entryStake,
+            asset: "usdc",
+            ...(name.trim() && { name: name.trim() }),
+        });
+        setName("");
+    };
+
+    if (tournament) {
+        const isRegistered = tournament.players.some(isMe);
+        const myMatch = tournament.rounds.flat().find((match) => match.status === "ready" && match.players.some(isMe));
+
+        return (
+            <div className="space-y-4">
+                <div className="flex items-center justify-between gap-2">
+                    <Button type="button" variant="ghost" size="sm" className="h-8 px-2 text-gray-400" onClick={onCloseTournament}>
+                        <ChevronLeft className="h-4 w-4 mr-1" />
+                        All tournaments
+                    </Button>
+                    <Button
+                        type="button"
+                        variant="ghost"
+                        size="sm"
+                        className="h-8 w-8 p-0 text-gray-400"
+                        onClick={() => onGetTournament(tournament.id)}
+                    >
+                        <RefreshCw className="h-4 w-4" />
+                    </Button>
+                </div>
+
+                <div className="rounded-md bg-amber-950/20 p-4 text-sm border border-amber-900/30 shadow-inner">
+                    <p className="text-amber-400 font-medium flex items-center">
+                        <Trophy className="h-4 w-4 mr-1.5" />
+                        {tournament.name}
+                        <span className="ml-auto text-xs text-amber-200/70">{STATUS_LABELS[tournament.status]}</span>
+                    </p>
+                    <p className="text-amber-200 text-sm opacity-90 mt-2">
+                        {tournament.format === "round-robin" ? "Round robin" : "Knockout"} · {tournament.players.length}/{tournament.maxPlayers} players ·
+                        entry ${tournament.entryStake} · prize pool{" "}
+                        <span className="font-bold text-amber-300">${tournament.prizePool}</span>
+                    </p>
+                    {tournament.status === "funding" && tournament.fundingDeadline && (
+                        <p className="text-amber-200/70 text-xs mt-2 flex items-center">
+                            <Clock className="h-3 w-3 mr-1" />
+                            Waiting for every player to sign the prize pool until{" "}
+                            {new Date(tournament.fundingDeadline).toLocaleTimeString()}
+                        </p>
+                    )}
+                    {tournament.status === "cancelled" && tournament.cancelReason && (
+                        <p className="text-red-400 text-xs mt-2">{tournament.cancelReason}</p>
+                    )}
+                </div>
+
+                {tournament.status === "registering" && (
+                    <div className="flex gap-2">
+                        {isRegistered ? (
+                            <Button type="button" variant="glass" className="flex-1" onClick={() => onUnregisterTournament(tournament.id)}>
+                                Withdraw
+                            </Button>
+                        ) : (
+                            <Button
+                                type="button"
+                                variant="glowCyan"
+                                className="flex-1"
+                                disabled={tournament.players.length >= tournament.maxPlayers}
+                                onClick={() => onRegisterTournament(playerAddress, tournament.id)}
+                            >
+                                Register (${tournament.entryStake})
+                            </Button>
+                        )}
+                        {isMe(tournament.creator) && (
+                            <Button
+                                type="button"
+                                variant="glowMagenta"
+                                className="flex-1"
+                                disabled={tournament.players.length < 2}
+                                onClick={() => onStartTournament(tournament.id)}
+                            >
+                                Start now
+                            </Button>
+                        )}
+                    </div>
+                )}
+
+                {myMatch?.roomId && (
+                    <Button type="button" variant="glowMagenta" className="w-full" onClick={() => onJoinMatch(playerAddress, myMatch.roomId!)}>
+                        <Swords className="h-4 w-4 mr-2" />
+                        Join your round {myMatch.round} match
+                    </Button>
+                )}
+
+                {tournament.standings && (
+                    <div className="space-y-1">
+                        {tournament.standings.map((standing, index) => (
+                            <div
+                                key={standing.eoa}
+                                className={cn(
+                                    "flex items-center gap-3 rounded-md px-3 py-2 text-sm bg-gray-800/40 border border-gray-700/30",
+                                    isMe(standing.eoa) && "border-cyan-700/50 bg-cyan-950/20"
+                                )}
+                            >
+                                <span className="w-6 text-right text-gray-500 font-mono">{index + 1}</span>
+                                <span className="flex-1 font-mono text-gray-300 truncate">{formatShortAddress(standing.eoa)}</span>
+                                <span className="w-16 text-right text-gray-400">
+                                    {standing.wins}-{standing.losses}-{standing.draws}
+                                </span>
+                                <span className="w-12 text-right text-cyan-300">{standing.points}</span>
+                            </div>
+                        ))}
+                    </div>
+                )}
+
+                {tournament.rounds.map((round, index) => (
+                    <div key={index} className="space-y-1">
+                        <p className="text-xs text-gray-500">Round {index + 1}</p>
+                        {round.map((match) => (
+                            <div
+                                key={match.id}
+                                className="flex items-center gap-2 rounded-md px-3 py-2 text-xs bg-gray-800/40 border border-gray-700/30"
+                            >
+                                {match.players.map((player, slot) => (
+                                    <span
+                                        key={slot}
+                                        className={cn(
+                                            "flex-1 font-mono truncate",
+                                            slot === 1 && "text-right",
+                                            player && match.winner === player ? "text-amber-300" : "text-gray-400",
+                                            isMe(player) && "underline"
+                                        )}
+                                    >
+                                        {player ? formatShortAddress(player) : match.status === "pending" ? "TBD" : "bye"}
+                                    </span>
+                                ))}
+                                <span className="w-16 text-right text-gray-500">
+                                    {match.status === "ready" ? "playing" : match.result ? RESULT_LABELS[match.result] : ""}
+                                </span>
+                            </div>
+                        ))}
+                    </div>
+                ))}
+
+                {tournament.payouts && (
+                    <p className="text-xs text-gray-500">
+                        {tournament.isSettled ? "Prize pool paid out" : "Prize pool not settled yet"}:{" "}
+                        {Object.entries(tournament.payouts)
+                            .filter(([, amount]) => amount !== "0")
+                            .map(([eoa, amount]) => `${formatShortAddress(eoa)} $${amount}`)
+                            .join(", ")}
+                    </p>
+                )}
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-4">
+            <div className="rounded-md bg-amber-950/20 p-4 text-sm border border-amber-900/30 shadow-inner space-y-3">
+                <p className="text-amber-400 font-medium flex items-center">
+                    <Trophy className="h-4 w-4 mr-1.5" />
+                    New Tournament
+                </p>
+                <Input
+                    id="tournamentName"
+                    type="text"
+                    value={name}
+                    maxLength={40}
+                    onChange={(e) => setName(e.target.value)}
+                    placeholder="Name (optional)"
+                />
+                <div className="flex flex-wrap gap-2">
+                    {FORMAT_OPTIONS.map((option) => (
+                        <Button
+                            key={option.value}
+                            type="button"
+                            variant="ghost"
+                            size="sm"
+                            className={cn(
+                                "h-8 px-3 border border-amber-900/40 text-amber-200",
+                                format === option.value && "bg-amber-900/40 text-amber-300 border-amber-700/60"
+                            )}
+                            onClick={() => setFormat(option.value)}
+                        >
+                            {option.label}
+                        </Button>
+                    ))}
+                </div>
+                <div className="flex flex-wrap items-center gap-2">
+                    <span className="text-amber-200/80 text-xs mr-1">Players</span>
+                    {MAX_PLAYERS_OPTIONS.map((option) => (
+                        <Button
+                            key={option}
+                            type="button"
+                            variant="ghost"
+                            size="sm"
+                            className={cn(
+                                "h-8 px-3 border border-amber-900/40 text-amber-200",
+                                maxPlayers === option && "bg-amber-900/40 text-amber-300 border-amber-700/60"
+                            )}
+                            onClick={() => setMaxPlayers(option)}
+                        >
+                            {option}
+                        </Button>
+                    ))}
+                </div>
+                <div className="flex flex-wrap items-center gap-2">
+                    <span className="text-amber-200/80 text-xs mr-1">Entry</span>
+                    {ENTRY_STAKE_OPTIONS.map((option) => (
+                        <Button
+                            key={option}
+                            type="button"
+                            variant="ghost"
+                            size="sm"
+                            className={cn(
+                                "h-8 px-3 border border-amber-900/40 text-amber-200",
+                                entryStake === option && "bg-amber-900/40 text-amber-300 border-amber-700/60"
+                            )}
+                            onClick={() => setEntryStake(option)}
+                        >
+                            ${option}
+                        </Button>
+                    ))}
+                </div>
+                <p className="text-amber-200/70 text-xs">
+                    Every entry goes into one prize pool. {format === "round-robin" ? "The leader on points" : "The champion"} takes it all.
+                </p>
+                <Button type="button" variant="glowCyan" className="w-full" onClick={handleCreate}>
+                    Create Tournament
+                </Button>
+            </div>
+
+            <div className="flex items-center justify-between">
+                <p className="text-sm text-gray-300 font-medium">Tournaments</p>
+                <Button type="button" variant="ghost" size="sm" className="h-8 w-8 p-0 text-gray-400" onClick={onGetTournaments}>
+                    <RefreshCw className="h-4 w-4" />
+                </Button>
+            </div>
+
+            {tournaments.length === 0 ? (
+                <div className="text-center py-6 text-gray-500 text-sm">
+                    <Trophy className="h-8 w-8 mx-auto mb-2 opacity-40" />
+                    No tournaments yet. Create the first one!
+                </div>
+            ) : (
+                <div className="space-y-1">
+                    {tournaments.map((summary) => (
+                        <button
+                            key={summary.id}
+                            type="button"
+                            className="w-full flex items-center gap-3 rounded-md px-3 py-2 text-sm text-left bg-gray-800/40 border border-gray-700/30 hover:border-amber-700/50"
+                            onClick={() => onGetTournament(summary.id)}
+                        >
+                            <span className="flex-1 text-gray-300 truncate">{summary.name}</span>
+                            <span className="text-xs text-gray-500 flex items-center">
+                                <Users className="h-3 w-3 mr-1" />
+                                {summary.players.length}/{summary.maxPlayers}
+                            </span>
+                            <span className="w-16 text-right text-amber-300">${summary.prizePool}</span>
+                            <span className="w-16 text-right text-xs text-gray-400">
+                                {summary.status === "running" && summary.round ? `Round ${summary.round}` : STATUS_LABELS[summary.status]}
+                            </span>
+                        </button>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
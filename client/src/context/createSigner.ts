@@ -59,6 +59,22 @@ export const createEthersSigner = (privateKey: string): WalletSigner => {
     }
 };
 
+/**
+ * Signs a game move with the session key
+ * The server and any auditor recover the signer from keccak256 of JSON [roomId, seq, pos].
+ *
+ * @param privateKey - Session key private key
+ * @param roomId - Room the move is made in
+ * @param seq - Sequence number of the move (the room's nextSeq)
+ * @param pos - Board position
+ * @returns The hex signature
+ */
+export const signGameMove = (privateKey: string, roomId: string, seq: number, pos: number): Hex => {
+    const wallet = new ethers.Wallet(privateKey);
+    const digest = ethers.id(JSON.stringify([roomId, seq, pos]));
+    return wallet.signingKey.sign(digest).serialized as Hex;
+};
+
 /**
  * Generates a random keypair using ethers v6
  *
@@ -2,6 +2,7 @@ import { useState, useEffect, useCallback } from 'react';
 import type { 
   GameState, 
   GameOver, 
+  Series,
   WebSocketMessages,
   AppSessionSignatureRequestMessage,
   AppSessionStartGameRequestMessage
@@ -28,12 +29,20 @@ export function useGameState(
   const [gameState, setGameState] = useState<GameState>(INITIAL_GAME_STATE);
   const [gameOver, setGameOver] = useState<GameOver | null>(null);
   const [roomId, setRoomId] = useState<string>('');
+  const [joinCode, setJoinCode] = useState<string | null>(null);
   const [errorMessage, setErrorMessage] = useState<string | null>(null);
   const [isRoomReady, setIsRoomReady] = useState(false);
   const [isGameStarted, setIsGameStarted] = useState(false);
   const [isHost, setIsHost] = useState(false);
   const [pendingSignatureRequest, setPendingSignatureRequest] = useState<AppSessionSignatureRequestMessage | AppSessionStartGameRequestMessage | null>(null);
   const [awaitingHostStart, setAwaitingHostStart] = useState(false);
+  const [signingDeadline, setSigningDeadline] = useState<number | null>(null);
+  const [opponentReconnectDeadline, setOpponentReconnectDeadline] = useState<number | null>(null);
+  const [series, setSeries] = useState<Series | null>(null);
+  const [rematchRequestedBy, setRematchRequestedBy] = useState<string | null>(null);
+  const [isRoomClosed, setIsRoomClosed] = useState(false);
+  const [spectatorCount, setSpectatorCount] = useState(0);
+  const [isSpectating, setIsSpectating] = useState(false);
 
   // App session signature handling
   const { 
@@ -63,6 +72,7 @@ export function useGameState(
       case 'room:created':
         console.log("Room created:", lastMessage.roomId, "role:", lastMessage.role);
         setRoomId(lastMessage.roomId);
+        setJoinCode(lastMessage.joinCode ?? null);
         
         // Set host status based on role
         if (lastMessage.role === 'host') {
@@ -83,7 +93,10 @@ export function useGameState(
           roomId: lastMessage.roomId,
           board: lastMessage.board,
           nextTurn: lastMessage.nextTurn,
-          players: lastMessage.players
+          players: lastMessage.players,
+          clock: lastMessage.clock,
+          drawOffer: lastMessage.drawOffer,
+          nextSeq: lastMessage.nextSeq
         });
         
         // Set host status based on player role (X is always host)
@@ -103,6 +116,72 @@ export function useGameState(
         setErrorMessage(null);
         break;
 
+      case 'queue:matched':
+        console.log("Matched into room:", lastMessage.roomId, "role:", lastMessage.role);
+        setRoomId(lastMessage.roomId);
+        setIsHost(lastMessage.role === 'host');
+        setErrorMessage(null);
+        break;
+
+      case 'room:rejoined':
+        console.log("Rejoined room:", lastMessage.roomId, "role:", lastMessage.role);
+        setRoomId(lastMessage.roomId);
+        setIsHost(lastMessage.role === 'host');
+        setJoinCode(lastMessage.joinCode ?? null);
+        setIsRoomReady(lastMessage.isReady);
+        setIsGameStarted(lastMessage.isGameStarted);
+        setSeries(lastMessage.series ?? null);
+        setErrorMessage(null);
+        break;
+
+      case 'room:spectating':
+        // Watching without a seat: room broadcasts arrive, but nothing is ours to move or sign
+        setRoomId(lastMessage.roomId);
+        setIsSpectating(true);
+        setIsRoomReady(lastMessage.isReady);
+        setIsGameStarted(lastMessage.isGameStarted);
+        setSeries(lastMessage.series ?? null);
+        setErrorMessage(null);
+        break;
+
+      case 'player:disconnected':
+        if (lastMessage.eoa !== eoaAddress) {
+          setOpponentReconnectDeadline(lastMessage.reconnectDeadline);
+        }
+        break;
+
+      case 'player:reconnected':
+        if (lastMessage.eoa !== eoaAddress) {
+          setOpponentReconnectDeadline(null);
+        }
+        break;
+
+      case 'player:left':
+        setOpponentReconnectDeadline(null);
+        if (lastMessage.eoa !== eoaAddress) {
+          setErrorMessage('Your opponent left the game');
+        }
+        break;
+
+      case 'player:removed':
+        // Our guest could not fund the stake: the room is open again and waits for another one
+        if (lastMessage.eoa !== eoaAddress) {
+          setIsRoomReady(false);
+          setPendingSignatureRequest(null);
+          setAwaitingHostStart(false);
+          setSigningDeadline(null);
+          setOpponentReconnectDeadline(null);
+        }
+        break;
+
+      case 'draw:offered':
+        setGameState(prev => ({ ...prev, drawOffer: lastMessage.eoa }));
+        break;
+
+      case 'draw:declined':
+        setGameState(prev => ({ ...prev, drawOffer: null }));
+        break;
+
       case 'room:ready':
         setRoomId(lastMessage.roomId);
         setIsRoomReady(true);
@@ -111,20 +190,68 @@ export function useGameState(
         
       case 'game:started':
         setIsGameStarted(true);
+        setSigningDeadline(null);
         setErrorMessage(null);
         break;
 
       case 'game:over':
         setGameOver({
           winner: lastMessage.winner,
-          board: lastMessage.board
+          board: lastMessage.board,
+          reason: lastMessage.reason,
+          moveLog: lastMessage.moveLog,
+          series: lastMessage.series,
+          ratingChanges: lastMessage.ratingChanges,
+          rematchDeadline: lastMessage.rematchDeadline,
+          isSeriesOver: lastMessage.isSeriesOver,
+          seriesWinner: lastMessage.seriesWinner,
+          nextGameAt: lastMessage.nextGameAt
         });
+        setSeries(lastMessage.series ?? null);
+        setRematchRequestedBy(null);
         setErrorMessage(null);
         break;
 
+      case 'rematch:requested':
+        setRematchRequestedBy(lastMessage.eoa);
+        break;
+
+      case 'rematch:started':
+        // Same room, fresh game with sides swapped; the new app session is signed as before
+        setGameState(INITIAL_GAME_STATE);
+        setGameOver(null);
+        setIsGameStarted(false);
+        setIsRoomReady(true);
+        setIsHost(lastMessage.players.host.toLowerCase() === eoaAddress.toLowerCase());
+        setPendingSignatureRequest(null);
+        setAwaitingHostStart(false);
+        setSeries(lastMessage.series);
+        setRematchRequestedBy(null);
+        setErrorMessage(null);
+        break;
+
+      case 'series:nextGame':
+        // Next game of a best-of series on the same app session, sides swapped, no new signatures
+        setGameState(INITIAL_GAME_STATE);
+        setGameOver(null);
+        setIsHost(lastMessage.players.host.toLowerCase() === eoaAddress.toLowerCase());
+        setSeries(lastMessage.series);
+        setErrorMessage(null);
+        break;
+
+      case 'room:spectators':
+        setSpectatorCount(lastMessage.spectatorCount);
+        break;
+
+      case 'room:closed':
+        setIsRoomClosed(true);
+        setRematchRequestedBy(null);
+        break;
+
       case 'appSession:signatureRequest':
         console.log("Received signature request for participant B:", lastMessage);
         setPendingSignatureRequest(lastMessage as AppSessionSignatureRequestMessage);
+        setSigningDeadline(lastMessage.signingDeadline ?? null);
         
         // Automatically sign for participant B (guest)
         if (!isHost) {
@@ -140,6 +267,7 @@ export function useGameState(
       case 'appSession:startGameRequest':
         console.log("Received start game request for participant A (host):", lastMessage);
         setPendingSignatureRequest(lastMessage as AppSessionStartGameRequestMessage);
+        setSigningDeadline(lastMessage.signingDeadline ?? null);
         setAwaitingHostStart(true);
         break;
 
@@ -149,6 +277,14 @@ export function useGameState(
         setErrorMessage(null);
         break;
 
+      case 'appSession:aborted':
+        // Nothing was locked; room:closed follows and the error sends us back to the lobby
+        setPendingSignatureRequest(null);
+        setAwaitingHostStart(false);
+        setSigningDeadline(null);
+        setErrorMessage(`Game cancelled: ${lastMessage.reason}`);
+        break;
+
       case 'error':
         setErrorMessage(lastMessage.msg);
         break;
@@ -196,9 +332,17 @@ export function useGameState(
     setIsGameStarted(false);
     setIsHost(false);
     setRoomId('');
+    setJoinCode(null);
     setErrorMessage(null);
     setPendingSignatureRequest(null);
     setAwaitingHostStart(false);
+    setSigningDeadline(null);
+    setOpponentReconnectDeadline(null);
+    setSeries(null);
+    setRematchRequestedBy(null);
+    setIsRoomClosed(false);
+    setSpectatorCount(0);
+    setIsSpectating(false);
   }, []);
 
   // TODO: Add integration with @erc7824/nitrolite for persisting game state
@@ -207,6 +351,7 @@ export function useGameState(
     gameState,
     gameOver,
     roomId,
+    joinCode,
     errorMessage,
     isRoomReady,
     isGameStarted,
@@ -218,6 +363,13 @@ export function useGameState(
     resetGame,
     pendingSignatureRequest,
     awaitingHostStart,
+    signingDeadline,
+    opponentReconnectDeadline,
+    series,
+    rematchRequestedBy,
+    isRoomClosed,
+    spectatorCount,
+    isSpectating,
     signAndStartGame,
     isSigningInProgress,
     signatureError
@@ -1,5 +1,32 @@
 import { useEffect, useRef, useState, useCallback } from "react";
-import type { WebSocketMessages, JoinRoomPayload, MovePayload } from "../types";
+import type {
+    WebSocketMessages,
+    JoinRoomPayload,
+    RejoinRoomPayload,
+    QueueJoinPayload,
+    LeaderboardQuery,
+    CreateTournamentPayload,
+    MovePayload,
+    AuthChallengeMessage,
+} from "../types";
+import { WalletStore } from "../store";
+import { useWebSocketContext } from "../context/WebSocketContext";
+
+// Signs the server's auth challenge with the connected wallet (EIP-712)
+async function signAuthChallenge(challenge: AuthChallengeMessage): Promise<string> {
+    const walletClient = WalletStore.getWalletClient();
+    if (!walletClient?.account) {
+        throw new Error("Wallet not connected");
+    }
+
+    return walletClient.signTypedData({
+        account: walletClient.account,
+        domain: challenge.domain,
+        types: challenge.types,
+        primaryType: challenge.primaryType,
+        message: { ...challenge.message, expire: BigInt(challenge.message.expire) },
+    });
+}
 
 // WebSocket hook for connecting to the game server
 export function useWebSocket() {
@@ -8,6 +35,11 @@ export function useWebSocket() {
     const webSocketRef = useRef<WebSocket | null>(null);
     const [lastMessage, setLastMessage] = useState<WebSocketMessages | null>(null);
 
+    // Game server auth: messages wait in the queue until the wallet has signed the challenge
+    const { keyPair } = useWebSocketContext();
+    const authenticatedAddressRef = useRef<string | null>(null);
+    const pendingMessagesRef = useRef<object[]>([]);
+
     // WebSocket server URL (use environment variable if available)
     const wsUrl = import.meta.env.VITE_WS_URL || "ws://localhost:8080";
 
@@ -22,6 +54,8 @@ export function useWebSocket() {
 
         webSocket.onclose = () => {
             setIsConnected(false);
+            authenticatedAddressRef.current = null;
+            pendingMessagesRef.current = [];
         };
 
         webSocket.onerror = () => {
@@ -33,6 +67,27 @@ export function useWebSocket() {
             try {
                 const message = JSON.parse(event.data);
 
+                if (message.type === "auth:challenge") {
+                    signAuthChallenge(message as AuthChallengeMessage)
+                        .then((signature) => {
+                            webSocket.send(JSON.stringify({ type: "auth:verify", payload: { signature } }));
+                        })
+                        .catch((err) => {
+                            console.error("Failed to sign game server auth challenge", err);
+                            pendingMessagesRef.current = [];
+                            setError("Wallet signature is required to play");
+                        });
+                    return;
+                }
+
+                if (message.type === "auth:success") {
+                    authenticatedAddressRef.current = message.address.toLowerCase();
+                    pendingMessagesRef.current.forEach((pending) => webSocket.send(JSON.stringify(pending)));
+                    pendingMessagesRef.current = [];
+                } else if (message.type === "error" && message.code === "AUTH_FAILED") {
+                    pendingMessagesRef.current = [];
+                }
+
                 setLastMessage(message as WebSocketMessages);
             } catch (err) {
                 console.error("Error parsing WebSocket message", err);
@@ -59,17 +114,63 @@ export function useWebSocket() {
         [isConnected]
     );
 
+    // Send a message as the given wallet, authenticating the connection first if needed
+    const sendAuthenticatedMessage = useCallback(
+        (address: string, message: object) => {
+            if (authenticatedAddressRef.current === address.toLowerCase()) {
+                sendMessage(message);
+                return;
+            }
+
+            pendingMessagesRef.current.push(message);
+            sendMessage({
+                type: "auth:request",
+                payload: { address, sessionKey: keyPair?.address },
+            });
+        },
+        [sendMessage, keyPair]
+    );
+
     // Join a room
     const joinRoom = useCallback(
         (payload: JoinRoomPayload) => {
-            sendMessage({
+            sendAuthenticatedMessage(payload.eoa, {
                 type: "joinRoom",
                 payload,
             });
         },
-        [sendMessage]
+        [sendAuthenticatedMessage]
     );
 
+    // Reclaim a held seat after a dropped connection
+    const rejoinRoom = useCallback(
+        (payload: RejoinRoomPayload) => {
+            sendAuthenticatedMessage(payload.eoa, {
+                type: "rejoinRoom",
+                payload,
+            });
+        },
+        [sendAuthenticatedMessage]
+    );
+
+    // Wait in the matchmaking queue for an opponent
+    const joinQueue = useCallback(
+        (eoa: string, payload: QueueJoinPayload) => {
+            sendAuthenticatedMessage(eoa, {
+                type: "queue:join",
+                payload,
+            });
+        },
+        [sendAuthenticatedMessage]
+    );
+
+    // Stop waiting for an opponent
+    const leaveQueue = useCallback(() => {
+        sendMessage({
+            type: "queue:leave",
+        });
+    }, [sendMessage]);
+
     // Make a move
     const makeMove = useCallback(
         (payload: MovePayload) => {
@@ -81,6 +182,72 @@ export function useWebSocket() {
         [sendMessage]
     );
 
+    // Concede the game to the opponent
+    const resign = useCallback(
+        (roomId: string) => {
+            sendMessage({
+                type: "resign",
+                payload: { roomId },
+            });
+        },
+        [sendMessage]
+    );
+
+    // Offer the opponent a draw
+    const offerDraw = useCallback(
+        (roomId: string) => {
+            sendMessage({
+                type: "offerDraw",
+                payload: { roomId },
+            });
+        },
+        [sendMessage]
+    );
+
+    // Accept or decline the opponent's draw offer
+    const respondDraw = useCallback(
+        (roomId: string, accept: boolean) => {
+            sendMessage({
+                type: "respondDraw",
+                payload: { roomId, accept },
+            });
+        },
+        [sendMessage]
+    );
+
+    // Ask the opponent for a rematch after the game is over
+    const requestRematch = useCallback(
+        (roomId: string) => {
+            sendMessage({
+                type: "rematch:request",
+                payload: { roomId },
+            });
+        },
+        [sendMessage]
+    );
+
+    // Accept the opponent's rematch request
+    const acceptRematch = useCallback(
+        (roomId: string) => {
+            sendMessage({
+                type: "rematch:accept",
+                payload: { roomId },
+            });
+        },
+        [sendMessage]
+    );
+
+    // Watch a room without taking a seat; a private room needs its join code
+    const spectateRoom = useCallback(
+        (roomId: string, joinCode?: string) => {
+            sendMessage({
+                type: "spectateRoom",
+                payload: { roomId, joinCode },
+            });
+        },
+        [sendMessage]
+    );
+
     // Start the game (host only)
     const startGame = useCallback(
         (roomId: string) => {
@@ -92,6 +259,101 @@ export function useWebSocket() {
         [sendMessage]
     );
 
+    // Get the rating, totals and history of an address
+    const getProfile = useCallback(
+        (eoa: string) => {
+            sendMessage({
+                type: "getProfile",
+                payload: { eoa },
+            });
+        },
+        [sendMessage]
+    );
+
+    // Get a page of the leaderboard
+    const getLeaderboard = useCallback(
+        (query: LeaderboardQuery) => {
+            sendMessage({
+                type: "getLeaderboard",
+                payload: query,
+            });
+        },
+        [sendMessage]
+    );
+
+    // Create a tournament (the creator is registered as its first player)
+    const createTournament = useCallback(
+        (eoa: string, payload: CreateTournamentPayload) => {
+            sendAuthenticatedMessage(eoa, {
+                type: "tournament:create",
+                payload,
+            });
+        },
+        [sendAuthenticatedMessage]
+    );
+
+    // Register for a tournament that is still open
+    const registerTournament = useCallback(
+        (eoa: string, tournamentId: string) => {
+            sendAuthenticatedMessage(eoa, {
+                type: "tournament:register",
+                payload: { tournamentId },
+            });
+        },
+        [sendAuthenticatedMessage]
+    );
+
+    // Withdraw from a tournament before it is funded
+    const unregisterTournament = useCallback(
+        (tournamentId: string) => {
+            sendMessage({
+                type: "tournament:unregister",
+                payload: { tournamentId },
+            });
+        },
+        [sendMessage]
+    );
+
+    // Close registration early (creator only)
+    const startTournament = useCallback(
+        (tournamentId: string) => {
+            sendMessage({
+                type: "tournament:start",
+                payload: { tournamentId },
+            });
+        },
+        [sendMessage]
+    );
+
+    // Send the prize pool app session signature
+    const sendTournamentSignature = useCallback(
+        (tournamentId: string, signature: string) => {
+            sendMessage({
+                type: "tournament:signature",
+                payload: { tournamentId, signature },
+            });
+        },
+        [sendMessage]
+    );
+
+    // List tournaments
+    const getTournaments = useCallback(() => {
+        sendMessage({
+            type: "getTournaments",
+        });
+    }, [sendMessage]);
+
+    // Get a tournament's bracket or standings
+    const getTournament = useCallback(
+        (tournamentId: string) => {
+            sendMessage({
+                type: "getTournament",
+                payload: { tournamentId },
+            });
+        },
+        [sendMessage]
+    );
+
     // Get available rooms
     const getAvailableRooms = useCallback(() => {
         sendMessage({
@@ -121,15 +383,45 @@ export function useWebSocket() {
         [sendMessage]
     );
 
+    // Cancel the app session signature round of a room
+    const cancelAppSession = useCallback(
+        (roomId: string) => {
+            sendMessage({
+                type: "appSession:cancel",
+                payload: { roomId },
+            });
+        },
+        [sendMessage]
+    );
+
     return {
         isConnected,
         error,
         lastMessage,
         joinRoom,
+        rejoinRoom,
+        joinQueue,
+        leaveQueue,
         makeMove,
+        resign,
+        offerDraw,
+        respondDraw,
+        requestRematch,
+        acceptRematch,
+        spectateRoom,
         startGame,
         getAvailableRooms,
+        getProfile,
+        getLeaderboard,
+        createTournament,
+        registerTournament,
+        unregisterTournament,
+        startTournament,
+        sendTournamentSignature,
+        getTournaments,
+        getTournament,
         sendAppSessionSignature,
         sendAppSessionStartGame,
+        cancelAppSession,
     };
 }
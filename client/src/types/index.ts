@@ -16,42 +16,286 @@ export interface Players {
   O: string; // EOA address of O player (guest)
 }
 
+// Move and game clocks (times in ms)
+export interface GameClock {
+  moveTimeMs: number; // Time allowed for a single move
+  gameTimeMs: number; // Total thinking time per player
+  remainingMs: Record<string, number>; // Banked game time by EOA, as of turnStartedAt
+  turn: string | null; // EOA on the clock, null once stopped
+  turnStartedAt: number | null;
+  deadline: number | null; // When the player on turn runs out of time
+}
+
 // Game state from server
 export interface GameState {
   roomId: string;
   board: Board;
   nextTurn: PlayerSymbol;
   players: Players;
+  clock?: GameClock;
+  drawOffer?: string | null; // EOA of the player whose draw offer is open
+  nextSeq?: number; // Sequence number the next move must be signed with
+}
+
+// Signed move as recorded by the server
+export interface MoveLogEntry {
+  seq: number;
+  player: string; // EOA
+  pos: number;
+  timestamp: number;
+  signer: string; // Session key that signed the move
+  signature: string;
 }
 
+// Full move log sent at game over, replayable to audit the payout
+export interface MoveLog {
+  roomId: string;
+  gameType: string;
+  players: { host: string; guest: string };
+  moves: MoveLogEntry[];
+  delegations: Record<string, { message: unknown; signature: string }>; // Signed auth Policy by EOA
+}
+
+// Running score of the games played in a room
+export interface Series {
+  bestOf?: number; // Games in a best-of series settled by one app session (1 for single games)
+  gamesPlayed: number;
+  draws: number;
+  wins: Record<string, number>; // Games won by EOA
+}
+
+// How a game ended
+export type GameEndReason = 'completed' | 'timeout' | 'resignation' | 'agreement';
+
 // Game over state
 export interface GameOver {
   winner: PlayerSymbol | null; // null for draw
   board: Board;
+  reason?: GameEndReason;
+  moveLog?: MoveLog;
+  series?: Series;
+  ratingChanges?: Record<string, RatingChange> | null; // Elo change by player EOA, null for practice games
+  rematchDeadline?: number | null; // When the room closes unless a rematch starts
+  isSeriesOver?: boolean; // False while a best-of series still has games to play
+  seriesWinner?: string | null; // Series winner EOA once the series is over, null for a drawn series
+  nextGameAt?: number | null; // When the next game of an undecided series starts
+}
+
+export interface RatingChange {
+  before: number;
+  after: number;
+}
+
+// One finished game in a player's history
+export interface GameHistoryEntry {
+  roomId: string;
+  gameType: string;
+  opponent: string;
+  result: 'win' | 'loss' | 'draw';
+  reason: GameEndReason;
+  ratingBefore: number;
+  ratingAfter: number;
+  stake: string;
+  asset: string;
+  endedAt: number;
 }
 
+// Elo rating, totals and recent games of an address
+export interface PlayerProfile {
+  eoa: string;
+  rating: number;
+  gamesPlayed: number;
+  wins: number;
+  losses: number;
+  draws: number;
+  history: GameHistoryEntry[]; // Newest first
+}
+
+// Strength of the bot in practice games
+export type BotDifficulty = 'easy' | 'medium' | 'hard';
+
+// Staked rooms lock both stakes in an app session; free rooms need no channel or signatures
+export type RoomMode = 'free' | 'staked';
+
 // Room join payload
 export interface JoinRoomPayload {
   roomId?: string | undefined; // Explicitly marked as optional
   eoa: string;
+  stake?: string; // Stake per player, only when creating a room
+  asset?: string; // Stake asset, only when creating a room
+  isPrivate?: boolean; // Hide the room from the lobby and give it a join code, only when creating a room
+  allowedGuests?: string[]; // Only these addresses may join as guest, only when creating a room
+  joinCode?: string; // Join code of a private room, instead of roomId
+  bestOf?: number; // Games in a series settled by one app session, only when creating a room
+  mode?: RoomMode; // Defaults to 'staked'; free rooms take no stake, only when creating a room
+  practice?: boolean; // Play the server's bot in a free room, only when creating a room
+  botDifficulty?: BotDifficulty; // Strength of the practice bot
+}
+
+// Rejoin room payload (reclaim a held seat after a dropped connection)
+export interface RejoinRoomPayload {
+  roomId: string;
+  eoa: string;
+}
+
+// Leaderboard query; every field is optional
+export type LeaderboardWindow = 'daily' | 'weekly' | 'all-time';
+export type LeaderboardSort = 'rating' | 'wins' | 'netWon';
+
+export interface LeaderboardQuery {
+  window?: LeaderboardWindow;
+  sortBy?: LeaderboardSort;
+  asset?: string;
+  offset?: number;
+  limit?: number; // At most 100
+}
+
+export interface LeaderboardEntry {
+  rank: number;
+  eoa: string;
+  rating: number;
+  gamesPlayed: number;
+  wins: number;
+  losses: number;
+  draws: number;
+  netWon: string; // Settled winnings minus stakes, in the leaderboard's asset
+}
+
+// Tournaments
+export type TournamentFormat = 'single-elimination' | 'round-robin';
+export type TournamentStatus = 'registering' | 'funding' | 'running' | 'finished' | 'cancelled';
+
+export interface CreateTournamentPayload {
+  format: TournamentFormat;
+  maxPlayers: number; // 2 to 32
+  name?: string;
+  entryStake?: string; // Amount every player puts into the prize pool
+  asset?: string;
+  gameType?: string;
+  bestOf?: number; // Games per match
+}
+
+export interface TournamentMatch {
+  id: string; // '<round>-<index>'
+  round: number;
+  players: (string | null)[]; // null marks a bye or a slot still to be decided
+  roomId: string | null;
+  status: 'pending' | 'ready' | 'finished';
+  winner: string | null;
+  result: 'played' | 'draw' | 'walkover' | 'bye' | 'forfeit' | 'tiebreak' | null;
+  replays: number; // Drawn elimination games replayed so far
+}
+
+export interface TournamentStanding {
+  eoa: string;
+  points: number; // Win 1, draw 0.5
+  wins: number;
+  draws: number;
+  losses: number;
+}
+
+export interface TournamentSummary {
+  id: string;
+  name: string;
+  format: TournamentFormat;
+  creator: string;
+  gameType: string;
+  entryStake: string;
+  asset: string;
+  maxPlayers: number;
+  bestOf: number;
+  status: TournamentStatus;
+  players: string[]; // Registration order, also the prize pool allocation order
+  prizePool: string;
+  appId: string | null; // Prize pool app session
+  payouts: Record<string, string> | null; // Prize per player once finished, after the fee once settled
+  isSettled: boolean;
+  fundingDeadline: number | null;
+  cancelReason: string | null;
+  createdAt: number;
+  startedAt: number | null;
+  finishedAt: number | null;
+  round?: number | null; // Round in progress, only in the tournament list
+}
+
+export interface Tournament extends TournamentSummary {
+  rounds: TournamentMatch[][];
+  standings: TournamentStanding[] | null; // Round robin only
+}
+
+// Matchmaking queue payload; the queued player is the authenticated wallet
+export interface QueueJoinPayload {
+  stake?: string;
+  asset?: string;
+  gameType?: string;
 }
 
 // Move payload
 export interface MovePayload {
   roomId: string;
   pos: number; // 0-8
+  signature: string; // Session key signature over [roomId, seq, pos]
 }
 
 // WebSocket message types
 export type WebSocketMessageType = 
+  | 'auth:request'
+  | 'auth:verify'
+  | 'auth:challenge'
+  | 'auth:success'
   | 'joinRoom'
+  | 'rejoinRoom'
   | 'startGame'
   | 'move'
+  | 'resign'
+  | 'offerDraw'
+  | 'respondDraw'
   | 'getAvailableRooms'
   | 'room:state'
   | 'room:ready'
   | 'room:created'
   | 'room:available'
+  | 'room:rejoined'
+  | 'player:disconnected'
+  | 'player:reconnected'
+  | 'player:left'
+  | 'player:removed'
+  | 'draw:offered'
+  | 'draw:declined'
+  | 'rematch:request'
+  | 'rematch:accept'
+  | 'rematch:requested'
+  | 'rematch:started'
+  | 'series:nextGame'
+  | 'room:closed'
+  | 'spectateRoom'
+  | 'queue:join'
+  | 'queue:leave'
+  | 'queue:joined'
+  | 'queue:left'
+  | 'queue:matched'
+  | 'getProfile'
+  | 'player:profile'
+  | 'getLeaderboard'
+  | 'leaderboard'
+  | 'tournament:create'
+  | 'tournament:register'
+  | 'tournament:unregister'
+  | 'tournament:start'
+  | 'tournament:signature'
+  | 'tournament:created'
+  | 'tournament:update'
+  | 'tournament:signatureRequest'
+  | 'tournament:signatureConfirmed'
+  | 'tournament:matchReady'
+  | 'tournament:finished'
+  | 'tournament:cancelled'
+  | 'getTournaments'
+  | 'getTournament'
+  | 'tournaments'
+  | 'tournament'
+  | 'room:spectating'
+  | 'room:spectators'
   | 'game:started'
   | 'game:over'
   | 'onlineUsers'
@@ -61,7 +305,9 @@ export type WebSocketMessageType =
   | 'appSession:startGameRequest'
   | 'appSession:signatureConfirmed'
   | 'appSession:signature'
-  | 'appSession:startGame';
+  | 'appSession:startGame'
+  | 'appSession:cancel'
+  | 'appSession:aborted';
 
 // Base WebSocket message
 export interface WebSocketMessage {
@@ -70,11 +316,72 @@ export interface WebSocketMessage {
 
 // Client -> Server messages
 
+// Auth request payload (wallet to authenticate and the session key it delegates to)
+export interface AuthRequestPayload {
+  address: string;
+  sessionKey?: string;
+}
+
+export interface AuthRequestMessage extends WebSocketMessage {
+  type: 'auth:request';
+  payload: AuthRequestPayload;
+}
+
+export interface AuthVerifyMessage extends WebSocketMessage {
+  type: 'auth:verify';
+  payload: {
+    signature: string;
+  };
+}
+
 export interface JoinRoomMessage extends WebSocketMessage {
   type: 'joinRoom';
   payload: JoinRoomPayload;
 }
 
+export interface RejoinRoomMessage extends WebSocketMessage {
+  type: 'rejoinRoom';
+  payload: RejoinRoomPayload;
+}
+
+export interface QueueJoinMessage extends WebSocketMessage {
+  type: 'queue:join';
+  payload: QueueJoinPayload;
+}
+
+export interface QueueLeaveMessage extends WebSocketMessage {
+  type: 'queue:leave';
+}
+
+export interface GetLeaderboardMessage extends WebSocketMessage {
+  type: 'getLeaderboard';
+  payload?: LeaderboardQuery;
+}
+
+export interface GetProfileMessage extends WebSocketMessage {
+  type: 'getProfile';
+  payload: { eoa: string };
+}
+
+export interface CreateTournamentMessage extends WebSocketMessage {
+  type: 'tournament:create';
+  payload: CreateTournamentPayload;
+}
+
+export interface TournamentActionMessage extends WebSocketMessage {
+  type: 'tournament:register' | 'tournament:unregister' | 'tournament:start' | 'getTournament';
+  payload: { tournamentId: string };
+}
+
+export interface TournamentSignatureMessage extends WebSocketMessage {
+  type: 'tournament:signature';
+  payload: { tournamentId: string; signature: string };
+}
+
+export interface GetTournamentsMessage extends WebSocketMessage {
+  type: 'getTournaments';
+}
+
 export interface StartGamePayload {
   roomId: string;
 }
@@ -89,8 +396,63 @@ export interface MoveMessage extends WebSocketMessage {
   payload: MovePayload;
 }
 
+export interface ResignMessage extends WebSocketMessage {
+  type: 'resign';
+  payload: { roomId: string };
+}
+
+export interface OfferDrawMessage extends WebSocketMessage {
+  type: 'offerDraw';
+  payload: { roomId: string };
+}
+
+export interface RespondDrawMessage extends WebSocketMessage {
+  type: 'respondDraw';
+  payload: { roomId: string; accept: boolean };
+}
+
+// Watch a room read-only (no auth needed); spectators cannot move or sign.
+// Private rooms need the join code unless the connection is an invited guest
+export interface SpectateRoomMessage extends WebSocketMessage {
+  type: 'spectateRoom';
+  payload: { roomId: string; joinCode?: string };
+}
+
+export interface RematchRequestMessage extends WebSocketMessage {
+  type: 'rematch:request';
+  payload: { roomId: string };
+}
+
+export interface RematchAcceptMessage extends WebSocketMessage {
+  type: 'rematch:accept';
+  payload: { roomId: string };
+}
+
 // Server -> Client messages
 
+// EIP-712 Policy the wallet signs to authenticate the game connection
+export interface AuthChallengeMessage extends WebSocketMessage {
+  type: 'auth:challenge';
+  domain: { name: string };
+  types: Record<string, { name: string; type: string }[]>;
+  primaryType: 'Policy';
+  message: {
+    challenge: string;
+    scope: string;
+    wallet: string;
+    application: string;
+    participant: string;
+    expire: string;
+    allowances: { asset: string; amount: string }[];
+  };
+}
+
+export interface AuthSuccessMessage extends WebSocketMessage {
+  type: 'auth:success';
+  address: string;
+  sessionKey: string;
+}
+
 export interface RoomStateMessage extends WebSocketMessage, GameState {
   type: 'room:state';
 }
@@ -100,10 +462,200 @@ export interface RoomReadyMessage extends WebSocketMessage {
   roomId: string;
 }
 
+export interface LeaderboardMessage extends WebSocketMessage {
+  type: 'leaderboard';
+  window: LeaderboardWindow;
+  sortBy: LeaderboardSort;
+  asset: string;
+  offset: number;
+  limit: number;
+  total: number; // Ranked players in the window
+  entries: LeaderboardEntry[];
+}
+
+export interface TournamentsMessage extends WebSocketMessage {
+  type: 'tournaments';
+  tournaments: TournamentSummary[]; // Newest first
+}
+
+// Reply to getTournament and every later change of a tournament the player is registered in
+export interface TournamentMessage extends WebSocketMessage {
+  type: 'tournament' | 'tournament:created' | 'tournament:update' | 'tournament:finished';
+  tournament: Tournament;
+}
+
+// Registration closed: every player signs the prize pool app session before fundingDeadline
+export interface TournamentSignatureRequestMessage extends WebSocketMessage {
+  type: 'tournament:signatureRequest';
+  tournamentId: string;
+  appSessionData: CreateAppSessionRequest[];
+  appDefinition: unknown;
+  participants: string[];
+  requestToSign: unknown[];
+  fundingDeadline: number;
+}
+
+export interface TournamentSignatureConfirmedMessage extends WebSocketMessage {
+  type: 'tournament:signatureConfirmed';
+  tournamentId: string;
+}
+
+// The player's next match room is open until joinDeadline
+export interface TournamentMatchReadyMessage extends WebSocketMessage {
+  type: 'tournament:matchReady';
+  tournamentId: string;
+  matchId: string;
+  round: number;
+  roomId: string;
+  opponent: string;
+  joinDeadline: number;
+}
+
+export interface TournamentCancelledMessage extends WebSocketMessage {
+  type: 'tournament:cancelled';
+  tournamentId: string;
+  reason: string;
+}
+
+export interface PlayerProfileMessage extends WebSocketMessage {
+  type: 'player:profile';
+  profile: PlayerProfile;
+}
+
+export interface QueueJoinedMessage extends WebSocketMessage {
+  type: 'queue:joined';
+  gameType: string;
+  stake: string;
+  asset: string;
+  rating: number;
+  queuedAt: number;
+}
+
+export interface QueueLeftMessage extends WebSocketMessage {
+  type: 'queue:left';
+}
+
+// Paired with an opponent; room:ready and the usual signature requests follow
+export interface QueueMatchedMessage extends WebSocketMessage {
+  type: 'queue:matched';
+  roomId: string;
+  role: 'host' | 'guest';
+  opponent: string;
+  gameType: string;
+  stake: string;
+  asset: string;
+}
+
+export interface RoomSpectatingMessage extends WebSocketMessage {
+  type: 'room:spectating';
+  roomId: string;
+  gameType: string;
+  stake: string;
+  asset: string;
+  players: { host: string | null; guest: string | null };
+  isReady: boolean;
+  isGameStarted: boolean;
+  series: Series;
+}
+
+export interface RoomSpectatorsMessage extends WebSocketMessage {
+  type: 'room:spectators';
+  roomId: string;
+  spectatorCount: number;
+}
+
 export interface RoomCreatedMessage extends WebSocketMessage {
   type: 'room:created';
   roomId: string;
   role: 'host' | 'guest';
+  gameType: string;
+  stake: string;
+  asset: string;
+  bestOf?: number;
+  isPrivate?: boolean;
+  joinCode?: string | null;
+  mode?: RoomMode;
+  isPractice?: boolean;
+}
+
+export interface RoomRejoinedMessage extends WebSocketMessage {
+  type: 'room:rejoined';
+  roomId: string;
+  role: 'host' | 'guest';
+  gameType: string;
+  stake: string;
+  asset: string;
+  isReady: boolean;
+  isGameStarted: boolean;
+  appId: string | null;
+  series?: Series;
+  isPrivate?: boolean;
+  joinCode?: string | null;
+  mode?: RoomMode;
+}
+
+export interface PlayerDisconnectedMessage extends WebSocketMessage {
+  type: 'player:disconnected';
+  roomId: string;
+  eoa: string;
+  reconnectDeadline: number; // Timestamp (ms) when the seat is released
+}
+
+export interface PlayerReconnectedMessage extends WebSocketMessage {
+  type: 'player:reconnected';
+  roomId: string;
+  eoa: string;
+}
+
+export interface PlayerLeftMessage extends WebSocketMessage {
+  type: 'player:left';
+  roomId: string;
+  eoa: string;
+}
+
+// A guest who could not cover the stake was unseated; the room waits for another guest
+export interface PlayerRemovedMessage extends WebSocketMessage {
+  type: 'player:removed';
+  roomId: string;
+  eoa: string;
+  reason: 'insufficient_balance';
+}
+
+export interface DrawOfferedMessage extends WebSocketMessage {
+  type: 'draw:offered';
+  roomId: string;
+  eoa: string; // Player who offered the draw
+}
+
+export interface DrawDeclinedMessage extends WebSocketMessage {
+  type: 'draw:declined';
+  roomId: string;
+  eoa: string; // Player who declined the draw
+}
+
+export interface RematchRequestedMessage extends WebSocketMessage {
+  type: 'rematch:requested';
+  roomId: string;
+  eoa: string; // Player asking for the rematch
+}
+
+export interface RematchStartedMessage extends WebSocketMessage {
+  type: 'rematch:started';
+  roomId: string;
+  players: { host: string; guest: string }; // Sides are swapped for every rematch
+  series: Series;
+}
+
+export interface SeriesNextGameMessage extends WebSocketMessage {
+  type: 'series:nextGame';
+  roomId: string;
+  players: { host: string; guest: string }; // Sides are swapped for every game of the series
+  series: Series;
+}
+
+export interface RoomClosedMessage extends WebSocketMessage {
+  type: 'room:closed';
+  roomId: string;
 }
 
 export interface GameStartedMessage extends WebSocketMessage {
@@ -126,12 +678,33 @@ export interface ErrorMessage extends WebSocketMessage {
 export interface AvailableRoom {
   roomId: string;
   hostAddress: string;
+  hostRating?: number;
+  gameType: string;
+  bestOf?: number;
+  stake: string;
+  asset: string;
+  mode?: RoomMode;
+  spectatorCount?: number;
   createdAt: number;
 }
 
+// Public game in progress that can be watched
+export interface LiveRoom {
+  roomId: string;
+  players: { host: string | null; guest: string | null };
+  gameType: string;
+  bestOf?: number;
+  stake: string;
+  asset: string;
+  mode?: RoomMode;
+  moveCount: number;
+  spectatorCount: number;
+}
+
 export interface AvailableRoomsMessage extends WebSocketMessage {
   type: 'room:available';
   rooms: AvailableRoom[];
+  liveRooms?: LiveRoom[];
 }
 
 export interface GetAvailableRoomsMessage extends WebSocketMessage {
@@ -152,6 +725,7 @@ export interface AppSessionSignatureRequestMessage extends WebSocketMessage {
   appDefinition: unknown;
   participants: string[];
   requestToSign: unknown[];
+  signingDeadline: number; // The round is aborted if not every player signed by then
 }
 
 export interface AppSessionStartGameRequestMessage extends WebSocketMessage {
@@ -161,6 +735,7 @@ export interface AppSessionStartGameRequestMessage extends WebSocketMessage {
   appDefinition: unknown;
   participants: string[];
   requestToSign: unknown[];
+  signingDeadline: number;
 }
 
 export interface AppSessionSignatureConfirmedMessage extends WebSocketMessage {
@@ -184,14 +759,72 @@ export interface AppSessionStartGameMessage extends WebSocketMessage {
   };
 }
 
+export interface AppSessionCancelMessage extends WebSocketMessage {
+  type: 'appSession:cancel';
+  payload: {
+    roomId: string;
+  };
+}
+
+// The signature round was cancelled or timed out; the room closes right after
+export interface AppSessionAbortedMessage extends WebSocketMessage {
+  type: 'appSession:aborted';
+  roomId: string;
+  reason: string;
+  cancelledBy: string | null; // null when the signing deadline passed
+}
+
 // Union type for all WebSocket messages
 export type WebSocketMessages =
+  | AuthRequestMessage
+  | AuthVerifyMessage
+  | AuthChallengeMessage
+  | AuthSuccessMessage
   | JoinRoomMessage
+  | RejoinRoomMessage
   | StartGameMessage
   | MoveMessage
+  | ResignMessage
+  | OfferDrawMessage
+  | RespondDrawMessage
+  | RematchRequestMessage
+  | RematchAcceptMessage
+  | SpectateRoomMessage
+  | QueueJoinMessage
+  | QueueLeaveMessage
+  | GetProfileMessage
+  | GetLeaderboardMessage
+  | CreateTournamentMessage
+  | TournamentActionMessage
+  | TournamentSignatureMessage
+  | GetTournamentsMessage
   | RoomStateMessage
   | RoomReadyMessage
   | RoomCreatedMessage
+  | RoomRejoinedMessage
+  | PlayerDisconnectedMessage
+  | PlayerReconnectedMessage
+  | PlayerLeftMessage
+  | PlayerRemovedMessage
+  | DrawOfferedMessage
+  | DrawDeclinedMessage
+  | RematchRequestedMessage
+  | RematchStartedMessage
+  | SeriesNextGameMessage
+  | RoomClosedMessage
+  | RoomSpectatingMessage
+  | RoomSpectatorsMessage
+  | QueueJoinedMessage
+  | QueueLeftMessage
+  | QueueMatchedMessage
+  | PlayerProfileMessage
+  | LeaderboardMessage
+  | TournamentsMessage
+  | TournamentMessage
+  | TournamentSignatureRequestMessage
+  | TournamentSignatureConfirmedMessage
+  | TournamentMatchReadyMessage
+  | TournamentCancelledMessage
   | GameStartedMessage
   | GameOverMessage
   | AvailableRoomsMessage
@@ -202,7 +835,9 @@ export type WebSocketMessages =
   | AppSessionStartGameRequestMessage
   | AppSessionSignatureConfirmedMessage
   | AppSessionSignatureMessage
-  | AppSessionStartGameMessage;
+  | AppSessionStartGameMessage
+  | AppSessionCancelMessage
+  | AppSessionAbortedMessage;
 
 // MetaMask Ethereum Provider
 export interface MetaMaskEthereumProvider {
@@ -0,0 +1,63 @@
+/**
+ * Authentication WebSocket message handlers
+ */
+
+import { ethers } from 'ethers';
+import { validateAuthRequestPayload, validateAuthVerifyPayload } from '../utils/validators.js';
+import { AUTH_DOMAIN, AUTH_TYPES } from '../services/index.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Handles a request for an auth challenge
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} payload - Request payload
+ * @param {Object} context - Application context containing auth
+ */
+export async function handleAuthRequest(ws, payload, { auth, sendError }) {
+  const validation = validateAuthRequestPayload(payload);
+  if (!validation.success) {
+    return sendError(ws, 'INVALID_PAYLOAD', validation.error);
+  }
+
+  // A connection can refresh its session key but never switch wallets
+  const currentAddress = auth.getAuthenticatedAddress(ws);
+  if (currentAddress && currentAddress !== ethers.getAddress(payload.address)) {
+    return sendError(ws, 'ALREADY_AUTHENTICATED', 'Connection is already bound to another wallet');
+  }
+
+  const challenge = auth.createChallenge(ws, payload.address, payload.sessionKey);
+
+  ws.send(JSON.stringify({
+    type: 'auth:challenge',
+    domain: AUTH_DOMAIN,
+    types: AUTH_TYPES,
+    primaryType: 'Policy',
+    message: challenge
+  }));
+}
+
+/**
+ * Handles the signed auth challenge
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} payload - Request payload
+ * @param {Object} context - Application context containing auth
+ */
+export async function handleAuthVerify(ws, payload, { auth, sendError }) {
+  const validation = validateAuthVerifyPayload(payload);
+  if (!validation.success) {
+    return sendError(ws, 'INVALID_PAYLOAD', validation.error);
+  }
+
+  const result = auth.verifyChallenge(ws, payload.signature);
+  if (!result.success) {
+    return sendError(ws, 'AUTH_FAILED', result.error);
+  }
+
+  logger.auth(`Connection authenticated as ${result.address}`);
+
+  ws.send(JSON.stringify({
+    type: 'auth:success',
+    address: result.address,
+    sessionKey: result.sessionKey
+  }));
+}
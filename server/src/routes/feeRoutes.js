@@ -0,0 +1,27 @@
+/**
+ * Operator fee WebSocket message handlers
+ */
+
+import { validateGetFeeReportPayload } from '../utils/validators.js';
+
+/**
+ * Handles an operator's request for the fees collected
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} payload - Request payload (since)
+ * @param {Object} context - Application context containing fees, operators and auth
+ */
+export async function handleGetFeeReport(ws, payload, { fees, operators, auth, sendError }) {
+  const validation = validateGetFeeReportPayload(payload);
+  if (!validation.success) {
+    return sendError(ws, 'INVALID_PAYLOAD', validation.error);
+  }
+
+  if (!operators.isOperator(auth.getAuthenticatedAddress(ws))) {
+    return sendError(ws, 'NOT_AUTHORIZED', 'Only operators can read the fee report');
+  }
+
+  ws.send(JSON.stringify({
+    type: 'fees:report',
+    ...fees.getFeeReport(payload)
+  }));
+}
@@ -2,17 +2,18 @@
  * Game-related WebSocket message handlers
  */
 
-import { validateMovePayload } from '../utils/validators.js';
+import { validateMovePayload, validateGameActionPayload, validateRespondDrawPayload } from '../utils/validators.js';
 import { 
-  formatGameState, 
-  formatGameOverMessage, 
-  createGame, 
   createAppSession,
   closeAppSession,
+  getAppSession,
   hasAppSession,
   generateAppSessionMessage,
   addAppSessionSignature,
-  createAppSessionWithSignatures
+  createAppSessionWithSignatures,
+  submitAppSessionState,
+  getPayouts,
+  settle
 } from '../services/index.js';
 import logger from '../utils/logger.js';
 
@@ -20,9 +21,9 @@ import logger from '../utils/logger.js';
  * Handles a start game request
  * @param {WebSocket} ws - WebSocket connection
  * @param {Object} payload - Request payload
- * @param {Object} context - Application context containing roomManager and connections
+ * @param {Object} context - Application context containing roomManager and auth
  */
-export async function handleStartGame(ws, payload, { roomManager, connections, sendError }) {
+export async function handleStartGame(ws, payload, { roomManager, auth, sendError }) {
   if (!payload || typeof payload !== 'object') {
     return sendError(ws, 'INVALID_PAYLOAD', 'Invalid payload format');
   }
@@ -33,18 +34,8 @@ export async function handleStartGame(ws, payload, { roomManager, connections, s
     return sendError(ws, 'INVALID_PAYLOAD', 'Room ID is required');
   }
 
-  // Find the player trying to start the game
-  let playerEoa = null;
-  for (const [eoa, connection] of connections.entries()) {
-    if (connection.ws === ws) {
-      playerEoa = eoa;
-      break;
-    }
-  }
-
-  if (!playerEoa) {
-    return sendError(ws, 'NOT_AUTHENTICATED', 'Player not authenticated');
-  }
+  // Every message on this connection acts as the verified wallet
+  const playerEoa = auth.getAuthenticatedAddress(ws);
 
   // Get the room
   const room = roomManager.rooms.get(roomId);
@@ -62,16 +53,15 @@ export async function handleStartGame(ws, payload, { roomManager, connections, s
     return sendError(ws, 'ROOM_NOT_FULL', 'Room must have two players to start the game');
   }
 
-  // Initialize game state if not already done
-  if (!room.gameState) {
-    room.gameState = createGame(room.players.host, room.players.guest);
-  }
-
-  // Create an app session for this game if not already created
-  if (!hasAppSession(roomId)) {
+  // Create an app session for this game if not already created; tournament
+  // matches are funded by the tournament's prize pool instead, and free rooms have no stake
+  if (!room.tournament && room.mode === 'staked' && !hasAppSession(roomId)) {
     try {
       logger.nitro(`Creating app session for room ${roomId}`);
-      const appId = await createAppSession(roomId, room.players.host, room.players.guest);
+      const appId = await createAppSession(roomId, room.players.host, room.players.guest, {
+        stake: room.stake,
+        asset: room.asset
+      });
       logger.nitro(`App session created with ID ${appId}`);
       
       // Store the app ID in the room object
@@ -83,6 +73,9 @@ export async function handleStartGame(ws, payload, { roomManager, connections, s
     }
   }
 
+  // Initialize game state and start the clocks if not already done
+  roomManager.startGame(roomId);
+
   // Broadcast game started
   roomManager.broadcastToRoom(
     roomId,
@@ -94,7 +87,7 @@ export async function handleStartGame(ws, payload, { roomManager, connections, s
   roomManager.broadcastToRoom(
     roomId, 
     'room:state', 
-    formatGameState(room.gameState, roomId)
+    roomManager.formatRoomState(roomId)
   );
 }
 
@@ -102,121 +95,285 @@ export async function handleStartGame(ws, payload, { roomManager, connections, s
  * Handles a move request
  * @param {WebSocket} ws - WebSocket connection
  * @param {Object} payload - Request payload
- * @param {Object} context - Application context containing roomManager and connections
+ * @param {Object} context - Application context containing roomManager and auth
  */
-export async function handleMove(ws, payload, { roomManager, connections, sendError }) {
+export async function handleMove(ws, payload, context) {
+  const { roomManager, auth, sendError } = context;
+
   // Validate payload
   const validation = validateMovePayload(payload);
   if (!validation.success) {
     return sendError(ws, 'INVALID_PAYLOAD', validation.error);
   }
 
-  const { roomId, pos } = payload;
+  const { roomId, pos, signature } = payload;
   
-  // Find the player making the move
-  let playerEoa = null;
-  for (const [eoa, connection] of connections.entries()) {
-    if (connection.ws === ws) {
-      playerEoa = eoa;
-      break;
-    }
+  // Every message on this connection acts as the verified wallet
+  const playerEoa = auth.getAuthenticatedAddress(ws);
+
+  // Process the move; it must be signed by the session key the wallet delegated to
+  const result = roomManager.processMove(roomId, pos, playerEoa, {
+    signature,
+    signer: auth.getSessionKey(ws),
+    delegation: auth.getDelegation(ws)
+  });
+  if (!result.success) {
+    return sendError(ws, 'MOVE_FAILED', result.error);
   }
 
-  if (!playerEoa) {
-    return sendError(ws, 'NOT_AUTHENTICATED', 'Player not authenticated');
+  await announceMove(roomId, result, context);
+}
+
+/**
+ * Announces a processed move to the room
+ * Shared by players' moves and the moves of a seated bot. Rooms with an app
+ * session also record the new state with the clearnode, without holding up play.
+ * @param {string} roomId - Room ID
+ * @param {Object} result - Successful result of roomManager.processMove
+ * @param {Object} context - Application context containing roomManager
+ */
+export async function announceMove(roomId, result, context) {
+  if (hasAppSession(roomId)) {
+    submitAppSessionState(roomId, context.roomManager.formatSessionData(roomId));
   }
 
-  // Process the move
-  const result = roomManager.processMove(roomId, pos, playerEoa);
-  if (!result.success) {
-    return sendError(ws, 'MOVE_FAILED', result.error);
+  // Handle game over condition (finishGame sends the final state)
+  if (result.isGameOver) {
+    return finishGame(roomId, context);
   }
 
   // Broadcast updated game state
-  roomManager.broadcastToRoom(
+  context.roomManager.broadcastToRoom(
     roomId, 
     'room:state', 
-    formatGameState(result.gameState, roomId)
+    context.roomManager.formatRoomState(roomId)
   );
+}
+
+/**
+ * Handles a player conceding the game
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} payload - Request payload
+ * @param {Object} context - Application context containing roomManager and auth
+ */
+export async function handleResign(ws, payload, context) {
+  const { roomManager, auth, sendError } = context;
+
+  const validation = validateGameActionPayload(payload);
+  if (!validation.success) {
+    return sendError(ws, 'INVALID_PAYLOAD', validation.error);
+  }
+
+  const { roomId } = payload;
+  const result = roomManager.resign(roomId, auth.getAuthenticatedAddress(ws));
+  if (!result.success) {
+    return sendError(ws, 'RESIGN_FAILED', result.error);
+  }
+
+  await finishGame(roomId, context);
+}
+
+/**
+ * Handles a player offering a draw
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} payload - Request payload
+ * @param {Object} context - Application context containing roomManager and auth
+ */
+export async function handleOfferDraw(ws, payload, { roomManager, auth, sendError }) {
+  const validation = validateGameActionPayload(payload);
+  if (!validation.success) {
+    return sendError(ws, 'INVALID_PAYLOAD', validation.error);
+  }
+
+  const { roomId } = payload;
+  const result = roomManager.offerDraw(roomId, auth.getAuthenticatedAddress(ws));
+  if (!result.success) {
+    return sendError(ws, 'DRAW_OFFER_FAILED', result.error);
+  }
+
+  roomManager.broadcastToRoom(roomId, 'draw:offered', { roomId, eoa: result.eoa });
+}
+
+/**
+ * Handles the answer to a draw offer
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} payload - Request payload
+ * @param {Object} context - Application context containing roomManager and auth
+ */
+export async function handleRespondDraw(ws, payload, context) {
+  const { roomManager, auth, sendError } = context;
+
+  const validation = validateRespondDrawPayload(payload);
+  if (!validation.success) {
+    return sendError(ws, 'INVALID_PAYLOAD', validation.error);
+  }
+
+  const { roomId, accept } = payload;
+  const result = roomManager.respondDraw(roomId, auth.getAuthenticatedAddress(ws), accept);
+  if (!result.success) {
+    return sendError(ws, 'DRAW_RESPONSE_FAILED', result.error);
+  }
 
-  // Handle game over condition
   if (result.isGameOver) {
-    roomManager.broadcastToRoom(
-      roomId, 
-      'game:over', 
-      formatGameOverMessage(result.gameState)
-    );
+    return finishGame(roomId, context);
+  }
 
-    // Close the app session if one was created
-    try {
-      const room = roomManager.rooms.get(roomId);
-      
-      // First check if the room has an appId directly
-      if (room && room.appId) {
-        logger.nitro(`Closing app session with ID ${room.appId} for room ${roomId}`);
-        
-        // Determine winner based on game result
-        let winnerId = null;
-        if (result.gameState.winner === 'X') {
-          winnerId = 'A'; // X is player A (host)
-        } else if (result.gameState.winner === 'O') {
-          winnerId = 'B'; // O is player B (guest)
-        }
-        // null winner means tie
-        
-        // Calculate allocations based on winner
-        let finalAllocations;
-        if (winnerId === 'A') {
-          // Player A wins - gets all the funds
-          finalAllocations = ['0.02', '0', '0']; // A gets both initial allocations
-        } else if (winnerId === 'B') {
-          // Player B wins - gets all the funds
-          finalAllocations = ['0', '0.02', '0']; // B gets both initial allocations
-        } else {
-          // Tie or no winner - split evenly
-          finalAllocations = ['0.01', '0.01', '0'];
-        }
-        
-        await closeAppSession(roomId, finalAllocations);
-        logger.nitro(`App session closed for room ${roomId}`);
-      } 
-      // Otherwise check the app sessions storage
-      else if (hasAppSession(roomId)) {
-        logger.nitro(`Closing app session from storage for room ${roomId}`);
-        
-        // Determine winner based on game result
-        let winnerId = null;
-        if (result.gameState.winner === 'X') {
-          winnerId = 'A'; // X is player A (host)
-        } else if (result.gameState.winner === 'O') {
-          winnerId = 'B'; // O is player B (guest)
-        }
-        // null winner means tie
-        
-        // Calculate allocations based on winner
-        let finalAllocations;
-        if (winnerId === 'A') {
-          // Player A wins - gets all the funds
-          finalAllocations = ['0.02', '0', '0']; // A gets both initial allocations
-        } else if (winnerId === 'B') {
-          // Player B wins - gets all the funds
-          finalAllocations = ['0', '0.02', '0']; // B gets both initial allocations
-        } else {
-          // Tie or no winner - split evenly
-          finalAllocations = ['0.01', '0.01', '0'];
-        }
-        
-        await closeAppSession(roomId, finalAllocations);
-        logger.nitro(`App session closed for room ${roomId}`);
-      }
-    } catch (error) {
-      logger.error(`Failed to close app session for room ${roomId}:`, error);
-      // Continue with room cleanup even if app session closure fails
+  roomManager.broadcastToRoom(roomId, 'draw:declined', { roomId, eoa: result.eoa });
+}
+
+/**
+ * Announces a finished game, pays out the app session and keeps the room open for a rematch
+ * Shared by every way a game can end (played out, timeout, resignation or agreed draw).
+ * In an undecided best-of series the app session stays open and the next game is scheduled
+ * instead; the session is closed once, paying out to the series winner.
+ * Tournament matches close right away and report their result to the bracket.
+ * Free rooms pay nothing out, and practice games against a bot are neither rated nor ranked either.
+ * @param {string} roomId - Room ID
+ * @param {Object} context - Application context containing roomManager, playerProfiles, leaderboard, tournaments and fees
+ */
+export async function finishGame(roomId, { roomManager, playerProfiles, leaderboard, tournaments, fees }) {
+  const room = roomManager.rooms.get(roomId);
+  if (!room || !room.gameState) return;
+
+  const engine = roomManager.getRoomEngine(roomId);
+  const { winnerAddress } = engine.getResult(room.gameState);
+  const gameOver = roomManager.formatGameOver(roomId);
+
+  // Rate both players and add the game to their history
+  const ratingChanges = room.isPractice ? null : playerProfiles.recordGame({
+    roomId,
+    gameType: room.gameType,
+    players: gameOver.moveLog.players,
+    winner: winnerAddress,
+    reason: gameOver.reason,
+    stake: room.stake,
+    asset: room.asset
+  });
+
+  const { host, guest } = gameOver.moveLog.players;
+  const seriesResult = roomManager.getSeriesResult(roomId);
+
+  if (!seriesResult.isOver) {
+    const nextGameAt = roomManager.scheduleNextGame(roomId);
+
+    roomManager.broadcastToRoom(roomId, 'room:state', roomManager.formatRoomState(roomId));
+    roomManager.broadcastToRoom(roomId, 'game:over', {
+      ...gameOver,
+      ratingChanges,
+      isSeriesOver: false,
+      seriesWinner: null,
+      nextGameAt,
+      rematchDeadline: null
+    });
+
+    if (room.isPractice) return;
+
+    // Nothing is paid out before the series is decided
+    leaderboard.recordResult({
+      roomId,
+      gameType: room.gameType,
+      players: { host, guest },
+      winner: winnerAddress,
+      stake: room.stake,
+      asset: room.asset,
+      allocations: null,
+      endedAt: Date.now()
+    });
+    return;
+  }
+
+  // Tournament matches have no stake of their own: the bracket moves on and the room closes
+  if (room.tournament) {
+    roomManager.broadcastToRoom(roomId, 'room:state', roomManager.formatRoomState(roomId));
+    roomManager.broadcastToRoom(roomId, 'game:over', {
+      ...gameOver,
+      ratingChanges,
+      isSeriesOver: true,
+      seriesWinner: seriesResult.winnerAddress,
+      nextGameAt: null,
+      rematchDeadline: null
+    });
+
+    leaderboard.recordResult({
+      roomId,
+      gameType: room.gameType,
+      players: { host, guest },
+      winner: winnerAddress,
+      stake: room.stake,
+      asset: room.asset,
+      allocations: null,
+      endedAt: Date.now()
+    });
+
+    roomManager.broadcastToRoom(roomId, 'room:closed', { roomId });
+    roomManager.closeRoom(roomId);
+    tournaments.recordMatchResult(roomId, seriesResult.winnerAddress);
+    return;
+  }
+
+  // The room closes unless both players agree to a rematch in time
+  const rematchDeadline = roomManager.scheduleRoomClose(roomId);
+
+  // Show the final board and stopped clocks before the result
+  roomManager.broadcastToRoom(roomId, 'room:state', roomManager.formatRoomState(roomId));
+  roomManager.broadcastToRoom(roomId, 'game:over', {
+    ...gameOver,
+    ratingChanges,
+    isSeriesOver: true,
+    seriesWinner: seriesResult.winnerAddress,
+    nextGameAt: null,
+    rematchDeadline
+  });
+
+  if (room.isPractice) return;
+
+  // Allocations follow the app session's participants (A, B, server), which keep
+  // the order they were created in even after a series swapped the sides
+  const appSession = getAppSession(roomId);
+  const participants = appSession
+    ? [appSession.participantA, appSession.participantB]
+    : [host, guest];
+
+  // The series winner takes both stakes, a draw returns each stake; the
+  // operator's fee comes out of the pot and is allocated to the server
+  const settlement = settle({
+    participants,
+    payouts: getPayouts({
+      players: participants,
+      winners: seriesResult.winnerAddress ? [seriesResult.winnerAddress] : [],
+      stake: room.stake,
+      asset: room.asset
+    }),
+    asset: room.asset,
+    computeFee: fees.computeFee
+  });
+
+  // Close the app session if one was created; free rooms never have one
+  let isSettled = false;
+  try {
+    if (room.mode === 'staked' && (room.appId || hasAppSession(roomId))) {
+      logger.nitro(`Closing app session ${room.appId || 'from storage'} for room ${roomId}`);
+      isSettled = await closeAppSession(roomId, settlement.allocations);
+      logger.nitro(`App session ${isSettled ? 'closed' : 'could not be closed'} for room ${roomId}`);
     }
+  } catch (error) {
+    logger.error(`Failed to close app session for room ${roomId}:`, error);
+    // The room still closes on schedule even if app session closure fails
+  }
 
-    // Clean up the room after a short delay
-    setTimeout(() => {
-      roomManager.closeRoom(roomId);
-    }, 5000);
+  if (isSettled) {
+    fees.recordFee({ source: 'room', sourceId: roomId, asset: room.asset, amount: settlement.fee, pot: settlement.pot });
   }
-}
\ No newline at end of file
+
+  // Only allocations the app session was actually closed with count as winnings
+  leaderboard.recordResult({
+    roomId,
+    gameType: room.gameType,
+    players: { host, guest },
+    winner: winnerAddress,
+    stake: room.stake,
+    asset: room.asset,
+    allocations: isSettled ? settlement.payouts : null,
+    endedAt: Date.now()
+  });
+}
@@ -0,0 +1,42 @@
+/**
+ * Player profile WebSocket message handlers
+ */
+
+import { ethers } from 'ethers';
+import { validateGetProfilePayload, validateGetLeaderboardPayload } from '../utils/validators.js';
+
+/**
+ * Handles a request for a player's rating, totals and game history
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} payload - Request payload
+ * @param {Object} context - Application context containing playerProfiles
+ */
+export async function handleGetProfile(ws, payload, { playerProfiles, sendError }) {
+  const validation = validateGetProfilePayload(payload);
+  if (!validation.success) {
+    return sendError(ws, 'INVALID_PAYLOAD', validation.error);
+  }
+
+  ws.send(JSON.stringify({
+    type: 'player:profile',
+    profile: playerProfiles.getProfile(ethers.getAddress(payload.eoa))
+  }));
+}
+
+/**
+ * Handles a request for a page of the leaderboard
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} payload - Request payload (window, sortBy, asset, offset, limit)
+ * @param {Object} context - Application context containing leaderboard
+ */
+export async function handleGetLeaderboard(ws, payload, { leaderboard, sendError }) {
+  const validation = validateGetLeaderboardPayload(payload);
+  if (!validation.success) {
+    return sendError(ws, 'INVALID_PAYLOAD', validation.error);
+  }
+
+  ws.send(JSON.stringify({
+    type: 'leaderboard',
+    ...leaderboard.getLeaderboard(payload)
+  }));
+}
@@ -0,0 +1,126 @@
+/**
+ * Matchmaking queue WebSocket message handlers
+ */
+
+import { validateQueueJoinPayload } from '../utils/validators.js';
+import { DEFAULT_GAME_TYPE } from '../services/index.js';
+import { DEFAULT_ASSET, DEFAULT_STAKE } from '../utils/amounts.js';
+import { requestAppSessionSignatures, leaveSpectators } from './roomRoutes.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Handles a request to be paired with another player automatically
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} payload - Request payload
+ * @param {Object} context - Application context containing roomManager, matchmaker, connections and auth
+ */
+export async function handleQueueJoin(ws, payload, context) {
+  const { roomManager, matchmaker, connections, auth, sendError } = context;
+
+  const validation = validateQueueJoinPayload(payload);
+  if (!validation.success) {
+    return sendError(ws, 'INVALID_PAYLOAD', validation.error);
+  }
+
+  const eoa = auth.getAuthenticatedAddress(ws);
+  // A seat in a room that has since closed does not count
+  const isSeated = connections.has(eoa) && roomManager.rooms.has(connections.get(eoa).roomId);
+  if (isSeated || roomManager.addressToRoom.has(eoa)) {
+    return sendError(ws, 'ALREADY_CONNECTED', 'Player is already seated in a room');
+  }
+
+  const result = matchmaker.join({
+    eoa,
+    ws,
+    gameType: payload?.gameType || DEFAULT_GAME_TYPE,
+    stake: payload?.stake || DEFAULT_STAKE,
+    asset: payload?.asset || DEFAULT_ASSET
+  });
+  if (!result.success) {
+    return sendError(ws, 'QUEUE_FAILED', result.error);
+  }
+
+  if (!result.match) {
+    const { gameType, stake, asset, rating, queuedAt } = result.entry;
+    logger.game(`Player ${eoa} queued for ${gameType} at ${stake} ${asset} (rating ${rating})`);
+
+    ws.send(JSON.stringify({
+      type: 'queue:joined',
+      gameType,
+      stake,
+      asset,
+      rating,
+      queuedAt
+    }));
+    return;
+  }
+
+  await seatMatch(result.match, context);
+}
+
+/**
+ * Handles a request to stop waiting for a match
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} context - Application context containing matchmaker and auth
+ */
+export async function handleQueueLeave(ws, { matchmaker, auth, sendError }) {
+  const eoa = auth.getAuthenticatedAddress(ws);
+  const result = matchmaker.leave(eoa);
+  if (!result.success) {
+    return sendError(ws, 'QUEUE_FAILED', result.error);
+  }
+
+  logger.game(`Player ${eoa} left the queue`);
+  ws.send(JSON.stringify({ type: 'queue:left' }));
+}
+
+/**
+ * Creates a room for a matched pair, seats both players and starts the
+ * usual app session signature round
+ * The player who waited longest becomes the host.
+ * @param {Object} match - Matched pair
+ * @param {import('../services/matchmaker.js').QueueEntry} match.host - Player seated as host
+ * @param {import('../services/matchmaker.js').QueueEntry} match.guest - Player seated as guest
+ * @param {Object} context - Application context containing roomManager, connections and sendError
+ */
+async function seatMatch({ host, guest }, context) {
+  const { roomManager, connections, sendError } = context;
+  const { gameType, stake, asset } = host;
+
+  const roomId = roomManager.createRoom({ stake, asset, gameType });
+
+  for (const player of [host, guest]) {
+    const result = roomManager.joinRoom(roomId, player.eoa, player.ws);
+    if (!result.success) {
+      logger.error(`Failed to seat matched player ${player.eoa} in room ${roomId}: ${result.error}`);
+      roomManager.closeRoom(roomId);
+      for (const { eoa, ws } of [host, guest]) {
+        connections.delete(eoa);
+        sendError(ws, 'QUEUE_FAILED', 'Could not seat the matched players, please queue again');
+      }
+      return;
+    }
+
+    connections.set(player.eoa, { ws: player.ws, roomId });
+    leaveSpectators(player.ws, context);
+  }
+
+  logger.game(`Matched ${host.eoa} (host) and ${guest.eoa} (guest) in room ${roomId}`);
+
+  for (const [role, player, opponent] of [['host', host, guest], ['guest', guest, host]]) {
+    player.ws.send(JSON.stringify({
+      type: 'queue:matched',
+      roomId,
+      role,
+      opponent: opponent.eoa,
+      gameType,
+      stake,
+      asset
+    }));
+  }
+
+  roomManager.broadcastToRoom(roomId, 'room:ready', { roomId });
+
+  logger.nitro(`Room ${roomId} is ready - starting signature collection flow`);
+  await requestAppSessionSignatures(roomId, context);
+}
@@ -0,0 +1,79 @@
+/**
+ * App session recovery WebSocket message handlers
+ */
+
+import { validateRecoveryResolvePayload } from '../utils/validators.js';
+import { formatAmount, parseAmount } from '../utils/amounts.js';
+
+/**
+ * Handles an operator's request to scan for orphaned app sessions now
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} context - Application context containing recovery, operators and auth
+ */
+export async function handleRecoveryScan(ws, { recovery, operators, auth, sendError }) {
+  if (!operators.isOperator(auth.getAuthenticatedAddress(ws))) {
+    return sendError(ws, 'NOT_AUTHORIZED', 'Only operators can run app session recovery');
+  }
+
+  try {
+    const report = await recovery.scan();
+    ws.send(JSON.stringify({ type: 'recovery:report', ...report }));
+  } catch (error) {
+    return sendError(ws, 'RECOVERY_FAILED', error.message);
+  }
+}
+
+/**
+ * Handles an operator closing a stored app session by hand
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} payload - Request payload (appId, allocations)
+ * @param {Object} context - Application context containing recovery, operators and auth
+ */
+export async function handleRecoveryResolve(ws, payload, { recovery, operators, auth, sendError }) {
+  const validation = validateRecoveryResolvePayload(payload);
+  if (!validation.success) {
+    return sendError(ws, 'INVALID_PAYLOAD', validation.error);
+  }
+
+  if (!operators.isOperator(auth.getAuthenticatedAddress(ws))) {
+    return sendError(ws, 'NOT_AUTHORIZED', 'Only operators can run app session recovery');
+  }
+
+  const result = await recovery.resolve(payload.appId, payload.allocations);
+  if (!result.success) {
+    return sendError(ws, 'RECOVERY_FAILED', result.error);
+  }
+
+  ws.send(JSON.stringify({
+    type: 'recovery:resolved',
+    appId: payload.appId,
+    roomId: result.roomId,
+    allocations: result.allocations
+  }));
+}
+
+/**
+ * Books a recovered app session like a settlement that went through the first time
+ * The server's allocation is recorded as a fee, and a finished tournament is
+ * marked as paid out with the allocations its players received.
+ * @param {string} roomId - Room ID, or tournament ID for a prize pool
+ * @param {Object} recovered - Closed session and its allocations ({ appSession, allocations })
+ * @param {Object} context - Application context containing tournaments and fees
+ */
+export function recordRecoveredSettlement(roomId, { appSession, allocations }, { tournaments, fees }) {
+  const { asset } = appSession;
+  const pot = formatAmount(allocations.reduce((sum, amount) => sum + parseAmount(amount, asset), 0n), asset);
+  const tournament = tournaments.formatTournament(roomId);
+
+  fees.recordFee({
+    source: tournament ? 'tournament' : 'room',
+    sourceId: roomId,
+    asset,
+    amount: allocations[allocations.length - 1],
+    pot
+  });
+
+  if (tournament && tournament.status === 'finished') {
+    tournaments.recordSettlement(roomId, true, Object.fromEntries(tournament.players.map((eoa, index) => [eoa, allocations[index]])));
+  }
+}
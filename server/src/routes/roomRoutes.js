@@ -2,35 +2,68 @@
  * Room-related WebSocket message handlers
  */
 
-import { validateJoinRoomPayload } from '../utils/validators.js';
-import { formatGameState, generateAppSessionMessage } from '../services/index.js';
+import { ethers } from 'ethers';
+import { validateJoinRoomPayload, validateRejoinRoomPayload, validateGameActionPayload, validateSpectatePayload } from '../utils/validators.js';
+import {
+  generateAppSessionMessage,
+  getAppSession,
+  getPendingAppSessionMessage,
+  discardPendingAppSession,
+  hasAppSession,
+  hasAppSessionSignature,
+  findShortParticipants,
+  describeShortParticipants
+} from '../services/index.js';
 import logger from '../utils/logger.js';
 
+/**
+ * Checks that a payload EOA is the wallet the connection authenticated as
+ * @param {Object} auth - Auth manager
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {string} eoa - Address claimed in the payload
+ * @returns {string|null} Checksummed verified address, or null on mismatch
+ */
+function getVerifiedEoa(auth, ws, eoa) {
+  const verifiedEoa = auth.getAuthenticatedAddress(ws);
+  return verifiedEoa && verifiedEoa === ethers.getAddress(eoa) ? verifiedEoa : null;
+}
+
 /**
  * Handles a request to join a room
  * @param {WebSocket} ws - WebSocket connection
  * @param {Object} payload - Request payload
- * @param {Object} context - Application context containing roomManager and connections
+ * @param {Object} context - Application context containing roomManager, matchmaker, bots, connections and auth
  */
-export async function handleJoinRoom(ws, payload, { roomManager, connections, sendError }) {
+export async function handleJoinRoom(ws, payload, { roomManager, matchmaker, bots, connections, auth, sendError }) {
   // Validate payload
   const validation = validateJoinRoomPayload(payload);
   if (!validation.success) {
     return sendError(ws, 'INVALID_PAYLOAD', validation.error);
   }
 
-  const { roomId, eoa } = payload;
+  const { stake, asset, gameType, isPrivate, allowedGuests, bestOf, joinCode, mode, practice, botDifficulty = 'medium' } = payload;
+  const eoa = getVerifiedEoa(auth, ws, payload.eoa);
+  if (!eoa) {
+    return sendError(ws, 'EOA_MISMATCH', 'EOA does not match the authenticated wallet');
+  }
+  // Private rooms are joined by code rather than by room ID
+  const roomId = payload.roomId ?? (joinCode !== undefined ? roomManager.findRoomByCode(joinCode) : undefined);
+  if (validation.isJoining && !roomId) {
+    return sendError(ws, 'JOIN_FAILED', 'No room with this join code');
+  }
   console.log(`Processing ${validation.isCreating ? 'CREATE' : 'JOIN'} request for EOA: ${eoa}, roomId: ${roomId || 'NEW'}`);
 
-  // Check if address is already connected
-  if (connections.has(eoa)) {
+  // Check if address is already connected; a seat in a room that has since closed does not count
+  if (connections.has(eoa) && roomManager.rooms.has(connections.get(eoa).roomId)) {
     return sendError(ws, 'ALREADY_CONNECTED', 'Address already connected');
   }
 
   let result;
   if (validation.isCreating) {
     // Creating a new room
-    const newRoomId = roomManager.createRoom();
+    const newRoomId = practice
+      ? roomManager.createRoom({ asset, gameType, bestOf, mode: 'free', isPractice: true })
+      : roomManager.createRoom({ stake, asset, gameType, isPrivate, allowedGuests, bestOf, mode });
     console.log(`Created new room with ID: ${newRoomId}`);
     
     // Join the newly created room as host
@@ -40,11 +73,30 @@ export async function handleJoinRoom(ws, payload, { roomManager, connections, se
       console.log(`New room created: ${newRoomId} for player (host): ${eoa}`);
       
       // Send room ID to client immediately so they can share it
+      const newRoom = roomManager.rooms.get(newRoomId);
       ws.send(JSON.stringify({
         type: 'room:created',
         roomId: newRoomId,
-        role: 'host'
+        role: 'host',
+        gameType: newRoom.gameType,
+        stake: newRoom.stake,
+        asset: newRoom.asset,
+        bestOf: newRoom.series.bestOf,
+        isPrivate: newRoom.isPrivate,
+        joinCode: newRoom.joinCode,
+        mode: newRoom.mode,
+        isPractice: newRoom.isPractice
       }));
+
+      // The bot takes the guest seat right away, which makes the room ready
+      if (practice) {
+        const seat = await bots.seatBot(newRoomId, botDifficulty);
+        if (!seat.success) {
+          roomManager.closeRoom(newRoomId);
+          return sendError(ws, 'JOIN_FAILED', seat.error);
+        }
+        result = { ...result, isRoomReady: seat.isRoomReady };
+      }
     }
   } else {
     // Joining an existing room
@@ -59,8 +111,10 @@ export async function handleJoinRoom(ws, payload, { roomManager, connections, se
     return sendError(ws, 'JOIN_FAILED', result.error);
   }
 
-  // Store connection
+  // Store connection; a player who takes a seat stops spectating and waiting in the queue
   connections.set(eoa, { ws, roomId: result.roomId });
+  leaveSpectators(ws, { roomManager });
+  matchmaker.leave(eoa);
 
   // Get room
   const room = roomManager.rooms.get(result.roomId);
@@ -70,54 +124,428 @@ export async function handleJoinRoom(ws, payload, { roomManager, connections, se
     roomManager.broadcastToRoom(
       result.roomId, 
       'room:state', 
-      formatGameState(room.gameState, result.roomId)
+      roomManager.formatRoomState(result.roomId)
     );
   }
 
   // Notify all players that room is ready if applicable
   if (result.isRoomReady) {
     roomManager.broadcastToRoom(result.roomId, 'room:ready', { roomId: result.roomId });
+
+    // Tournament matches are funded by the prize pool and free rooms have
+    // no stake, so both start without signatures
+    if (room.tournament || room.mode === 'free') {
+      return startUnfundedGame(result.roomId, { roomManager });
+    }
     
     logger.nitro(`Room ${result.roomId} is ready - starting signature collection flow`);
-    logger.data(`Room players:`, { host: room.players.host, guest: room.players.guest });
-    
-    // Generate app session message for signature collection when room becomes ready (both players joined)
-    try {
-      const appSessionMessage = await generateAppSessionMessage(
-        result.roomId, 
-        room.players.host, 
-        room.players.guest
-      );
-      
-      logger.nitro(`Generated app session message for room ${result.roomId}`);
-      
-      // Send the message to participant B (guest) for signature
-      const guestConnection = room.connections.get(room.players.guest);
+    await requestAppSessionSignatures(result.roomId, { roomManager, connections, sendError });
+  }
+}
+
+/**
+ * Starts the game of a full room that needs no app session of its own
+ * @param {string} roomId - Room ID
+ * @param {Object} context - Application context containing roomManager
+ */
+function startUnfundedGame(roomId, { roomManager }) {
+  roomManager.startGame(roomId);
+  roomManager.broadcastToRoom(roomId, 'game:started', { roomId, firstTurn: 'X', appId: null });
+  roomManager.broadcastToRoom(roomId, 'room:state', roomManager.formatRoomState(roomId));
+}
+
+/**
+ * Starts the app session signature round for a full room
+ * Both players' unified balances are checked first. A guest who cannot cover
+ * the stake gets INSUFFICIENT_BALANCE and loses the seat, and the room waits
+ * for another guest; if the host is short, or a rematch cannot be funded, the
+ * room is closed instead. The guest (participant B) signs first; the host
+ * signs when starting the game. The round is aborted if it is not finished by
+ * the app session's signing deadline.
+ * @param {string} roomId - Room ID
+ * @param {Object} context - Application context containing roomManager, connections and sendError
+ */
+export async function requestAppSessionSignatures(roomId, { roomManager, connections, sendError }) {
+  const room = roomManager.rooms.get(roomId);
+  logger.data(`Room players:`, { host: room.players.host, guest: room.players.guest });
+
+  let shortPlayers = [];
+  try {
+    shortPlayers = await findShortParticipants([room.players.host, room.players.guest], { stake: room.stake, asset: room.asset });
+  } catch (error) {
+    // Without balances the signature round goes ahead; creating the app session still fails if a player is short
+    logger.error(`Failed to check player balances for room ${roomId}:`, error);
+  }
+
+  // The room may have closed or lost a player while the balances were checked
+  if (roomManager.rooms.get(roomId) !== room || !room.players.host || !room.players.guest) {
+    logger.nitro(`Room ${roomId} changed during the balance check, not requesting signatures`);
+    return;
+  }
+
+  if (shortPlayers.length > 0) {
+    const message = describeShortParticipants(shortPlayers, { stake: room.stake, asset: room.asset });
+    const isHostShort = shortPlayers.some(({ participant }) => participant === room.players.host);
+
+    // A guest without funds must not be able to close someone else's room;
+    // a rematch between the same two players still ends when either is short
+    if (!isHostShort && !room.isRematch) {
+      const guest = room.players.guest;
+      logger.nitro(`Unseating guest ${guest} of room ${roomId} before signing: ${message}`);
+
+      const guestConnection = room.connections.get(guest);
       if (guestConnection && guestConnection.ws.readyState === 1) {
-        guestConnection.ws.send(JSON.stringify({
-          type: 'appSession:signatureRequest',
-          roomId: result.roomId,
-          appSessionData: appSessionMessage.appSessionData,
-          appDefinition: appSessionMessage.appDefinition,
-          participants: appSessionMessage.participants,
-          requestToSign: appSessionMessage.requestToSign
-        }));
+        sendError(guestConnection.ws, 'INSUFFICIENT_BALANCE', message);
       }
-      
-    } catch (error) {
-      logger.error(`Failed to generate app session message for room ${result.roomId}:`, error);
+      roomManager.leaveRoom(guest);
+      connections.delete(guest);
+      roomManager.broadcastToRoom(roomId, 'player:removed', { roomId, eoa: guest, reason: 'insufficient_balance' });
+      return;
+    }
+
+    logger.nitro(`Closing room ${roomId} before signing: ${message}`);
+
+    for (const { ws } of room.connections.values()) {
+      if (ws.readyState === 1) {
+        sendError(ws, 'INSUFFICIENT_BALANCE', message);
+      }
+    }
+    roomManager.broadcastToRoom(roomId, 'room:closed', { roomId });
+    roomManager.closeRoom(roomId);
+    return;
+  }
+
+  try {
+    const appSessionMessage = await generateAppSessionMessage(
+      roomId, 
+      room.players.host, 
+      room.players.guest,
+      { stake: room.stake, asset: room.asset }
+    );
+    
+    logger.nitro(`Generated app session message for room ${roomId}`);
+    roomManager.scheduleSigningTimeout(roomId, appSessionMessage.signingDeadline);
+    
+    // Send the message to participant B (guest) for signature
+    const guestConnection = room.connections.get(room.players.guest);
+    if (guestConnection && guestConnection.ws.readyState === 1) {
+      guestConnection.ws.send(JSON.stringify({
+        type: 'appSession:signatureRequest',
+        roomId,
+        appSessionData: appSessionMessage.appSessionData,
+        appDefinition: appSessionMessage.appDefinition,
+        participants: appSessionMessage.participants,
+        requestToSign: appSessionMessage.requestToSign,
+        signingDeadline: appSessionMessage.signingDeadline
+      }));
     }
+    
+  } catch (error) {
+    logger.error(`Failed to generate app session message for room ${roomId}:`, error);
   }
 }
 
 /**
- * Handles a request to get available rooms
+ * Handles a player cancelling the app session signature round of their room
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} payload - Request payload
+ * @param {Object} context - Application context containing roomManager and auth
+ */
+export async function handleCancelAppSession(ws, payload, { roomManager, auth, sendError }) {
+  const validation = validateGameActionPayload(payload);
+  if (!validation.success) {
+    return sendError(ws, 'INVALID_PAYLOAD', validation.error);
+  }
+
+  const { roomId } = payload;
+  const eoa = auth.getAuthenticatedAddress(ws);
+  const room = roomManager.rooms.get(roomId);
+  if (!room || (room.players.host !== eoa && room.players.guest !== eoa)) {
+    return sendError(ws, 'CANCEL_FAILED', 'You are not a player in this room');
+  }
+
+  if (!getPendingAppSessionMessage(roomId) || room.gameState || hasAppSession(roomId)) {
+    return sendError(ws, 'CANCEL_FAILED', 'No app session is waiting for signatures');
+  }
+
+  abortAppSessionSigning(roomId, { reason: `${eoa} cancelled the app session`, cancelledBy: eoa }, { roomManager });
+}
+
+/**
+ * Abandons the app session signature round of a room and closes the room
+ * Collected signatures are discarded and both players get `appSession:aborted`
+ * with the reason. A round that already produced a game is left alone.
+ * @param {string} roomId - Room ID
+ * @param {Object} abort - Why the round ends ({ reason, cancelledBy }); cancelledBy is null on timeout
+ * @param {Object} context - Application context containing roomManager
+ * @returns {boolean} Whether the round was aborted
+ */
+export function abortAppSessionSigning(roomId, { reason, cancelledBy = null }, { roomManager }) {
+  const room = roomManager.rooms.get(roomId);
+  roomManager.clearSigningTimeout(roomId);
+  if (!room || room.gameState || hasAppSession(roomId)) {
+    return false;
+  }
+
+  discardPendingAppSession(roomId);
+  logger.nitro(`App session signing aborted for room ${roomId}: ${reason}`);
+
+  roomManager.broadcastToRoom(roomId, 'appSession:aborted', { roomId, reason, cancelledBy });
+  roomManager.broadcastToRoom(roomId, 'room:closed', { roomId });
+  roomManager.closeRoom(roomId);
+  return true;
+}
+
+/**
+ * Handles a request for a rematch after a finished game
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} payload - Request payload
+ * @param {Object} context - Application context containing roomManager and auth
+ */
+export async function handleRematchRequest(ws, payload, { roomManager, auth, sendError }) {
+  const validation = validateGameActionPayload(payload);
+  if (!validation.success) {
+    return sendError(ws, 'INVALID_PAYLOAD', validation.error);
+  }
+
+  const { roomId } = payload;
+  const result = roomManager.requestRematch(roomId, auth.getAuthenticatedAddress(ws));
+  if (!result.success) {
+    return sendError(ws, 'REMATCH_FAILED', result.error);
+  }
+
+  roomManager.broadcastToRoom(roomId, 'rematch:requested', { roomId, eoa: result.eoa });
+}
+
+/**
+ * Handles accepting the opponent's rematch request
+ * Keeps both players seated with X and O swapped and starts a new app session signature round.
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} payload - Request payload
+ * @param {Object} context - Application context containing roomManager and auth
+ */
+export async function handleRematchAccept(ws, payload, context) {
+  const { auth, sendError } = context;
+
+  const validation = validateGameActionPayload(payload);
+  if (!validation.success) {
+    return sendError(ws, 'INVALID_PAYLOAD', validation.error);
+  }
+
+  const result = await acceptRematch(payload.roomId, auth.getAuthenticatedAddress(ws), context);
+  if (!result.success) {
+    return sendError(ws, 'REMATCH_FAILED', result.error);
+  }
+}
+
+/**
+ * Accepts a rematch for a player and starts the new game's funding
+ * Shared by players and by a bot answering its opponent's request. Free
+ * rooms start the new game right away.
+ * @param {string} roomId - Room ID
+ * @param {string} eoa - Accepting player's checksummed address
+ * @param {Object} context - Application context containing roomManager, connections and sendError
+ * @returns {Promise<Object>} Result with success flag, or error
+ */
+export async function acceptRematch(roomId, eoa, context) {
+  const { roomManager } = context;
+
+  // The previous game has to be settled before new funds are locked
+  if (hasAppSession(roomId)) {
+    return { success: false, error: 'The previous game is still being settled, try again shortly' };
+  }
+
+  const result = roomManager.acceptRematch(roomId, eoa);
+  if (!result.success) {
+    return result;
+  }
+
+  logger.game(`Rematch accepted in room ${roomId}, new host ${result.players.host}`);
+  roomManager.broadcastToRoom(roomId, 'rematch:started', {
+    roomId,
+    players: result.players,
+    series: result.series
+  });
+
+  if (roomManager.rooms.get(roomId).mode === 'free') {
+    startUnfundedGame(roomId, { roomManager });
+  } else {
+    await requestAppSessionSignatures(roomId, context);
+  }
+
+  return { success: true };
+}
+
+/**
+ * Handles a request to reclaim a held seat after a dropped connection
+ * Restores the board, turn and app session context for the returning player.
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} payload - Request payload
+ * @param {Object} context - Application context containing roomManager, connections and auth
+ */
+export async function handleRejoinRoom(ws, payload, { roomManager, connections, auth, sendError }) {
+  const validation = validateRejoinRoomPayload(payload);
+  if (!validation.success) {
+    return sendError(ws, 'INVALID_PAYLOAD', validation.error);
+  }
+
+  const { roomId } = payload;
+  if (!getVerifiedEoa(auth, ws, payload.eoa)) {
+    return sendError(ws, 'EOA_MISMATCH', 'EOA does not match the authenticated wallet');
+  }
+
+  const result = roomManager.reconnectPlayer(roomId, payload.eoa, ws);
+  if (!result.success) {
+    return sendError(ws, 'REJOIN_FAILED', result.error);
+  }
+
+  const { eoa, role } = result;
+  connections.set(eoa, { ws, roomId });
+  leaveSpectators(ws, { roomManager });
+  logger.game(`Player ${eoa} rejoined room ${roomId} as ${role}`);
+
+  const room = roomManager.rooms.get(roomId);
+  const appSession = getAppSession(roomId);
+
+  ws.send(JSON.stringify({
+    type: 'room:rejoined',
+    roomId,
+    role,
+    gameType: room.gameType,
+    stake: room.stake,
+    asset: room.asset,
+    isReady: room.isReady,
+    isGameStarted: !!room.gameState,
+    series: room.series,
+    isPrivate: room.isPrivate,
+    joinCode: room.joinCode,
+    mode: room.mode,
+    appId: room.appId || appSession?.appId || null
+  }));
+
+  // Restore the board and turn
+  if (room.gameState) {
+    ws.send(JSON.stringify({
+      type: 'room:state',
+      ...roomManager.formatRoomState(roomId)
+    }));
+  }
+
+  // Resend the signature request this player still owes, if any
+  const appSessionMessage = getPendingAppSessionMessage(roomId);
+  if (appSessionMessage && !hasAppSessionSignature(roomId, eoa)) {
+    const guestSigned = hasAppSessionSignature(roomId, room.players.guest);
+    const requestType = role === 'guest' ? 'appSession:signatureRequest' : 'appSession:startGameRequest';
+
+    if (role === 'guest' || guestSigned) {
+      ws.send(JSON.stringify({
+        type: requestType,
+        roomId,
+        appSessionData: appSessionMessage.appSessionData,
+        appDefinition: appSessionMessage.appDefinition,
+        participants: appSessionMessage.participants,
+        requestToSign: appSessionMessage.requestToSign,
+        signingDeadline: appSessionMessage.signingDeadline
+      }));
+    }
+  }
+
+  roomManager.broadcastToRoom(roomId, 'player:reconnected', { roomId, eoa });
+}
+
+/**
+ * Handles a request to watch a room without playing
+ * Spectators receive every room broadcast (room:state, game:over, ...) but
+ * cannot move or sign; a connection seated as a player cannot spectate.
+ * Private rooms are only open to their invited guests or with the join code.
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} payload - Request payload (roomId, optional joinCode)
+ * @param {Object} context - Application context containing roomManager, connections and auth
+ */
+export async function handleSpectateRoom(ws, payload, { roomManager, connections, auth, sendError }) {
+  const validation = validateSpectatePayload(payload);
+  if (!validation.success) {
+    return sendError(ws, 'INVALID_PAYLOAD', validation.error);
+  }
+
+  for (const connection of connections.values()) {
+    if (connection.ws === ws) {
+      return sendError(ws, 'SPECTATE_FAILED', 'Players cannot spectate while seated in a room');
+    }
+  }
+
+  const { roomId, joinCode } = payload;
+  const previous = roomManager.removeSpectator(ws);
+  if (previous.success && previous.roomId !== roomId) {
+    broadcastSpectatorCount(previous.roomId, { roomManager });
+  }
+
+  // Spectating needs no sign-in; an authenticated connection may be an invited guest
+  const result = roomManager.addSpectator(roomId, ws, { eoa: auth.getAuthenticatedAddress(ws), joinCode });
+  if (!result.success) {
+    return sendError(ws, 'SPECTATE_FAILED', result.error);
+  }
+
+  logger.game(`Spectator joined room ${roomId} (${result.spectatorCount} watching)`);
+
+  const room = roomManager.rooms.get(roomId);
+  ws.send(JSON.stringify({
+    type: 'room:spectating',
+    roomId,
+    gameType: room.gameType,
+    stake: room.stake,
+    asset: room.asset,
+    players: { host: room.players.host, guest: room.players.guest },
+    isReady: room.isReady,
+    isGameStarted: !!room.gameState,
+    series: room.series
+  }));
+
+  if (room.gameState) {
+    ws.send(JSON.stringify({
+      type: 'room:state',
+      ...roomManager.formatRoomState(roomId)
+    }));
+  }
+
+  broadcastSpectatorCount(roomId, { roomManager });
+}
+
+/**
+ * Stops a connection from spectating and tells the room it left
  * @param {WebSocket} ws - WebSocket connection
  * @param {Object} context - Application context containing roomManager
  */
-export async function handleGetAvailableRooms(ws, { roomManager }) {
+export function leaveSpectators(ws, { roomManager }) {
+  const result = roomManager.removeSpectator(ws);
+  if (result.success) {
+    broadcastSpectatorCount(result.roomId, { roomManager });
+  }
+}
+
+/**
+ * Broadcasts the current spectator count of a room
+ * @param {string} roomId - Room ID
+ * @param {Object} context - Application context containing roomManager
+ */
+function broadcastSpectatorCount(roomId, { roomManager }) {
+  roomManager.broadcastToRoom(roomId, 'room:spectators', {
+    roomId,
+    spectatorCount: roomManager.getSpectatorCount(roomId)
+  });
+}
+
+/**
+ * Handles a request to get available rooms
+ * Lists the public rooms waiting for a guest, and separately the public rooms
+ * with a game in progress that can be watched.
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} context - Application context containing roomManager and playerProfiles
+ */
+export async function handleGetAvailableRooms(ws, { roomManager, playerProfiles }) {
   // Filter rooms that are not full
   const availableRooms = [];
+  const liveRooms = [];
   
   // Get current timestamp
   const now = Date.now();
@@ -125,18 +553,40 @@ export async function handleGetAvailableRooms(ws, { roomManager }) {
   // Iterate through all rooms and find available ones
   for (const [roomId, room] of roomManager.rooms.entries()) {
     // Room is available if it has a host but no guest, and game is not started
-    if (room.players.host && !room.players.guest && !room.gameState) {
+    // Private rooms are only reachable by their join code, practice rooms wait for their bot
+    // and tournament matches are reserved for their two players
+    if (room.players.host && !room.players.guest && !room.gameState && !room.isPrivate && !room.isPractice && !room.reservedFor) {
       availableRooms.push({
         roomId,
         hostAddress: room.players.host,
+        hostRating: playerProfiles.getRating(room.players.host),
+        gameType: room.gameType,
+        stake: room.stake,
+        asset: room.asset,
+        bestOf: room.series.bestOf,
+        mode: room.mode,
+        spectatorCount: roomManager.getSpectatorCount(roomId),
         createdAt: room.createdAt || now // Use tracked creation time or fall back to now
       });
+    } else if (room.gameState && !room.isPrivate && !roomManager.getRoomEngine(roomId).getResult(room.gameState).isGameOver) {
+      liveRooms.push({
+        roomId,
+        players: { host: room.players.host, guest: room.players.guest },
+        gameType: room.gameType,
+        stake: room.stake,
+        asset: room.asset,
+        bestOf: room.series.bestOf,
+        mode: room.mode,
+        moveCount: room.gameState.moveLog.moves.length,
+        spectatorCount: roomManager.getSpectatorCount(roomId)
+      });
     }
   }
   
   // Send available rooms to client
   ws.send(JSON.stringify({
     type: 'room:available',
-    rooms: availableRooms
+    rooms: availableRooms,
+    liveRooms
   }));
 }
\ No newline at end of file
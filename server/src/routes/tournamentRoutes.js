@@ -0,0 +1,320 @@
+/**
+ * Tournament WebSocket message handlers
+ */
+
+import {
+  validateCreateTournamentPayload,
+  validateTournamentActionPayload,
+  validateTournamentSignaturePayload
+} from '../utils/validators.js';
+import {
+  DEFAULT_GAME_TYPE,
+  addAppSessionSignature,
+  closeAppSession,
+  createAppSessionWithSignatures,
+  generateMultiPartyAppSessionMessage,
+  hasAppSession,
+  verifyAppSessionSignature,
+  settle,
+  findShortParticipants,
+  describeShortParticipants
+} from '../services/index.js';
+import { DEFAULT_ASSET, DEFAULT_STAKE } from '../utils/amounts.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Handles a request to create a tournament
+ * The creator is registered as its first player.
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} payload - Request payload (format, maxPlayers, name, entryStake, asset, gameType, bestOf)
+ * @param {Object} context - Application context containing tournaments and auth
+ */
+export async function handleCreateTournament(ws, payload, { tournaments, auth, sendError }) {
+  const validation = validateCreateTournamentPayload(payload);
+  if (!validation.success) {
+    return sendError(ws, 'INVALID_PAYLOAD', validation.error);
+  }
+
+  const creator = auth.getAuthenticatedAddress(ws);
+  if (tournaments.getActiveTournamentOf(creator)) {
+    return sendError(ws, 'TOURNAMENT_FAILED', 'Already registered in another tournament');
+  }
+
+  const tournament = tournaments.createTournament({
+    creator,
+    name: payload.name?.trim(),
+    format: payload.format,
+    gameType: payload.gameType || DEFAULT_GAME_TYPE,
+    entryStake: payload.entryStake || DEFAULT_STAKE,
+    asset: payload.asset || DEFAULT_ASSET,
+    maxPlayers: payload.maxPlayers,
+    bestOf: payload.bestOf
+  });
+  tournaments.register(tournament.id, creator, ws);
+
+  ws.send(JSON.stringify({
+    type: 'tournament:created',
+    tournament: tournaments.formatTournament(tournament.id)
+  }));
+}
+
+/**
+ * Handles a registration for a tournament
+ * Registration closes and funding starts as soon as the tournament is full.
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} payload - Request payload
+ * @param {Object} context - Application context containing tournaments and auth
+ */
+export async function handleRegisterTournament(ws, payload, { tournaments, auth, sendError }) {
+  const validation = validateTournamentActionPayload(payload);
+  if (!validation.success) {
+    return sendError(ws, 'INVALID_PAYLOAD', validation.error);
+  }
+
+  const { tournamentId } = payload;
+  const result = tournaments.register(tournamentId, auth.getAuthenticatedAddress(ws), ws);
+  if (!result.success) {
+    return sendError(ws, 'TOURNAMENT_FAILED', result.error);
+  }
+
+  if (result.isFull) {
+    tournaments.beginFunding(tournamentId);
+    await requestPrizePoolSignatures(tournamentId, { tournaments });
+  }
+}
+
+/**
+ * Handles withdrawing a registration before the tournament is funded
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} payload - Request payload
+ * @param {Object} context - Application context containing tournaments and auth
+ */
+export async function handleUnregisterTournament(ws, payload, { tournaments, auth, sendError }) {
+  const validation = validateTournamentActionPayload(payload);
+  if (!validation.success) {
+    return sendError(ws, 'INVALID_PAYLOAD', validation.error);
+  }
+
+  const eoa = auth.getAuthenticatedAddress(ws);
+  const result = tournaments.unregister(payload.tournamentId, eoa);
+  if (!result.success) {
+    return sendError(ws, 'TOURNAMENT_FAILED', result.error);
+  }
+
+  // The player no longer receives updates, so confirm directly
+  ws.send(JSON.stringify({
+    type: 'tournament:update',
+    tournament: tournaments.formatTournament(payload.tournamentId)
+  }));
+}
+
+/**
+ * Handles the creator closing registration before the tournament is full
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} payload - Request payload
+ * @param {Object} context - Application context containing tournaments and auth
+ */
+export async function handleStartTournament(ws, payload, { tournaments, auth, sendError }) {
+  const validation = validateTournamentActionPayload(payload);
+  if (!validation.success) {
+    return sendError(ws, 'INVALID_PAYLOAD', validation.error);
+  }
+
+  const { tournamentId } = payload;
+  const result = tournaments.beginFunding(tournamentId, auth.getAuthenticatedAddress(ws));
+  if (!result.success) {
+    return sendError(ws, 'TOURNAMENT_FAILED', result.error);
+  }
+
+  await requestPrizePoolSignatures(tournamentId, { tournaments });
+}
+
+/**
+ * Asks every registered player to sign the prize pool app session
+ * Every player allocates the entry stake. Players whose balance cannot cover
+ * it get INSUFFICIENT_BALANCE and are dropped, and the tournament goes back to
+ * registration; it is cancelled if the app session message cannot be generated.
+ * @param {string} tournamentId - Tournament ID
+ * @param {Object} context - Application context containing tournaments
+ */
+export async function requestPrizePoolSignatures(tournamentId, { tournaments }) {
+  const tournament = tournaments.formatTournament(tournamentId);
+  const funding = { stake: tournament.entryStake, asset: tournament.asset };
+
+  let shortPlayers = [];
+  try {
+    shortPlayers = await findShortParticipants(tournament.players, funding);
+  } catch (error) {
+    // Without balances the signature round goes ahead; creating the app session still fails if a player is short
+    logger.error(`Failed to check player balances for tournament ${tournamentId}:`, error);
+  }
+
+  // The funding deadline may have passed while the balances were checked
+  if (tournaments.formatTournament(tournamentId).status !== 'funding') {
+    logger.nitro(`Tournament ${tournamentId} is no longer funding, not requesting signatures`);
+    return;
+  }
+
+  // One registrant without funds must not cancel the tournament for everyone else
+  if (shortPlayers.length > 0) {
+    const message = describeShortParticipants(shortPlayers, funding);
+    const shortEoas = shortPlayers.map(({ participant }) => participant);
+    logger.nitro(`Dropping short players from tournament ${tournamentId} before signing: ${message}`);
+
+    tournaments.reopenRegistration(tournamentId, shortEoas);
+    const update = tournaments.formatTournament(tournamentId);
+    for (const eoa of shortEoas) {
+      tournaments.notifyPlayer(eoa, 'error', { code: 'INSUFFICIENT_BALANCE', msg: message });
+      tournaments.notifyPlayer(eoa, 'tournament:update', { tournament: update });
+    }
+    return;
+  }
+
+  try {
+    const appSessionMessage = await generateMultiPartyAppSessionMessage(
+      tournamentId,
+      tournament.players,
+      { ...funding, signingDeadline: tournament.fundingDeadline }
+    );
+
+    logger.nitro(`Generated prize pool app session message for tournament ${tournamentId}`);
+
+    tournaments.broadcastToTournament(tournamentId, 'tournament:signatureRequest', {
+      tournamentId,
+      appSessionData: appSessionMessage.appSessionData,
+      appDefinition: appSessionMessage.appDefinition,
+      participants: appSessionMessage.participants,
+      requestToSign: appSessionMessage.requestToSign,
+      fundingDeadline: tournament.fundingDeadline
+    });
+  } catch (error) {
+    logger.error(`Failed to generate prize pool app session message for tournament ${tournamentId}:`, error);
+    tournaments.cancel(tournamentId, 'The prize pool could not be prepared');
+  }
+}
+
+/**
+ * Handles a player's signature over the prize pool app session
+ * The tournament starts once every registered player has signed.
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} payload - Request payload
+ * @param {Object} context - Application context containing tournaments and auth
+ */
+export async function handleTournamentSignature(ws, payload, { tournaments, auth, sendError }) {
+  const validation = validateTournamentSignaturePayload(payload);
+  if (!validation.success) {
+    return sendError(ws, 'INVALID_PAYLOAD', validation.error);
+  }
+
+  const { tournamentId, signature } = payload;
+  const tournament = tournaments.formatTournament(tournamentId);
+  if (!tournament || tournament.status !== 'funding') {
+    return sendError(ws, 'TOURNAMENT_FAILED', 'Tournament is not waiting for signatures');
+  }
+
+  const eoa = auth.getAuthenticatedAddress(ws);
+  tournaments.attachConnection(eoa, ws);
+
+  // Refuse a bad signature now rather than when the clearnode rejects the prize pool
+  if (!verifyAppSessionSignature(tournamentId, signature, [eoa, auth.getSessionKey(ws)])) {
+    return sendError(ws, 'INVALID_SIGNATURE', 'Signature does not match the prize pool request, your wallet or your session key');
+  }
+
+  let allSignaturesCollected;
+  try {
+    allSignaturesCollected = await addAppSessionSignature(tournamentId, eoa, signature);
+  } catch (error) {
+    logger.error(`Error handling prize pool signature for tournament ${tournamentId}:`, error);
+    return sendError(ws, 'SIGNATURE_ERROR', error.message);
+  }
+
+  ws.send(JSON.stringify({ type: 'tournament:signatureConfirmed', tournamentId }));
+
+  if (!allSignaturesCollected) return;
+
+  try {
+    logger.nitro(`All prize pool signatures collected for tournament ${tournamentId}, creating app session`);
+    const appId = await createAppSessionWithSignatures(tournamentId);
+    tournaments.start(tournamentId, appId);
+  } catch (error) {
+    logger.error(`Failed to create prize pool app session for tournament ${tournamentId}:`, error);
+    tournaments.cancel(tournamentId, 'The prize pool app session could not be created');
+  }
+}
+
+/**
+ * Handles a request for the list of tournaments
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} context - Application context containing tournaments
+ */
+export async function handleGetTournaments(ws, { tournaments }) {
+  ws.send(JSON.stringify({
+    type: 'tournaments',
+    tournaments: tournaments.listTournaments()
+  }));
+}
+
+/**
+ * Handles a request for a tournament's bracket or standings
+ * Registered players also get later updates on this connection.
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} payload - Request payload
+ * @param {Object} context - Application context containing tournaments and auth
+ */
+export async function handleGetTournament(ws, payload, { tournaments, auth, sendError }) {
+  const validation = validateTournamentActionPayload(payload);
+  if (!validation.success) {
+    return sendError(ws, 'INVALID_PAYLOAD', validation.error);
+  }
+
+  const tournament = tournaments.formatTournament(payload.tournamentId);
+  if (!tournament) {
+    return sendError(ws, 'TOURNAMENT_NOT_FOUND', 'Tournament not found');
+  }
+
+  const eoa = auth.getAuthenticatedAddress(ws);
+  if (eoa && tournament.players.includes(eoa)) {
+    tournaments.attachConnection(eoa, ws);
+  }
+
+  ws.send(JSON.stringify({ type: 'tournament', tournament }));
+}
+
+/**
+ * Pays out the prize pool of a decided tournament
+ * Allocations follow the prize pool app session's participants (players in
+ * registration order, then the server, which is allocated the operator's fee).
+ * @param {Object} tournament - Formatted tournament with its payouts
+ * @param {Object} context - Application context containing tournaments and fees
+ */
+export async function settleTournament(tournament, { tournaments, fees }) {
+  const settlement = settle({
+    participants: tournament.players,
+    payouts: tournament.payouts,
+    asset: tournament.asset,
+    computeFee: fees.computeFee
+  });
+
+  let isSettled = false;
+  try {
+    if (hasAppSession(tournament.id)) {
+      isSettled = await closeAppSession(tournament.id, settlement.allocations);
+      logger.nitro(`Prize pool app session ${isSettled ? 'closed' : 'could not be closed'} for tournament ${tournament.id}`);
+    }
+  } catch (error) {
+    logger.error(`Failed to close prize pool app session for tournament ${tournament.id}:`, error);
+  }
+
+  if (isSettled) {
+    fees.recordFee({
+      source: 'tournament',
+      sourceId: tournament.id,
+      asset: tournament.asset,
+      amount: settlement.fee,
+      pot: settlement.pot
+    });
+  }
+
+  // Players are told what they receive after the fee, not the gross split
+  tournaments.recordSettlement(tournament.id, isSettled, settlement.payouts);
+}
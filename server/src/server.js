@@ -3,15 +3,108 @@
  */
 
 import { createWebSocketServer, sendError, startPingInterval } from './config/websocket.js';
-import { initializeRPCClient, createRoomManager } from './services/index.js';
-import { handleJoinRoom, handleGetAvailableRooms } from './routes/roomRoutes.js';
-import { handleStartGame, handleMove } from './routes/gameRoutes.js';
-import { addAppSessionSignature, createAppSessionWithSignatures, getPendingAppSessionMessage } from './services/index.js';
+import { initializeRPCClient, createRoomManager, createStorage, initializeAppSessionStorage, reconcileAppSessions, createAuthManager, createMatchmaker, createPlayerProfiles, createLeaderboard, createTournamentManager, createBotManager, createFeeManager, createOperatorList, createSessionRecovery } from './services/index.js';
+import { handleAuthRequest, handleAuthVerify } from './routes/authRoutes.js';
+import { handleQueueJoin, handleQueueLeave } from './routes/queueRoutes.js';
+import { handleGetProfile, handleGetLeaderboard } from './routes/profileRoutes.js';
+import { handleGetFeeReport } from './routes/feeRoutes.js';
+import { handleRecoveryScan, handleRecoveryResolve, recordRecoveredSettlement } from './routes/recoveryRoutes.js';
+import {
+  handleCreateTournament,
+  handleRegisterTournament,
+  handleUnregisterTournament,
+  handleStartTournament,
+  handleTournamentSignature,
+  handleGetTournaments,
+  handleGetTournament,
+  settleTournament
+} from './routes/tournamentRoutes.js';
+import {
+  handleJoinRoom,
+  handleRejoinRoom,
+  handleGetAvailableRooms,
+  handleRematchRequest,
+  handleRematchAccept,
+  acceptRematch,
+  handleSpectateRoom,
+  handleCancelAppSession,
+  abortAppSessionSigning,
+  leaveSpectators
+} from './routes/roomRoutes.js';
+import {
+  handleStartGame,
+  handleMove,
+  handleResign,
+  handleOfferDraw,
+  handleRespondDraw,
+  announceMove,
+  finishGame
+} from './routes/gameRoutes.js';
+import { addAppSessionSignature, createAppSessionWithSignatures, getPendingAppSessionMessage, verifyAppSessionSignature } from './services/index.js';
 import logger from './utils/logger.js';
 
+// Load persisted state before accepting connections
+const storage = createStorage();
+initializeAppSessionStorage(storage);
+
 // Create WebSocket server
 const wss = createWebSocketServer();
-const roomManager = createRoomManager();
+const roomManager = createRoomManager({
+  storage,
+  // Games the room manager ends itself (timeouts) settle like any other game
+  onGameOver: (roomId) => finishGame(roomId, context),
+  // Signature rounds nobody finished in time free the room again
+  onSigningExpired: (roomId) => abortAppSessionSigning(roomId, { reason: 'The app session was not signed in time' }, context)
+});
+
+// Signature rounds interrupted by a restart keep their original deadline
+for (const roomId of roomManager.rooms.keys()) {
+  const appSessionMessage = getPendingAppSessionMessage(roomId);
+  if (appSessionMessage) {
+    roomManager.scheduleSigningTimeout(roomId, appSessionMessage.signingDeadline);
+  }
+}
+const auth = createAuthManager();
+const playerProfiles = createPlayerProfiles({ storage });
+const matchmaker = createMatchmaker({ getRating: playerProfiles.getRating });
+const leaderboard = createLeaderboard({ storage, getRating: playerProfiles.getRating });
+const tournaments = createTournamentManager({
+  storage,
+  roomManager,
+  getRating: playerProfiles.getRating,
+  // Decided tournaments pay out their prize pool app session
+  onFinished: (tournament) => settleTournament(tournament, context)
+});
+const fees = createFeeManager({ storage });
+const operators = createOperatorList();
+const recovery = createSessionRecovery({
+  // Prize pools are keyed by tournament ID rather than room ID
+  hasRoom: (roomId) => roomManager.rooms.has(roomId) || tournaments.isActive(roomId),
+  onRecovered: (roomId, recovered) => recordRecoveredSettlement(roomId, recovered, context)
+});
+const bots = createBotManager({
+  roomManager,
+  // Bot moves and rematches go through the same flow as a player's
+  onMove: (roomId, result) => announceMove(roomId, result, context),
+  onRematchRequested: (roomId, eoa) => acceptRematch(roomId, eoa, context)
+});
+
+// Message types allowed before the connection has proven wallet ownership
+const PUBLIC_MESSAGE_TYPES = new Set(['auth:request', 'auth:verify', 'getAvailableRooms', 'spectateRoom', 'getProfile', 'getLeaderboard', 'getTournaments', 'getTournament']);
+
+// Message types that act on a game and are refused from spectators
+const PLAYER_MESSAGE_TYPES = new Set([
+  'startGame',
+  'move',
+  'resign',
+  'offerDraw',
+  'respondDraw',
+  'rematch:request',
+  'rematch:accept',
+  'appSession:signature',
+  'appSession:startGame',
+  'appSession:cancel'
+]);
 
 // Track active connections
 // TODO: Use @erc7824/nitrolite for connection tracking when available
@@ -23,7 +116,7 @@ let onlineUsersCount = 0;
 /**
  * Handles app session signature submission
  */
-async function handleAppSessionSignature(ws, payload, { roomManager, connections, sendError }) {
+async function handleAppSessionSignature(ws, payload, { roomManager, auth, sendError }) {
   if (!payload || typeof payload !== 'object') {
     return sendError(ws, 'INVALID_PAYLOAD', 'Invalid payload format');
   }
@@ -34,17 +127,12 @@ async function handleAppSessionSignature(ws, payload, { roomManager, connections
     return sendError(ws, 'INVALID_PAYLOAD', 'Room ID and signature are required');
   }
 
-  // Find the player submitting the signature
-  let playerEoa = null;
-  for (const [eoa, connection] of connections.entries()) {
-    if (connection.ws === ws) {
-      playerEoa = eoa;
-      break;
-    }
-  }
+  // Every message on this connection acts as the verified wallet
+  const playerEoa = auth.getAuthenticatedAddress(ws);
 
-  if (!playerEoa) {
-    return sendError(ws, 'NOT_AUTHENTICATED', 'Player not authenticated');
+  // Refuse a bad signature now rather than when the clearnode rejects the app session
+  if (getPendingAppSessionMessage(roomId) && !verifyAppSessionSignature(roomId, signature, [playerEoa, auth.getSessionKey(ws)])) {
+    return sendError(ws, 'INVALID_SIGNATURE', 'Signature does not match the app session request, your wallet or your session key');
   }
 
   try {
@@ -80,7 +168,8 @@ async function handleAppSessionSignature(ws, payload, { roomManager, connections
           appSessionData: appSessionMessage.appSessionData,
           appDefinition: appSessionMessage.appDefinition,
           participants: appSessionMessage.participants,
-          requestToSign: appSessionMessage.requestToSign
+          requestToSign: appSessionMessage.requestToSign,
+          signingDeadline: appSessionMessage.signingDeadline
         }));
         
         logger.nitro(`Sent start game request to host ${room.players.host}`);
@@ -104,7 +193,7 @@ async function handleAppSessionSignature(ws, payload, { roomManager, connections
 /**
  * Handles app session start game request (with host signature)
  */
-async function handleAppSessionStartGame(ws, payload, { roomManager, connections, sendError }) {
+async function handleAppSessionStartGame(ws, payload, { roomManager, auth, sendError }) {
   if (!payload || typeof payload !== 'object') {
     return sendError(ws, 'INVALID_PAYLOAD', 'Invalid payload format');
   }
@@ -115,18 +204,8 @@ async function handleAppSessionStartGame(ws, payload, { roomManager, connections
     return sendError(ws, 'INVALID_PAYLOAD', 'Room ID and signature are required');
   }
 
-  // Find the player submitting the signature (should be host)
-  let playerEoa = null;
-  for (const [eoa, connection] of connections.entries()) {
-    if (connection.ws === ws) {
-      playerEoa = eoa;
-      break;
-    }
-  }
-
-  if (!playerEoa) {
-    return sendError(ws, 'NOT_AUTHENTICATED', 'Player not authenticated');
-  }
+  // Every message on this connection acts as the verified wallet
+  const playerEoa = auth.getAuthenticatedAddress(ws);
 
   // Get the room
   const room = roomManager.rooms.get(roomId);
@@ -139,6 +218,11 @@ async function handleAppSessionStartGame(ws, payload, { roomManager, connections
     return sendError(ws, 'NOT_AUTHORIZED', 'Only the host can start the game');
   }
 
+  // Refuse a bad signature now rather than when the clearnode rejects the app session
+  if (getPendingAppSessionMessage(roomId) && !verifyAppSessionSignature(roomId, signature, [playerEoa, auth.getSessionKey(ws)])) {
+    return sendError(ws, 'INVALID_SIGNATURE', 'Signature does not match the app session request, your wallet or your session key');
+  }
+
   try {
     // Add the host's signature
     const allSignaturesCollected = await addAppSessionSignature(roomId, playerEoa, signature);
@@ -154,12 +238,12 @@ async function handleAppSessionStartGame(ws, payload, { roomManager, connections
     
     // Store the app ID in the room object
     room.appId = appId;
+    roomManager.clearSigningTimeout(roomId);
     
-    // Initialize game state
-    if (!room.gameState) {
-      const { createGame } = await import('./services/index.js');
-      room.gameState = createGame(room.players.host, room.players.guest);
-    }
+    roomManager.saveRoom(roomId);
+
+    // Initialize game state and start the clocks
+    roomManager.startGame(roomId);
 
     // Broadcast game started
     roomManager.broadcastToRoom(
@@ -169,11 +253,10 @@ async function handleAppSessionStartGame(ws, payload, { roomManager, connections
     );
 
     // Send the initial game state
-    const { formatGameState } = await import('./services/index.js');
     roomManager.broadcastToRoom(
       roomId, 
       'room:state', 
-      formatGameState(room.gameState, roomId)
+      roomManager.formatRoomState(roomId)
     );
     
   } catch (error) {
@@ -202,6 +285,15 @@ const broadcastOnlineUsersCount = () => {
 const context = {
   roomManager,
   connections,
+  auth,
+  matchmaker,
+  playerProfiles,
+  leaderboard,
+  tournaments,
+  bots,
+  fees,
+  operators,
+  recovery,
   sendError: (ws, code, msg) => sendError(ws, code, msg)
 };
 
@@ -221,18 +313,97 @@ wss.on('connection', (ws) => {
       return sendError(ws, 'INVALID_JSON', 'Invalid JSON format');
     }
 
+    // Spectators are read-only, whether or not they authenticated
+    if (PLAYER_MESSAGE_TYPES.has(data.type) && roomManager.isSpectator(ws)) {
+      return sendError(ws, 'SPECTATOR_READ_ONLY', 'Spectators cannot play or sign');
+    }
+
+    // Everything except the handshake and public read-only messages needs a verified wallet
+    if (!PUBLIC_MESSAGE_TYPES.has(data.type) && !auth.getAuthenticatedAddress(ws)) {
+      return sendError(ws, 'NOT_AUTHENTICATED', 'Authenticate with auth:request and auth:verify first');
+    }
+
     // Process message based on type
     try {
       switch (data.type) {
+        case 'auth:request':
+          await handleAuthRequest(ws, data.payload, context);
+          break;
+        case 'auth:verify':
+          await handleAuthVerify(ws, data.payload, context);
+          break;
         case 'joinRoom':
           await handleJoinRoom(ws, data.payload, context);
           break;
+        case 'rejoinRoom':
+          await handleRejoinRoom(ws, data.payload, context);
+          break;
         case 'startGame':
           await handleStartGame(ws, data.payload, context);
           break;
         case 'move':
           await handleMove(ws, data.payload, context);
           break;
+        case 'resign':
+          await handleResign(ws, data.payload, context);
+          break;
+        case 'offerDraw':
+          await handleOfferDraw(ws, data.payload, context);
+          break;
+        case 'respondDraw':
+          await handleRespondDraw(ws, data.payload, context);
+          break;
+        case 'rematch:request':
+          await handleRematchRequest(ws, data.payload, context);
+          break;
+        case 'rematch:accept':
+          await handleRematchAccept(ws, data.payload, context);
+          break;
+        case 'queue:join':
+          await handleQueueJoin(ws, data.payload, context);
+          break;
+        case 'queue:leave':
+          await handleQueueLeave(ws, context);
+          break;
+        case 'spectateRoom':
+          await handleSpectateRoom(ws, data.payload, context);
+          break;
+        case 'getProfile':
+          await handleGetProfile(ws, data.payload, context);
+          break;
+        case 'getLeaderboard':
+          await handleGetLeaderboard(ws, data.payload, context);
+          break;
+        case 'getFeeReport':
+          await handleGetFeeReport(ws, data.payload, context);
+          break;
+        case 'recovery:scan':
+          await handleRecoveryScan(ws, context);
+          break;
+        case 'recovery:resolve':
+          await handleRecoveryResolve(ws, data.payload, context);
+          break;
+        case 'tournament:create':
+          await handleCreateTournament(ws, data.payload, context);
+          break;
+        case 'tournament:register':
+          await handleRegisterTournament(ws, data.payload, context);
+          break;
+        case 'tournament:unregister':
+          await handleUnregisterTournament(ws, data.payload, context);
+          break;
+        case 'tournament:start':
+          await handleStartTournament(ws, data.payload, context);
+          break;
+        case 'tournament:signature':
+          await handleTournamentSignature(ws, data.payload, context);
+          break;
+        case 'getTournaments':
+          await handleGetTournaments(ws, context);
+          break;
+        case 'getTournament':
+          await handleGetTournament(ws, data.payload, context);
+          break;
         case 'getAvailableRooms':
           await handleGetAvailableRooms(ws, context);
           break;
@@ -242,6 +413,9 @@ wss.on('connection', (ws) => {
         case 'appSession:startGame':
           await handleAppSessionStartGame(ws, data.payload, context);
           break;
+        case 'appSession:cancel':
+          await handleCancelAppSession(ws, data.payload, context);
+          break;
         default:
           sendError(ws, 'INVALID_MESSAGE_TYPE', 'Invalid message type');
       }
@@ -253,11 +427,18 @@ wss.on('connection', (ws) => {
 
   // Handle disconnection
   ws.on('close', () => {
-    // Find and remove the player from any room
+    // Find the player and release or hold their seat
     for (const [eoa, connection] of connections.entries()) {
       if (connection.ws === ws) {
-        const result = roomManager.leaveRoom(eoa);
-        if (result.success && result.roomId) {
+        const result = roomManager.disconnectPlayer(eoa);
+        if (result.success && result.seatHeld) {
+          // Keep the seat so the player can come back with rejoinRoom
+          roomManager.broadcastToRoom(result.roomId, 'player:disconnected', {
+            roomId: result.roomId,
+            eoa,
+            reconnectDeadline: result.reconnectDeadline
+          });
+        } else if (result.success && result.roomId) {
           roomManager.broadcastToRoom(result.roomId, 'room:state', {
             roomId: result.roomId,
             // Send updated room state here
@@ -267,6 +448,9 @@ wss.on('connection', (ws) => {
         break;
       }
     }
+    matchmaker.leaveByConnection(ws);
+    leaveSpectators(ws, context);
+    auth.forget(ws);
     
     // Decrement online users count and broadcast to all clients
     onlineUsersCount = Math.max(0, onlineUsersCount - 1);
@@ -291,6 +475,18 @@ async function initializeNitroliteServices() {
       logger.warn('No channel established after initialization');
       logger.nitro('Channels will be created as needed via getChannelInfo');
     }
+
+    // Compare app sessions restored from storage with what the clearnode still has open
+    try {
+      // Prize pools are keyed by tournament ID rather than room ID
+      await reconcileAppSessions((roomId) => roomManager.rooms.has(roomId) || tournaments.isActive(roomId));
+    } catch (error) {
+      logger.error('Failed to reconcile stored app sessions:', error);
+    }
+
+    // Orphaned app sessions are closed now and retried on schedule
+    recovery.scan().catch(error => logger.error('App session recovery scan failed:', error));
+    recovery.start();
   } catch (error) {
     logger.error('Failed to initialize Nitrolite services:', error);
     logger.system('Continuing in mock mode without Nitrolite channel');
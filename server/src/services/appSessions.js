@@ -6,42 +6,160 @@ import { createAppSessionMessage, createCloseAppSessionMessage } from '@erc7824/
 import { ethers } from 'ethers';
 import dotenv from 'dotenv';
 import logger from '../utils/logger.js';
+import { ASSET_DECIMALS, DEFAULT_ASSET, DEFAULT_STAKE, formatAmount, parseAmount } from '../utils/amounts.js';
 import { getRPCClient } from './nitroliteRPC.js';
+import { createMemoryStorage } from './storage.js';
 
 // Load environment variables
 dotenv.config();
 
+// Storage collections for app session state
+const APP_SESSIONS_COLLECTION = 'appSessions';
+const PENDING_APP_SESSIONS_COLLECTION = 'pendingAppSessions';
+
+// How long players have to sign a pending app session (APP_SESSION_SIGNING_TIMEOUT_MS)
+const DEFAULT_SIGNING_TIMEOUT_MS = 2 * 60 * 1000;
+const SIGNING_TIMEOUT_MS = Number(process.env.APP_SESSION_SIGNING_TIMEOUT_MS) || DEFAULT_SIGNING_TIMEOUT_MS;
+
 // Map to store app sessions by room ID
 const roomAppSessions = new Map();
 
 // Map to store pending app session signatures by room ID
 const pendingAppSessions = new Map();
 
+// Latest state submission by room ID, so updates reach the clearnode in move order
+const stateSubmissions = new Map();
+
+// Where app session state is persisted (replaced by initializeAppSessionStorage)
+let storage = createMemoryStorage();
+
+/**
+ * Sets the storage adapter and loads persisted app sessions from it
+ * @param {import('./storage.js').StorageAdapter} adapter - Storage adapter
+ */
+export function initializeAppSessionStorage(adapter) {
+  storage = adapter;
+  roomAppSessions.clear();
+  pendingAppSessions.clear();
+
+  for (const [roomId, record] of storage.load(APP_SESSIONS_COLLECTION)) {
+    roomAppSessions.set(roomId, record);
+  }
+
+  for (const [roomId, record] of storage.load(PENDING_APP_SESSIONS_COLLECTION)) {
+    pendingAppSessions.set(roomId, {
+      ...record,
+      signatures: new Map(Object.entries(record.signatures || {}))
+    });
+  }
+
+  logger.nitro(`Loaded ${roomAppSessions.size} app session(s) and ${pendingAppSessions.size} pending app session(s) from storage`);
+}
+
+/**
+ * Writes the app session of a room to storage (or removes it if gone)
+ * @param {string} roomId - Room ID
+ */
+function saveAppSession(roomId) {
+  const appSession = roomAppSessions.get(roomId);
+  if (appSession) {
+    storage.save(APP_SESSIONS_COLLECTION, roomId, appSession);
+  } else {
+    storage.remove(APP_SESSIONS_COLLECTION, roomId);
+  }
+}
+
+/**
+ * Writes the pending app session of a room to storage (or removes it if gone)
+ * @param {string} roomId - Room ID
+ */
+function savePendingAppSession(roomId) {
+  const pendingSession = pendingAppSessions.get(roomId);
+  if (pendingSession) {
+    storage.save(PENDING_APP_SESSIONS_COLLECTION, roomId, {
+      ...pendingSession,
+      signatures: Object.fromEntries(pendingSession.signatures)
+    });
+  } else {
+    storage.remove(PENDING_APP_SESSIONS_COLLECTION, roomId);
+  }
+}
+
+/**
+ * Gets the player participants of an app session, in allocation order
+ * Sessions stored before multi-party sessions existed only have participant A and B.
+ * @param {Object} session - Pending or created app session
+ * @returns {Array<string>} Player addresses, without the server
+ */
+function getSessionPlayers(session) {
+  return session.participants || [session.participantA, session.participantB];
+}
+
+/**
+ * Gets the time by which a pending app session has to be fully signed
+ * Sessions stored before signing deadlines existed get one from their creation time.
+ * @param {Object} pendingSession - Pending app session
+ * @returns {number} Signing deadline (ms since epoch)
+ */
+function getSigningDeadline(pendingSession) {
+  return pendingSession.signingDeadline ?? pendingSession.createdAt + SIGNING_TIMEOUT_MS;
+}
+
 /**
  * Generate app session message for multi-signature collection
  * @param {string} roomId - Room ID
  * @param {string} participantA - First player's address
  * @param {string} participantB - Second player's address
- * @returns {Promise<Object>} The unsigned app session message and app definition
+ * @param {Object} [options] - Stake settings of the room
+ * @param {string} [options.stake] - Amount each player allocates to the session
+ * @param {string} [options.asset] - Asset of the stake
+ * @param {number} [options.signingDeadline] - When unsigned sessions are abandoned (APP_SESSION_SIGNING_TIMEOUT_MS from now by default)
+ * @returns {Promise<Object>} The unsigned app session message, app definition and signing deadline
  */
-export async function generateAppSessionMessage(roomId, participantA, participantB) {
+export async function generateAppSessionMessage(roomId, participantA, participantB, options = {}) {
+  return generateMultiPartyAppSessionMessage(roomId, [participantA, participantB], options);
+}
+
+/**
+ * Generate app session message for any number of players, e.g. a tournament prize pool
+ * Every player allocates the stake; the server joins with a zero allocation and holds the quorum.
+ * @param {string} roomId - Room ID, or tournament ID for a prize pool session
+ * @param {Array<string>} players - Player addresses, in allocation order
+ * @param {Object} [options] - Stake settings
+ * @param {string} [options.stake] - Amount each player allocates to the session
+ * @param {string} [options.asset] - Asset of the stake
+ * @param {number} [options.signingDeadline] - When unsigned sessions are abandoned (APP_SESSION_SIGNING_TIMEOUT_MS from now by default)
+ * @returns {Promise<Object>} The unsigned app session message, app definition and signing deadline
+ */
+export async function generateMultiPartyAppSessionMessage(roomId, players, {
+  stake = DEFAULT_STAKE,
+  asset = DEFAULT_ASSET,
+  signingDeadline = Date.now() + SIGNING_TIMEOUT_MS
+} = {}) {
   try {
     // Format addresses to proper checksum format
-    const formattedParticipantA = ethers.getAddress(participantA);
-    const formattedParticipantB = ethers.getAddress(participantB);
+    const formattedPlayers = players.map(player => ethers.getAddress(player));
     
-    logger.nitro(`Generating app session message for room ${roomId} with participants A: ${formattedParticipantA}, B: ${formattedParticipantB}`);
+    logger.nitro(`Generating app session message for ${roomId} with participants: ${formattedPlayers.join(', ')}`);
     
     // Check if we already have a pending session (to ensure consistency)
     let pendingSession = pendingAppSessions.get(roomId);
+
+    // An expired session is never reused, so a new round gets a fresh nonce
+    if (pendingSession && getSigningDeadline(pendingSession) <= Date.now()) {
+      logger.nitro(`Pending app session for ${roomId} expired, generating a new one`);
+      discardPendingAppSession(roomId);
+      pendingSession = null;
+    }
     
     if (pendingSession) {
       logger.nitro(`Using existing app session message for room ${roomId} - nonce: ${pendingSession.nonce}, requestToSign: ${JSON.stringify(pendingSession.requestToSign)}`);
       return {
         appSessionData: pendingSession.appSessionData,
         appDefinition: pendingSession.appDefinition,
-        participants: [pendingSession.participantA, pendingSession.participantB, pendingSession.serverAddress],
-        requestToSign: pendingSession.requestToSign
+        participants: [...getSessionPlayers(pendingSession), pendingSession.serverAddress],
+        requestToSign: pendingSession.requestToSign,
+        signingDeadline: getSigningDeadline(pendingSession)
       };
     }
     
@@ -58,8 +176,8 @@ export async function generateAppSessionMessage(roomId, participantA, participan
     const nonce = Date.now();
     const appDefinition = {
       protocol: "app_aura_nitrolite_v0",
-      participants: [formattedParticipantA, formattedParticipantB, serverAddress],
-      weights: [0, 0, 100],
+      participants: [...formattedPlayers, serverAddress],
+      weights: [...formattedPlayers.map(() => 0), 100],
       quorum: 100,
       challenge: 0,
       nonce: nonce,
@@ -68,19 +186,14 @@ export async function generateAppSessionMessage(roomId, participantA, participan
     const appSessionData = [{
       definition: appDefinition,
       allocations: [
-        {
-          participant: formattedParticipantA,
-          asset: 'usdc',
-          amount: '0.01',
-        },
-        {
-          participant: formattedParticipantB,
-          asset: 'usdc',
-          amount: '0.01',
-        },
+        ...formattedPlayers.map(participant => ({
+          participant,
+          asset,
+          amount: stake,
+        })),
         {
           participant: serverAddress,
-          asset: 'usdc',
+          asset,
           amount: '0',
         },
       ]
@@ -100,22 +213,28 @@ export async function generateAppSessionMessage(roomId, participantA, participan
     pendingAppSessions.set(roomId, {
       appSessionData,
       appDefinition,
-      participantA: formattedParticipantA,
-      participantB: formattedParticipantB,
+      participants: formattedPlayers,
+      participantA: formattedPlayers[0],
+      participantB: formattedPlayers[1],
       serverAddress,
+      stake,
+      asset,
       signatures: new Map(),
       createdAt: Date.now(),
+      signingDeadline,
       nonce: nonce,
       requestToSign: requestToSign,
       originalSignedMessage: signedMessage
     });
+    savePendingAppSession(roomId);
     
-    logger.nitro(`App session message generated for room ${roomId} with nonce ${nonce}`);
+    logger.nitro(`App session message generated for ${roomId} with nonce ${nonce}`);
     return {
       appSessionData,
       appDefinition,
-      participants: [formattedParticipantA, formattedParticipantB, serverAddress],
-      requestToSign: requestToSign
+      participants: [...formattedPlayers, serverAddress],
+      requestToSign: requestToSign,
+      signingDeadline
     };
     
   } catch (error) {
@@ -140,22 +259,27 @@ export async function addAppSessionSignature(roomId, participantAddress, signatu
     if (!pendingSession) {
       throw new Error(`No pending app session found for room ${roomId}`);
     }
+
+    if (getSigningDeadline(pendingSession) <= Date.now()) {
+      throw new Error(`The signing deadline for room ${roomId} has passed`);
+    }
     
     // Verify the participant is part of this session
-    const isValidParticipant = [pendingSession.participantA, pendingSession.participantB].includes(formattedParticipantAddress);
+    const players = getSessionPlayers(pendingSession);
+    const isValidParticipant = players.includes(formattedParticipantAddress);
     if (!isValidParticipant) {
       throw new Error(`Invalid participant ${formattedParticipantAddress} for room ${roomId}`);
     }
     
     // Store the signature
     pendingSession.signatures.set(formattedParticipantAddress, signature);
+    savePendingAppSession(roomId);
     
-    logger.nitro(`Added signature for ${formattedParticipantAddress} in room ${roomId} (${pendingSession.signatures.size}/2 collected)`);
+    logger.nitro(`Added signature for ${formattedParticipantAddress} in room ${roomId} (${pendingSession.signatures.size}/${players.length} collected)`);
     logger.data(`Signature details:`, { participantAddress: formattedParticipantAddress, signature: signature.substring(0, 10) + '...', signatureLength: signature.length });
     
     // Check if we have all participant signatures (not including server)
-    const allParticipantsSigned = pendingSession.signatures.has(pendingSession.participantA) && 
-                                  pendingSession.signatures.has(pendingSession.participantB);
+    const allParticipantsSigned = players.every(player => pendingSession.signatures.has(player));
     
     return allParticipantsSigned;
     
@@ -178,8 +302,8 @@ export async function createAppSessionWithSignatures(roomId) {
     }
     
     // Verify all signatures are collected
-    const allSigned = pendingSession.signatures.has(pendingSession.participantA) && 
-                      pendingSession.signatures.has(pendingSession.participantB);
+    const players = getSessionPlayers(pendingSession);
+    const allSigned = players.every(player => pendingSession.signatures.has(player));
     
     if (!allSigned) {
       throw new Error(`Not all signatures collected for room ${roomId}`);
@@ -193,32 +317,17 @@ export async function createAppSessionWithSignatures(roomId) {
       throw new Error('RPC client not initialized');
     }
     
-    // Collect all signatures including server signature
-    const participantASignature = pendingSession.signatures.get(pendingSession.participantA);
-    const participantBSignature = pendingSession.signatures.get(pendingSession.participantB);
-    
     logger.data(`Participant signatures for room ${roomId}:`, {
-      participantA: pendingSession.participantA,
-      participantB: pendingSession.participantB,
-      participantASignature,
-      participantBSignature,
+      participants: players,
       allStoredSignatures: Array.from(pendingSession.signatures.entries())
     });
     
-    // Validate that we have all participant signatures
-    if (!participantASignature) {
-      throw new Error(`Missing signature from participant A: ${pendingSession.participantA}`);
-    }
-    if (!participantBSignature) {
-      throw new Error(`Missing signature from participant B: ${pendingSession.participantB}`);
-    }
-    
     // Don't create a new server signature - use the existing signed message structure
     // but replace the single server signature with all collected signatures
     
     // Create a properly formatted message with all signatures
-    // The signatures should be in the same order as participants: [participantA, participantB, server]
-    const allSignatures = [participantASignature, participantBSignature];
+    // The signatures should be in the same order as participants: [...players, server]
+    const allSignatures = players.map(player => pendingSession.signatures.get(player));
     
     // Now let the server sign the same request structure as the clients
     const sign = rpcClient.signMessage.bind(rpcClient);
@@ -302,15 +411,20 @@ export async function createAppSessionWithSignatures(roomId) {
     // Store the app ID for this room
     roomAppSessions.set(roomId, {
       appId,
+      participants: players,
       participantA: pendingSession.participantA,
       participantB: pendingSession.participantB,
       serverAddress: pendingSession.serverAddress,
+      stake: pendingSession.stake,
+      asset: pendingSession.asset,
       tokenAddress: process.env.USDC_TOKEN_ADDRESS,
       createdAt: Date.now()
     });
+    saveAppSession(roomId);
     
     // Clean up pending session
     pendingAppSessions.delete(roomId);
+    savePendingAppSession(roomId);
     
     logger.nitro(`Created app session with ID ${appId} for room ${roomId}`);
     return appId;
@@ -326,9 +440,12 @@ export async function createAppSessionWithSignatures(roomId) {
  * @param {string} roomId - Room ID
  * @param {string} participantA - First player's address
  * @param {string} participantB - Second player's address
+ * @param {Object} [options] - Stake settings of the room
+ * @param {string} [options.stake] - Amount each player allocates to the session
+ * @param {string} [options.asset] - Asset of the stake
  * @returns {Promise<string>} The app session ID
  */
-export async function createAppSession(roomId, participantA, participantB) {
+export async function createAppSession(roomId, participantA, participantB, { stake = DEFAULT_STAKE, asset = DEFAULT_ASSET } = {}) {
   try {
     logger.nitro(`Creating app session for room ${roomId}`);
     
@@ -347,9 +464,6 @@ export async function createAppSession(roomId, participantA, participantB) {
       throw new Error('Token address not set in environment variables');
     }
     
-    // Define the deposit amount (use '0' for free games or actual amount for paid games)
-    const amount = '0'; // Set this to the appropriate amount if needed
-    
     // Create app definition
     const appDefinition = {
       protocol: "app_aura_nitrolite_v0",
@@ -372,17 +486,17 @@ export async function createAppSession(roomId, participantA, participantB) {
           allocations: [
             {
               participant: participantA,
-              asset: 'usdc',
-              amount: '0.01',
+              asset,
+              amount: stake,
             },
             {
               participant: participantB,
-              asset: 'usdc',
-              amount: '0.01',
+              asset,
+              amount: stake,
             },
             {
               participant: serverAddress,
-              asset: 'usdc',
+              asset,
               amount: '0',
             },
           ]
@@ -457,9 +571,12 @@ export async function createAppSession(roomId, participantA, participantB) {
       participantA,
       participantB,
       serverAddress,
+      stake,
+      asset,
       tokenAddress,
       createdAt: Date.now()
     });
+    saveAppSession(roomId);
     
     logger.nitro(`Created app session with ID ${appId} for room ${roomId}`);
     return appId;
@@ -471,43 +588,72 @@ export async function createAppSession(roomId, participantA, participantB) {
 }
 
 /**
- * Close an app session with winner taking the allocation
+ * Submits the current game state of a room to its app session
+ * Allocations stay at the players' stakes until the session is closed; the
+ * update only records progress, so the clearnode holds the last agreed state
+ * if the game is disputed or the server goes down. Submissions for a room are
+ * sent one at a time, in the order they were made.
  * @param {string} roomId - Room ID
- * @param {string} winnerId - Winner's participant ID ('A' or 'B'), null for tie
- * @returns {Promise<boolean>} Success status
+ * @param {Object} sessionData - Game progress to record, sent as JSON session data
+ * @returns {Promise<boolean>} Whether the clearnode accepted the state
  */
-export async function closeAppSessionWithWinner(roomId, winnerId = null) {
+export function submitAppSessionState(roomId, sessionData) {
+  const previous = stateSubmissions.get(roomId) || Promise.resolve();
+  const submission = previous.then(() => sendAppSessionState(roomId, sessionData));
+
+  stateSubmissions.set(roomId, submission);
+  submission.then(() => {
+    if (stateSubmissions.get(roomId) === submission) {
+      stateSubmissions.delete(roomId);
+    }
+  });
+
+  return submission;
+}
+
+/**
+ * Sends one state update of a room's app session to the clearnode
+ * @param {string} roomId - Room ID
+ * @param {Object} sessionData - Game progress to record
+ * @returns {Promise<boolean>} Whether the clearnode accepted the state
+ */
+async function sendAppSessionState(roomId, sessionData) {
   try {
-    // Get the app session for this room
+    // The session may have been closed while earlier updates were in flight
     const appSession = roomAppSessions.get(roomId);
     if (!appSession) {
-      logger.warn(`No app session found for room ${roomId}`);
       return false;
     }
 
-    const { participantA, participantB } = appSession;
-    
-    // Calculate allocations based on winner
-    let allocations;
-    if (winnerId === 'A') {
-      // Player A wins - gets all the funds
-      allocations = ['0.02', '0', '0']; // A gets both initial allocations
-      logger.nitro(`Player A (${participantA}) wins room ${roomId} - taking full allocation`);
-    } else if (winnerId === 'B') {
-      // Player B wins - gets all the funds
-      allocations = ['0', '0.02', '0']; // B gets both initial allocations
-      logger.nitro(`Player B (${participantB}) wins room ${roomId} - taking full allocation`);
-    } else {
-      // Tie or no winner - split evenly
-      allocations = ['0.01', '0.01', '0'];
-      logger.nitro(`Tie in room ${roomId} - splitting allocation evenly`);
+    const rpcClient = await getRPCClient();
+    if (!rpcClient) {
+      throw new Error('RPC client not initialized');
     }
 
-    // Use the existing closeAppSession function with calculated allocations
-    return await closeAppSession(roomId, allocations);
-    
+    const { appId, serverAddress, stake, asset } = appSession;
+    const allocations = [
+      ...getSessionPlayers(appSession).map(participant => ({ participant, asset, amount: stake })),
+      { participant: serverAddress, asset, amount: '0' }
+    ];
+
+    await rpcClient.sendRequest('submit_state', [{
+      app_session_id: appId,
+      allocations,
+      session_data: JSON.stringify(sessionData)
+    }]);
+
+    // Keep the last accepted state with the session, in case it is needed after a restart
+    if (roomAppSessions.get(roomId) === appSession) {
+      appSession.stateVersion = (appSession.stateVersion || 0) + 1;
+      appSession.lastState = sessionData;
+      saveAppSession(roomId);
+    }
+
+    logger.nitro(`Submitted state ${appSession.stateVersion} of app session ${appId} for room ${roomId}`);
+    return true;
+
   } catch (error) {
-    logger.error(`Error closing app session with winner for room ${roomId}:`, error);
+    logger.error(`Error submitting app session state for room ${roomId}:`, error);
     return false;
   }
 }
@@ -515,11 +661,14 @@ export async function closeAppSessionWithWinner(roomId, winnerId = null) {
 /**
  * Close an app session for a game room
  * @param {string} roomId - Room ID
- * @param {Array<number>} [allocations=[0,0,0]] - Final allocations
+ * @param {Array<number>} [allocations=[0,0,0]] - Final allocations, one per participant (players in session order, then the server)
  * @returns {Promise<boolean>} Success status
  */
 export async function closeAppSession(roomId, allocations) {
   try {
+    // State updates still in flight land before the session is closed
+    await stateSubmissions.get(roomId);
+
     // Get the app session for this room
     const appSession = roomAppSessions.get(roomId);
     if (!appSession) {
@@ -543,30 +692,23 @@ export async function closeAppSession(roomId, allocations) {
     }
 
     // Extract participant addresses from the stored app session
-    const { participantA, participantB, serverAddress } = appSession;
+    const { serverAddress, asset } = appSession;
+    const participants = [...getSessionPlayers(appSession), serverAddress];
 
     // Check if we have all the required participants
-    if (!participantA || !participantB || !serverAddress) {
+    if (participants.some(participant => !participant)) {
       throw new Error('Missing participant information in app session');
     }
 
-    const finalAllocations = [
-      {
-        participant: participantA,
-        asset: 'usdc',
-        amount: allocations[0].toString(),
-      },
-      {
-        participant: participantB,
-        asset: 'usdc',
-        amount: allocations[1].toString(),
-      },
-      {
-        participant: serverAddress,
-        asset: 'usdc',
-        amount: allocations[2].toString(),
-      },
-    ];
+    if (allocations.length !== participants.length) {
+      throw new Error(`Expected ${participants.length} allocations, got ${allocations.length}`);
+    }
+
+    const finalAllocations = participants.map((participant, index) => ({
+      participant,
+      asset,
+      amount: allocations[index].toString(),
+    }));
     
     // Final allocations and close request
     const closeRequest = {
@@ -641,12 +783,25 @@ export async function closeAppSession(roomId, allocations) {
     
     // Remove the app session
     roomAppSessions.delete(roomId);
+    saveAppSession(roomId);
     
     logger.nitro(`Closed app session ${appId} for room ${roomId}`);
     return true;
     
   } catch (error) {
     logger.error(`Error closing app session for room ${roomId}:`, error);
+
+    // Remember what the session should have paid out, so recovery can close it later
+    const appSession = roomAppSessions.get(roomId);
+    if (appSession) {
+      appSession.settlement = {
+        allocations: allocations.map(amount => amount.toString()),
+        attempts: (appSession.settlement?.attempts || 0) + 1,
+        lastError: error.message,
+        lastAttemptAt: Date.now()
+      };
+      saveAppSession(roomId);
+    }
     return false;
   }
 }
@@ -674,11 +829,63 @@ export function getPendingAppSessionMessage(roomId) {
   return {
     appSessionData: pendingSession.appSessionData,
     appDefinition: pendingSession.appDefinition,
-    participants: [pendingSession.participantA, pendingSession.participantB, pendingSession.serverAddress],
-    requestToSign: pendingSession.requestToSign
+    participants: [...getSessionPlayers(pendingSession), pendingSession.serverAddress],
+    requestToSign: pendingSession.requestToSign,
+    signingDeadline: getSigningDeadline(pendingSession)
   };
 }
 
+/**
+ * Discards the pending app session of a room, together with the signatures collected so far
+ * @param {string} roomId - Room ID
+ * @returns {boolean} Whether a pending app session was discarded
+ */
+export function discardPendingAppSession(roomId) {
+  if (!pendingAppSessions.delete(roomId)) {
+    return false;
+  }
+
+  savePendingAppSession(roomId);
+  logger.nitro(`Discarded pending app session for ${roomId}`);
+  return true;
+}
+
+/**
+ * Check whether a participant has already signed the pending app session of a room
+ * @param {string} roomId - Room ID
+ * @param {string} participantAddress - Participant's address
+ * @returns {boolean} True if a signature from the participant is stored
+ */
+export function hasAppSessionSignature(roomId, participantAddress) {
+  const pendingSession = pendingAppSessions.get(roomId);
+  return !!pendingSession && pendingSession.signatures.has(ethers.getAddress(participantAddress));
+}
+
+/**
+ * Checks a participant's signature over the pending app session request of a room
+ * Clients sign keccak256 of the JSON request that was sent to them, either
+ * with their wallet or with the session key it delegated to.
+ * @param {string} roomId - Room ID, or tournament ID for a prize pool session
+ * @param {string} signature - Submitted signature
+ * @param {Array<string|null>} acceptedSigners - Addresses allowed to have signed (participant and session key)
+ * @returns {boolean} True if the signature recovers to one of the accepted signers
+ */
+export function verifyAppSessionSignature(roomId, signature, acceptedSigners) {
+  const pendingSession = pendingAppSessions.get(roomId);
+  if (!pendingSession) {
+    return false;
+  }
+
+  let signer;
+  try {
+    signer = ethers.recoverAddress(ethers.id(JSON.stringify(pendingSession.requestToSign)), signature);
+  } catch (error) {
+    return false;
+  }
+
+  return acceptedSigners.some(address => !!address && ethers.getAddress(address) === signer);
+}
+
 /**
  * Check if a room has an app session
  * @param {string} roomId - Room ID
@@ -695,3 +902,132 @@ export function hasAppSession(roomId) {
 export function getAllAppSessions() {
   return roomAppSessions;
 }
+
+/**
+ * Forgets the stored app session of a room that the clearnode no longer has open
+ * @param {string} roomId - Room ID
+ */
+export function forgetAppSession(roomId) {
+  if (roomAppSessions.delete(roomId)) {
+    saveAppSession(roomId);
+  }
+}
+
+/**
+ * Lists the app sessions the clearnode reports as open for the server
+ * @returns {Promise<Array<Object>>} Open app sessions as reported by the clearnode
+ * @throws {Error} If the RPC client is not initialized or the response is malformed
+ */
+export async function listOpenAppSessions() {
+  const rpcClient = await getRPCClient();
+  if (!rpcClient) {
+    throw new Error('RPC client not initialized');
+  }
+
+  const response = await rpcClient.sendRequest('get_app_sessions', [{ participant: rpcClient.address, status: 'open' }]);
+
+  // Treating a bad response as "nothing open" would drop every stored session
+  if (!Array.isArray(response)) {
+    throw new Error('Unexpected get_app_sessions response from the clearnode');
+  }
+  return response.flat().filter(Boolean);
+}
+
+/**
+ * Gets a participant's unified ledger balance on the clearnode
+ * @param {string} participant - Participant address
+ * @param {string} asset - Asset symbol
+ * @returns {Promise<bigint>} Balance in the asset's smallest units (0 without a ledger entry)
+ * @throws {Error} If the RPC client is not initialized or the response is malformed
+ */
+export async function getLedgerBalance(participant, asset) {
+  const rpcClient = await getRPCClient();
+  if (!rpcClient) {
+    throw new Error('RPC client not initialized');
+  }
+
+  const response = await rpcClient.sendRequest('get_ledger_balances', [{ participant }]);
+  if (!Array.isArray(response)) {
+    throw new Error('Unexpected get_ledger_balances response from the clearnode');
+  }
+
+  const balances = response.flat().filter(Boolean);
+  const balance = balances.find(entry => entry.asset === asset);
+  if (!balance) {
+    return 0n;
+  }
+
+  // The clearnode may report more decimals than the asset settles in
+  const [whole, fraction = ''] = String(balance.amount).split('.');
+  return parseAmount(`${whole}.${fraction.slice(0, ASSET_DECIMALS[asset]) || '0'}`, asset);
+}
+
+/**
+ * Finds the participants whose unified balance cannot cover their stake
+ * @param {Array<string>} participants - Participant addresses
+ * @param {Object} stake - Stake every participant allocates ({ stake, asset })
+ * @returns {Promise<Array<Object>>} Short participants with their balance as a decimal string ({ participant, balance })
+ */
+export async function findShortParticipants(participants, { stake, asset }) {
+  const required = parseAmount(stake, asset);
+  const balances = await Promise.all(participants.map(participant => getLedgerBalance(participant, asset)));
+
+  return participants
+    .map((participant, index) => ({ participant, units: balances[index] }))
+    .filter(({ units }) => units < required)
+    .map(({ participant, units }) => ({ participant, balance: formatAmount(units, asset) }));
+}
+
+/**
+ * Describes the participants that cannot cover their stake, for INSUFFICIENT_BALANCE errors
+ * @param {Array<Object>} shortParticipants - Result of findShortParticipants
+ * @param {Object} stake - Stake every participant allocates ({ stake, asset })
+ * @returns {string} Error message naming every short participant
+ */
+export function describeShortParticipants(shortParticipants, { stake, asset }) {
+  const shortfalls = shortParticipants.map(({ participant, balance }) => `${participant} has ${balance} ${asset}`);
+  return `Insufficient balance for the ${stake} ${asset} stake: ${shortfalls.join(', ')}`;
+}
+
+/**
+ * Reconciles stored app sessions with the clearnode after a restart
+ * Sessions the clearnode no longer reports as open are dropped. Open sessions
+ * whose room is gone are kept and reported as orphaned; session recovery closes them.
+ * @param {function(string): boolean} hasRoom - Whether a room with the given ID exists
+ * @returns {Promise<Object>} Room IDs of the sessions that were kept, dropped and orphaned
+ */
+export async function reconcileAppSessions(hasRoom) {
+  const summary = { kept: [], dropped: [], orphaned: [] };
+
+  // Pending sessions can only complete while their room exists
+  for (const roomId of Array.from(pendingAppSessions.keys())) {
+    if (!hasRoom(roomId)) {
+      pendingAppSessions.delete(roomId);
+      savePendingAppSession(roomId);
+      logger.nitro(`Dropped pending app session for missing room ${roomId}`);
+    }
+  }
+
+  if (roomAppSessions.size === 0) {
+    return summary;
+  }
+
+  const openSessions = await listOpenAppSessions();
+  const openAppIds = new Set(openSessions.map(session => session.app_session_id));
+
+  for (const [roomId, appSession] of Array.from(roomAppSessions.entries())) {
+    if (!openAppIds.has(appSession.appId)) {
+      forgetAppSession(roomId);
+      summary.dropped.push(roomId);
+      logger.nitro(`App session ${appSession.appId} for room ${roomId} is no longer open, dropping it`);
+    } else if (!hasRoom(roomId)) {
+      summary.orphaned.push(roomId);
+      logger.warn(`App session ${appSession.appId} is still open but room ${roomId} is gone - left for session recovery`);
+    } else {
+      summary.kept.push(roomId);
+    }
+  }
+
+  logger.nitro(`Reconciled app sessions: ${summary.kept.length} kept, ${summary.dropped.length} dropped, ${summary.orphaned.length} orphaned`);
+  return summary;
+}
@@ -0,0 +1,189 @@
+/**
+ * Wallet-signature authentication for game WebSocket connections
+ * Follows the clearnode auth_request/auth_verify flow: the client asks for a
+ * challenge, signs it with its wallet as an EIP-712 Policy, and every later
+ * message on that connection is bound to the verified address.
+ */
+import { v4 as uuidv4 } from 'uuid';
+import { ethers } from 'ethers';
+
+/**
+ * EIP-712 domain and types for the auth challenge (same shape as the clearnode Policy)
+ */
+export const AUTH_DOMAIN = {
+  name: 'Nitro Aura'
+};
+
+export const AUTH_TYPES = {
+  Policy: [
+    { name: 'challenge', type: 'string' },
+    { name: 'scope', type: 'string' },
+    { name: 'wallet', type: 'address' },
+    { name: 'application', type: 'address' },
+    { name: 'participant', type: 'address' },
+    { name: 'expire', type: 'uint256' },
+    { name: 'allowances', type: 'Allowance[]' }
+  ],
+  Allowance: [
+    { name: 'asset', type: 'string' },
+    { name: 'amount', type: 'uint256' }
+  ]
+};
+
+// Scope that separates game server auth from clearnode auth
+export const AUTH_SCOPE = 'game.nitro.aura';
+
+// How long a challenge can be answered
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+
+// How long a verified connection stays authenticated
+const SESSION_TTL_SECONDS = 24 * 60 * 60;
+
+/**
+ * @typedef {Object} AuthManager
+ * @property {function(Object, string, string=): Object} createChallenge - Issues a Policy to sign for a connection
+ * @property {function(Object, string): Object} verifyChallenge - Checks the signed Policy and binds the connection
+ * @property {function(Object): (string|null)} getAuthenticatedAddress - Verified EOA of a connection
+ * @property {function(Object): (string|null)} getSessionKey - Session key the wallet delegated to
+ * @property {function(Object): (Object|null)} getDelegation - Signed Policy that proves the delegation
+ * @property {function(Object): void} forget - Drops all auth state of a connection
+ */
+
+/**
+ * Creates a new auth manager tracking challenges and verified connections
+ * @returns {AuthManager} Auth manager instance
+ */
+export function createAuthManager() {
+  // Outstanding challenges by connection
+  const challenges = new Map();
+
+  // Verified connections: ws -> { address, sessionKey, delegation, expiresAt }
+  const sessions = new Map();
+
+  /**
+   * Issues a challenge for a connection
+   * @param {Object} ws - WebSocket connection
+   * @param {string} address - Wallet address claiming the connection
+   * @param {string} [sessionKey] - Session key address the wallet delegates signing to
+   * @returns {Object} EIP-712 Policy message the wallet must sign
+   */
+  function createChallenge(ws, address, sessionKey) {
+    const wallet = ethers.getAddress(address);
+    const participant = sessionKey ? ethers.getAddress(sessionKey) : wallet;
+
+    const message = {
+      challenge: uuidv4(),
+      scope: AUTH_SCOPE,
+      wallet,
+      application: wallet,
+      participant,
+      expire: String(Math.floor(Date.now() / 1000) + SESSION_TTL_SECONDS),
+      allowances: []
+    };
+
+    challenges.set(ws, { message, expiresAt: Date.now() + CHALLENGE_TTL_MS });
+    return message;
+  }
+
+  /**
+   * Verifies the signed challenge of a connection
+   * Each challenge can be answered once; a failed attempt needs a new auth:request.
+   * @param {Object} ws - WebSocket connection
+   * @param {string} signature - EIP-712 signature of the Policy
+   * @returns {Object} Result with success flag, address and session key, or error
+   */
+  function verifyChallenge(ws, signature) {
+    const pending = challenges.get(ws);
+    challenges.delete(ws);
+
+    if (!pending) {
+      return { success: false, error: 'No pending challenge for this connection' };
+    }
+
+    if (Date.now() > pending.expiresAt) {
+      return { success: false, error: 'Challenge expired' };
+    }
+
+    let recovered;
+    try {
+      recovered = ethers.verifyTypedData(AUTH_DOMAIN, AUTH_TYPES, pending.message, signature);
+    } catch (error) {
+      return { success: false, error: 'Malformed signature' };
+    }
+
+    const { wallet, participant, expire } = pending.message;
+    if (recovered !== wallet) {
+      return { success: false, error: 'Signature does not match the wallet address' };
+    }
+
+    sessions.set(ws, {
+      address: wallet,
+      sessionKey: participant,
+      delegation: { message: pending.message, signature },
+      expiresAt: Number(expire) * 1000
+    });
+
+    return { success: true, address: wallet, sessionKey: participant };
+  }
+
+  /**
+   * Gets the live session of a connection, dropping it once expired
+   * @param {Object} ws - WebSocket connection
+   * @returns {Object|null} Session or null
+   */
+  function getSession(ws) {
+    const session = sessions.get(ws);
+    if (session && Date.now() > session.expiresAt) {
+      sessions.delete(ws);
+      return null;
+    }
+    return session || null;
+  }
+
+  /**
+   * Gets the verified EOA of a connection
+   * @param {Object} ws - WebSocket connection
+   * @returns {string|null} Checksummed address or null if not authenticated
+   */
+  function getAuthenticatedAddress(ws) {
+    return getSession(ws)?.address || null;
+  }
+
+  /**
+   * Gets the session key the verified wallet delegated to
+   * @param {Object} ws - WebSocket connection
+   * @returns {string|null} Checksummed session key address or null if not authenticated
+   */
+  function getSessionKey(ws) {
+    return getSession(ws)?.sessionKey || null;
+  }
+
+  /**
+   * Gets the signed Policy through which the wallet delegated to its session key
+   * Lets third parties check that session key signatures belong to the wallet.
+   * @param {Object} ws - WebSocket connection
+   * @returns {Object|null} Policy message and wallet signature, or null if not authenticated
+   */
+  function getDelegation(ws) {
+    return getSession(ws)?.delegation || null;
+  }
+
+  /**
+   * Drops all auth state of a connection
+   * @param {Object} ws - WebSocket connection
+   */
+  function forget(ws) {
+    challenges.delete(ws);
+    sessions.delete(ws);
+  }
+
+  // Return public API
+  return {
+    createChallenge,
+    verifyChallenge,
+    getAuthenticatedAddress,
+    getSessionKey,
+    getDelegation,
+    forget
+  };
+}
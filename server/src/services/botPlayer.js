@@ -0,0 +1,296 @@
+/**
+ * Bot opponent for practice games
+ * The server seats a bot as guest of a practice room. It joins like any
+ * player, with a virtual connection that receives the room broadcasts, and
+ * plays through roomManager.processMove with moves signed by its own
+ * throwaway wallet, so the move log of a bot game verifies and replays like
+ * any other.
+ */
+import dotenv from 'dotenv';
+import { ethers } from 'ethers';
+import { AUTH_DOMAIN, AUTH_TYPES, AUTH_SCOPE } from './auth.js';
+import { getMoveDigest } from './moveLog.js';
+import logger from '../utils/logger.js';
+
+// Load environment variables
+dotenv.config();
+
+// How far ahead each difficulty searches and how often it plays a random move instead
+export const BOT_DIFFICULTIES = {
+  easy: { depth: 1, randomMoveRate: 0.5 },
+  medium: { depth: 3, randomMoveRate: 0.15 },
+  hard: { depth: Infinity, randomMoveRate: 0 }
+};
+
+// Pause before the bot moves, so its moves don't land in the same frame as the player's
+const DEFAULT_BOT_THINK_TIME_MS = 600;
+
+// Score of a won position before subtracting the plies it took
+const WIN_SCORE = 100;
+
+/**
+ * Scores a position for the bot with alpha-beta minimax
+ * Faster wins and slower losses score better.
+ * @param {import('./gameEngines.js').GameEngine} engine - Game engine
+ * @param {Object} gameState - Position to score
+ * @param {string} botEoa - Bot's checksummed address
+ * @param {number} depth - Plies left to search
+ * @param {number} ply - Plies searched so far
+ * @param {number} alpha - Best score the bot is assured of
+ * @param {number} beta - Best score the opponent is assured of
+ * @returns {number} Score from the bot's point of view
+ */
+function minimax(engine, gameState, botEoa, depth, ply, alpha, beta) {
+  const { isGameOver, winnerAddress } = engine.getResult(gameState);
+  if (isGameOver) {
+    if (!winnerAddress) return 0;
+    return winnerAddress === botEoa ? WIN_SCORE - ply : ply - WIN_SCORE;
+  }
+
+  if (depth === 0) return 0;
+
+  const player = engine.getCurrentPlayer(gameState);
+  const isBotTurn = player === botEoa;
+  let best = isBotTurn ? -Infinity : Infinity;
+
+  for (const move of engine.getValidMoves(gameState)) {
+    const { gameState: next } = engine.applyMove(gameState, move, player);
+    const score = minimax(engine, next, botEoa, depth - 1, ply + 1, alpha, beta);
+
+    if (isBotTurn) {
+      best = Math.max(best, score);
+      alpha = Math.max(alpha, score);
+    } else {
+      best = Math.min(best, score);
+      beta = Math.min(beta, score);
+    }
+
+    if (beta <= alpha) break;
+  }
+
+  return best;
+}
+
+/**
+ * Picks the bot's move
+ * @param {import('./gameEngines.js').GameEngine} engine - Game engine (must implement getValidMoves)
+ * @param {Object} gameState - Current game state, with the bot on turn
+ * @param {string} botEoa - Bot's checksummed address
+ * @param {string} difficulty - One of the BOT_DIFFICULTIES keys
+ * @param {function(): number} [random] - Source of randomness in [0, 1)
+ * @returns {*} Move in the engine's format
+ */
+export function chooseBotMove(engine, gameState, botEoa, difficulty, random = Math.random) {
+  const { depth, randomMoveRate } = BOT_DIFFICULTIES[difficulty];
+  const moves = engine.getValidMoves(gameState);
+
+  if (random() < randomMoveRate) {
+    return moves[Math.floor(random() * moves.length)];
+  }
+
+  // Equally good moves are picked at random so games don't repeat
+  let bestScore = -Infinity;
+  let bestMoves = [];
+  for (const move of moves) {
+    const { gameState: next } = engine.applyMove(gameState, move, botEoa);
+    const score = minimax(engine, next, botEoa, depth - 1, 1, -Infinity, Infinity);
+
+    if (score > bestScore) {
+      bestScore = score;
+      bestMoves = [move];
+    } else if (score === bestScore) {
+      bestMoves.push(move);
+    }
+  }
+
+  return bestMoves[Math.floor(random() * bestMoves.length)];
+}
+
+/**
+ * Creates the bot manager
+ * @param {Object} options - Manager options
+ * @param {import('./roomManager.js').RoomManager} options.roomManager - Room manager the bots play in
+ * @param {function(string, Object): void} options.onMove - Called with the room ID and processMove result after every bot move
+ * @param {function(string, string): void} [options.onRematchRequested] - Called with the room ID and bot EOA when the player asks for a rematch
+ * @param {number} [options.thinkTimeMs] - Pause before every bot move (BOT_THINK_TIME_MS)
+ * @returns {Object} Bot manager
+ */
+export function createBotManager({
+  roomManager,
+  onMove,
+  onRematchRequested = () => {},
+  thinkTimeMs = Number(process.env.BOT_THINK_TIME_MS) || DEFAULT_BOT_THINK_TIME_MS
+}) {
+  // Seated bots by room ID ({ wallet, difficulty, delegation, timer })
+  const bots = new Map();
+
+  /**
+   * Signs the auth Policy a player would sign, delegating to the bot's own wallet
+   * Keeps bot moves verifiable by replayMoveLog like anyone else's.
+   * @param {ethers.Wallet} wallet - Bot wallet
+   * @returns {Promise<Object>} Signed delegation ({ message, signature })
+   */
+  async function createDelegation(wallet) {
+    const message = {
+      challenge: ethers.hexlify(ethers.randomBytes(32)),
+      scope: AUTH_SCOPE,
+      wallet: wallet.address,
+      application: wallet.address,
+      participant: wallet.address,
+      expire: String(Math.floor(Date.now() / 1000) + 24 * 60 * 60),
+      allowances: []
+    };
+    return { message, signature: await wallet.signTypedData(AUTH_DOMAIN, AUTH_TYPES, message) };
+  }
+
+  /**
+   * Seats a bot as guest of a room
+   * @param {string} roomId - Room ID (a practice room with a host waiting)
+   * @param {string} difficulty - One of the BOT_DIFFICULTIES keys
+   * @returns {Promise<Object>} Result with success flag, the bot's EOA and whether the room is ready, or error
+   */
+  async function seatBot(roomId, difficulty) {
+    const room = roomManager.rooms.get(roomId);
+    if (!room || !room.isPractice) {
+      return { success: false, error: 'Bots only play practice rooms' };
+    }
+
+    if (typeof roomManager.getRoomEngine(roomId).getValidMoves !== 'function') {
+      return { success: false, error: `No bot plays ${room.gameType}` };
+    }
+
+    const wallet = ethers.Wallet.createRandom();
+    const delegation = await createDelegation(wallet);
+    const connection = {
+      readyState: 1,
+      send: (message) => handleRoomMessage(roomId, JSON.parse(message))
+    };
+
+    const result = roomManager.joinRoom(roomId, wallet.address, connection);
+    if (!result.success) {
+      return result;
+    }
+
+    bots.set(roomId, { wallet, difficulty, delegation, timer: null });
+    room.bot = { eoa: wallet.address, difficulty };
+    roomManager.saveRoom(roomId);
+
+    logger.game(`Seated ${difficulty} bot ${wallet.address} in room ${roomId}`);
+    return { success: true, eoa: wallet.address, isRoomReady: result.isRoomReady };
+  }
+
+  /**
+   * Reacts to a room broadcast the bot received
+   * Answers wait for the think time, so they never overtake the broadcast
+   * that is still being delivered to the rest of the room.
+   * @param {string} roomId - Room ID
+   * @param {Object} message - Broadcast message
+   */
+  function handleRoomMessage(roomId, message) {
+    const bot = bots.get(roomId);
+    if (!bot) return;
+
+    switch (message.type) {
+      case 'game:started':
+      case 'room:state':
+        scheduleMove(roomId);
+        break;
+      case 'draw:offered':
+        if (message.eoa !== bot.wallet.address) {
+          setTimeout(() => declineDraw(roomId), thinkTimeMs);
+        }
+        break;
+      case 'rematch:requested':
+        if (message.eoa !== bot.wallet.address) {
+          setTimeout(() => onRematchRequested(roomId, bot.wallet.address), thinkTimeMs);
+        }
+        break;
+      case 'player:left':
+        // Nobody is left to play against
+        setTimeout(() => {
+          roomManager.broadcastToRoom(roomId, 'room:closed', { roomId });
+          roomManager.closeRoom(roomId);
+        }, thinkTimeMs);
+        break;
+      case 'room:closed':
+        removeBot(roomId);
+        break;
+    }
+  }
+
+  /**
+   * Plays the bot's move after the think time if it is on turn
+   * @param {string} roomId - Room ID
+   */
+  function scheduleMove(roomId) {
+    const bot = bots.get(roomId);
+    const room = roomManager.rooms.get(roomId);
+    if (!bot || bot.timer || !room?.gameState) return;
+
+    const engine = roomManager.getRoomEngine(roomId);
+    if (engine.getCurrentPlayer(room.gameState) !== bot.wallet.address) return;
+
+    bot.timer = setTimeout(() => {
+      bot.timer = null;
+      playMove(roomId);
+    }, thinkTimeMs);
+  }
+
+  /**
+   * Picks, signs and submits the bot's move
+   * @param {string} roomId - Room ID
+   */
+  function playMove(roomId) {
+    const bot = bots.get(roomId);
+    const room = roomManager.rooms.get(roomId);
+    if (!bot || !room?.gameState) return;
+
+    const engine = roomManager.getRoomEngine(roomId);
+    const eoa = bot.wallet.address;
+    if (engine.getCurrentPlayer(room.gameState) !== eoa) return;
+
+    const move = chooseBotMove(engine, room.gameState, eoa, bot.difficulty);
+    const seq = room.gameState.moveLog.moves.length;
+    const signature = bot.wallet.signingKey.sign(getMoveDigest(roomId, seq, move)).serialized;
+
+    const result = roomManager.processMove(roomId, move, eoa, { signature, signer: eoa, delegation: bot.delegation });
+    if (!result.success) {
+      logger.error(`Bot move ${move} failed in room ${roomId}: ${result.error}`);
+      return;
+    }
+
+    onMove(roomId, result);
+  }
+
+  /**
+   * Turns down the player's draw offer; the bot plays every game out
+   * @param {string} roomId - Room ID
+   */
+  function declineDraw(roomId) {
+    const bot = bots.get(roomId);
+    if (!bot) return;
+
+    const result = roomManager.respondDraw(roomId, bot.wallet.address, false);
+    if (result.success) {
+      roomManager.broadcastToRoom(roomId, 'draw:declined', { roomId, eoa: result.eoa });
+    }
+  }
+
+  /**
+   * Forgets the bot of a room and cancels its pending move
+   * @param {string} roomId - Room ID
+   */
+  function removeBot(roomId) {
+    const bot = bots.get(roomId);
+    if (!bot) return;
+
+    clearTimeout(bot.timer);
+    bots.delete(roomId);
+  }
+
+  // Return public API
+  return {
+    seatBot,
+    removeBot
+  };
+}
@@ -0,0 +1,173 @@
+/**
+ * Operator fee taken from settled pots
+ * The server is a participant of every app session; when a pot is paid out
+ * the configured fee is deducted from the players' payouts and allocated to
+ * the server instead (see settlement.js). Every collected fee is stored for
+ * the operator's accounting report.
+ */
+import dotenv from 'dotenv';
+import { ethers } from 'ethers';
+import { createMemoryStorage } from './storage.js';
+import { ASSET_DECIMALS, formatAmount, parseAmount } from '../utils/amounts.js';
+
+// Load environment variables
+dotenv.config();
+
+// Storage collection holding collected fees
+const FEES_COLLECTION = 'fees';
+
+// Basis points in a whole pot
+const BASIS_POINTS = 10000n;
+
+// Most fee entries a report lists individually
+const MAX_REPORT_ENTRIES = 100;
+
+/**
+ * @typedef {Object} FeeSetting
+ * @property {bigint|null} basisPoints - Share of the pot in basis points, null for a flat fee
+ * @property {bigint|null} flatUnits - Flat fee in the asset's smallest units, null for a percentage
+ */
+
+/**
+ * Parses the fee setting of an asset
+ * Accepts a percentage of the pot with up to two decimals ('2.5%') or a flat
+ * amount in asset units ('0.001'); the flat fee never exceeds the pot.
+ * @param {string} value - Setting as configured
+ * @param {string} asset - Asset symbol
+ * @returns {FeeSetting} Parsed setting
+ * @throws {Error} If the setting is malformed or above 100%
+ */
+export function parseFeeSetting(value, asset) {
+  const setting = String(value).trim();
+
+  if (setting.endsWith('%')) {
+    const percent = setting.slice(0, -1).trim();
+    if (!/^\d+(\.\d{1,2})?$/.test(percent)) {
+      throw new Error(`Invalid fee percentage for ${asset}: ${value}`);
+    }
+
+    const basisPoints = ethers.parseUnits(percent, 2);
+    if (basisPoints > BASIS_POINTS) {
+      throw new Error(`Fee for ${asset} cannot exceed 100%: ${value}`);
+    }
+    return { basisPoints, flatUnits: null };
+  }
+
+  if (!/^\d+(\.\d+)?$/.test(setting)) {
+    throw new Error(`Invalid flat fee for ${asset}: ${value}`);
+  }
+  return { basisPoints: null, flatUnits: parseAmount(setting, asset) };
+}
+
+/**
+ * Reads the fee settings of every supported asset from FEE_<ASSET> variables
+ * (e.g. FEE_USDC=2.5% or FEE_USDC=0.001); assets without one pay no fee
+ * @param {Object} [env] - Environment to read
+ * @returns {Object<string, FeeSetting>} Fee settings by asset
+ */
+export function loadFeeSchedule(env = process.env) {
+  const schedule = {};
+  for (const asset of Object.keys(ASSET_DECIMALS)) {
+    const value = env[`FEE_${asset.toUpperCase()}`];
+    if (value !== undefined && value !== '') {
+      schedule[asset] = parseFeeSetting(value, asset);
+    }
+  }
+  return schedule;
+}
+
+/**
+ * Creates the fee manager
+ * @param {Object} [options] - Manager options
+ * @param {import('./storage.js').StorageAdapter} [options.storage] - Where collected fees are persisted (in-memory by default)
+ * @param {Object<string, FeeSetting>} [options.schedule] - Fee settings by asset (FEE_<ASSET> by default)
+ * @returns {Object} Fee manager
+ */
+export function createFeeManager({
+  storage = createMemoryStorage(),
+  schedule = loadFeeSchedule()
+} = {}) {
+  /**
+   * Computes the fee owed on a pot
+   * @param {bigint} potUnits - Pot in the asset's smallest units
+   * @param {string} asset - Asset symbol
+   * @returns {bigint} Fee in the asset's smallest units
+   */
+  function computeFee(potUnits, asset) {
+    const setting = schedule[asset];
+    if (!setting) return 0n;
+
+    if (setting.basisPoints !== null) {
+      return potUnits * setting.basisPoints / BASIS_POINTS;
+    }
+    return setting.flatUnits < potUnits ? setting.flatUnits : potUnits;
+  }
+
+  /**
+   * Stores a fee the server was allocated in a closed app session
+   * @param {Object} entry - Collected fee
+   * @param {string} entry.source - What was settled ('room' or 'tournament')
+   * @param {string} entry.sourceId - Room or tournament ID
+   * @param {string} entry.asset - Asset symbol
+   * @param {string} entry.amount - Fee as a decimal string
+   * @param {string} entry.pot - Pot the fee was taken from
+   * @param {number} [entry.collectedAt] - When the app session was closed (ms since epoch)
+   */
+  function recordFee({ source, sourceId, asset, amount, pot, collectedAt = Date.now() }) {
+    if (parseAmount(amount, asset) === 0n) return;
+    storage.save(FEES_COLLECTION, `${sourceId}:${collectedAt}`, { source, sourceId, asset, amount, pot, collectedAt });
+  }
+
+  /**
+   * Summarizes the fees collected since a point in time
+   * @param {Object} [query] - Report query
+   * @param {number} [query.since] - Earliest collection time to include (ms since epoch)
+   * @returns {Object} Current schedule, totals and settlement counts by asset, and the latest entries
+   */
+  function getFeeReport({ since = 0 } = {}) {
+    const entries = storage.load(FEES_COLLECTION)
+      .map(([, entry]) => entry)
+      .filter(entry => entry.collectedAt >= since)
+      .sort((a, b) => b.collectedAt - a.collectedAt);
+
+    const totals = {};
+    for (const entry of entries) {
+      const total = totals[entry.asset] || { collected: 0n, pots: 0n, settlements: 0 };
+      total.collected += parseAmount(entry.amount, entry.asset);
+      total.pots += parseAmount(entry.pot, entry.asset);
+      total.settlements += 1;
+      totals[entry.asset] = total;
+    }
+
+    return {
+      since,
+      schedule: formatSchedule(),
+      totals: Object.fromEntries(Object.entries(totals).map(([asset, total]) => [asset, {
+        collected: formatAmount(total.collected, asset),
+        pots: formatAmount(total.pots, asset),
+        settlements: total.settlements
+      }])),
+      entries: entries.slice(0, MAX_REPORT_ENTRIES)
+    };
+  }
+
+  /**
+   * Formats the fee schedule for reports
+   * @returns {Object<string, Object>} Settings by asset ({ percent } or { flat })
+   */
+  function formatSchedule() {
+    return Object.fromEntries(Object.entries(schedule).map(([asset, setting]) => [
+      asset,
+      setting.basisPoints !== null
+        ? { percent: ethers.formatUnits(setting.basisPoints, 2).replace(/\.0$/, '') }
+        : { flat: formatAmount(setting.flatUnits, asset) }
+    ]));
+  }
+
+  // Return public API
+  return {
+    computeFee,
+    recordFee,
+    getFeeReport
+  };
+}
@@ -0,0 +1,119 @@
+/**
+ * Move and game clocks
+ * Each player has a per-move limit and a bank of total thinking time for the
+ * game; whichever runs out first ends the player's turn with a timeout loss.
+ * Clocks are plain objects so they can live in the persisted game state.
+ */
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+// Time allowed for a single move
+export const DEFAULT_MOVE_TIME_MS = Number(process.env.MOVE_TIME_MS) || 30 * 1000;
+
+// Total thinking time per player for the whole game
+export const DEFAULT_GAME_TIME_MS = Number(process.env.GAME_TIME_MS) || 5 * 60 * 1000;
+
+/**
+ * @typedef {Object} GameClock
+ * @property {number} moveTimeMs - Time allowed for a single move
+ * @property {number} gameTimeMs - Total thinking time per player
+ * @property {Object<string, number>} remainingMs - Banked game time by player EOA, as of turnStartedAt
+ * @property {string|null} turn - EOA of the player on the clock, or null when stopped
+ * @property {number|null} turnStartedAt - When the current turn started (ms since epoch)
+ */
+
+/**
+ * Starts a clock with the first player on turn
+ * @param {Array<string>} players - EOAs of all players
+ * @param {string} firstPlayer - EOA of the player moving first
+ * @param {Object} [options] - Clock limits
+ * @param {number} [options.moveTimeMs] - Time allowed for a single move
+ * @param {number} [options.gameTimeMs] - Total thinking time per player
+ * @param {number} [now] - Current time
+ * @returns {GameClock} Running clock
+ */
+export function startClock(players, firstPlayer, {
+  moveTimeMs = DEFAULT_MOVE_TIME_MS,
+  gameTimeMs = DEFAULT_GAME_TIME_MS
+} = {}, now = Date.now()) {
+  return {
+    moveTimeMs,
+    gameTimeMs,
+    remainingMs: Object.fromEntries(players.map(player => [player, gameTimeMs])),
+    turn: firstPlayer,
+    turnStartedAt: now
+  };
+}
+
+/**
+ * Charges the elapsed turn to the player on the clock and hands the turn over
+ * @param {GameClock} clock - Running clock
+ * @param {string|null} nextPlayer - EOA of the next player, or null to stop the clock
+ * @param {number} [now] - Current time
+ * @returns {GameClock} Updated clock
+ */
+export function switchClock(clock, nextPlayer, now = Date.now()) {
+  const remainingMs = { ...clock.remainingMs };
+  if (clock.turn) {
+    remainingMs[clock.turn] = Math.max(0, remainingMs[clock.turn] - (now - clock.turnStartedAt));
+  }
+
+  return {
+    ...clock,
+    remainingMs,
+    turn: nextPlayer,
+    turnStartedAt: nextPlayer ? now : null
+  };
+}
+
+/**
+ * Stops the clock, charging the elapsed turn
+ * @param {GameClock} clock - Running clock
+ * @param {number} [now] - Current time
+ * @returns {GameClock} Stopped clock
+ */
+export function stopClock(clock, now = Date.now()) {
+  return switchClock(clock, null, now);
+}
+
+/**
+ * Restarts the current turn from now without charging the time in between
+ * Used after a server restart, when the player could not have moved.
+ * @param {GameClock} clock - Clock restored from storage
+ * @param {number} [now] - Current time
+ * @returns {GameClock} Clock with a fresh turn
+ */
+export function resumeClock(clock, now = Date.now()) {
+  return clock.turn ? { ...clock, turnStartedAt: now } : clock;
+}
+
+/**
+ * Gets the moment the player on the clock runs out of time
+ * @param {GameClock} clock - Running clock
+ * @returns {number|null} Deadline (ms since epoch) or null when stopped
+ */
+export function getClockDeadline(clock) {
+  if (!clock.turn) {
+    return null;
+  }
+
+  return clock.turnStartedAt + Math.min(clock.moveTimeMs, clock.remainingMs[clock.turn]);
+}
+
+/**
+ * Formats a clock for `room:state` messages
+ * @param {GameClock} clock - Clock to format
+ * @returns {Object} Limits, banked time, player on turn and their deadline
+ */
+export function formatClock(clock) {
+  return {
+    moveTimeMs: clock.moveTimeMs,
+    gameTimeMs: clock.gameTimeMs,
+    remainingMs: clock.remainingMs,
+    turn: clock.turn,
+    turnStartedAt: clock.turnStartedAt,
+    deadline: getClockDeadline(clock)
+  };
+}
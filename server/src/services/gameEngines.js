@@ -0,0 +1,88 @@
+/**
+ * Game engine registry
+ * Rooms pick a game type at creation; the room, session and route code
+ * only talk to the engine registered for that type.
+ */
+import { ticTacToeEngine } from './ticTacToe.js';
+
+/**
+ * @typedef {Object} GameResult
+ * @property {boolean} isGameOver - Whether the game is over
+ * @property {string|null} winner - Winning player symbol, or null (no winner yet or draw)
+ * @property {string|null} winnerAddress - Winning player's EOA, or null
+ */
+
+/**
+ * @typedef {Object} GameEngine
+ * @property {string} type - Unique game type key (e.g. 'tictactoe')
+ * @property {function(string, string): Object} create - Creates the initial game state from host and guest EOAs
+ * @property {function(Object, *, string): Object} validateMove - Checks a move without applying it ({ success, error })
+ * @property {function(Object, *, string): Object} applyMove - Applies a move ({ success, gameState, error })
+ * @property {function(Object): Array<*>} [getValidMoves] - Lists the moves of the player to move (needed for bots)
+ * @property {function(Object): GameResult} getResult - Reads the outcome of a game state
+ * @property {function(Object): (string|null)} getCurrentPlayer - EOA of the player to move, or null once over
+ * @property {function(Object, string): Object} forfeit - Ends the game with a loss for the given EOA
+ * @property {function(Object): Object} declareDraw - Ends the game without a winner
+ * @property {function(Object, string): Object} formatState - Formats the state for `room:state` messages
+ * @property {function(Object): Object} formatGameOver - Formats the state for `game:over` messages
+ */
+
+// Methods every game engine must implement
+const ENGINE_METHODS = ['create', 'validateMove', 'applyMove', 'getResult', 'getCurrentPlayer', 'forfeit', 'declareDraw', 'formatState', 'formatGameOver'];
+
+// Game type used when a room is created without one
+export const DEFAULT_GAME_TYPE = ticTacToeEngine.type;
+
+// Registered engines by game type
+const engines = new Map();
+
+/**
+ * Registers a game engine
+ * @param {GameEngine} engine - Engine implementation
+ * @throws {Error} If the engine is incomplete or its type is already registered
+ */
+export function registerGameEngine(engine) {
+  if (!engine || typeof engine.type !== 'string' || !engine.type) {
+    throw new Error('Game engine must have a type');
+  }
+
+  const missing = ENGINE_METHODS.filter(method => typeof engine[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Game engine ${engine.type} is missing: ${missing.join(', ')}`);
+  }
+
+  if (engines.has(engine.type)) {
+    throw new Error(`Game engine ${engine.type} is already registered`);
+  }
+
+  engines.set(engine.type, engine);
+}
+
+/**
+ * Gets the engine for a game type
+ * @param {string} gameType - Game type key
+ * @returns {GameEngine|null} The engine or null if not registered
+ */
+export function getGameEngine(gameType) {
+  return engines.get(gameType) || null;
+}
+
+/**
+ * Checks whether a game type has a registered engine
+ * @param {string} gameType - Game type key
+ * @returns {boolean} True if the game type is registered
+ */
+export function hasGameEngine(gameType) {
+  return engines.has(gameType);
+}
+
+/**
+ * Lists all registered game types
+ * @returns {Array<string>} Game type keys
+ */
+export function getGameTypes() {
+  return Array.from(engines.keys());
+}
+
+// Built-in engines
+registerGameEngine(ticTacToeEngine);
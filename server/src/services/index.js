@@ -18,14 +18,106 @@ export {
   getAppSession,
   hasAppSession,
   getAllAppSessions,
+  forgetAppSession,
+  listOpenAppSessions,
   generateAppSessionMessage,
+  generateMultiPartyAppSessionMessage,
   getPendingAppSessionMessage,
+  discardPendingAppSession,
+  hasAppSessionSignature,
+  verifyAppSessionSignature,
   addAppSessionSignature,
-  createAppSessionWithSignatures
+  createAppSessionWithSignatures,
+  submitAppSessionState,
+  findShortParticipants,
+  describeShortParticipants,
+  initializeAppSessionStorage,
+  reconcileAppSessions
 } from './appSessions.js';
 
+// Recovery of orphaned app sessions
+export { createSessionRecovery } from './sessionRecovery.js';
+
+// Persistent storage adapters
+export { createStorage, createFileStorage, createMemoryStorage } from './storage.js';
+
+// Wallet-signature auth for game connections
+export { createAuthManager, AUTH_DOMAIN, AUTH_TYPES, AUTH_SCOPE } from './auth.js';
+
+// Move and game clocks
+export {
+  startClock,
+  switchClock,
+  stopClock,
+  resumeClock,
+  getClockDeadline,
+  formatClock,
+  DEFAULT_MOVE_TIME_MS,
+  DEFAULT_GAME_TIME_MS
+} from './gameClock.js';
+
+// Signed move log
+export {
+  createMoveLog,
+  getMoveDigest,
+  recoverMoveSigner,
+  verifyDelegation,
+  appendMove,
+  replayMoveLog
+} from './moveLog.js';
+
 // Room management
-export { createRoomManager } from './roomManager.js';
+export { createRoomManager, SERIES_LENGTHS, ROOM_MODES } from './roomManager.js';
+
+// Matchmaking queue
+export { createMatchmaker, DEFAULT_RATING } from './matchmaker.js';
+
+// Single-elimination and round-robin tournaments
+export { createTournamentManager, TOURNAMENT_FORMATS, MAX_TOURNAMENT_PLAYERS } from './tournaments.js';
+
+// Pot division for every app session close
+export { getPotUnits, getPayouts, settle } from './settlement.js';
+
+// Operator addresses allowed to read fees and run recovery
+export { createOperatorList, loadOperatorAddresses } from './operators.js';
+
+// Operator fee taken from settled pots
+export { createFeeManager, loadFeeSchedule, parseFeeSetting } from './fees.js';
+
+// Minimax bot opponent for practice games
+export { createBotManager, BOT_DIFFICULTIES } from './botPlayer.js';
+
+// Elo ratings and game history per player
+export { createPlayerProfiles, getExpectedScore, getNewRating } from './playerProfiles.js';
+
+// Leaderboard over finished games
+export {
+  createLeaderboard,
+  LEADERBOARD_WINDOWS,
+  LEADERBOARD_SORTS,
+  MAX_LEADERBOARD_LIMIT
+} from './leaderboard.js';
+
+// Game engine registry
+export {
+  registerGameEngine,
+  getGameEngine,
+  hasGameEngine,
+  getGameTypes,
+  DEFAULT_GAME_TYPE
+} from './gameEngines.js';
 
 // Tic Tac Toe game logic
-export { createGame, makeMove, checkWinner, formatGameState, formatGameOverMessage } from './ticTacToe.js';
\ No newline at end of file
+export {
+  createGame,
+  makeMove,
+  validateMove,
+  checkWinner,
+  getResult,
+  getCurrentPlayer,
+  forfeit,
+  declareDraw,
+  formatGameState,
+  formatGameOverMessage,
+  ticTacToeEngine
+} from './ticTacToe.js';
\ No newline at end of file
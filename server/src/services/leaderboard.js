@@ -0,0 +1,133 @@
+/**
+ * Leaderboard over finished games
+ * Every finished game is stored as a result with the allocations its app
+ * session was closed with; rankings are aggregated from the results inside
+ * the requested time window.
+ */
+import { createMemoryStorage } from './storage.js';
+import { DEFAULT_ASSET, formatAmount, parseAmount } from '../utils/amounts.js';
+
+// Storage collection holding game results
+const RESULTS_COLLECTION = 'results';
+
+// Time windows a leaderboard can cover (ms, null for all-time)
+export const LEADERBOARD_WINDOWS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000,
+  'all-time': null
+};
+
+// Fields a leaderboard can be ranked by
+export const LEADERBOARD_SORTS = ['rating', 'wins', 'netWon'];
+
+// Largest page a single request can ask for
+export const MAX_LEADERBOARD_LIMIT = 100;
+
+/**
+ * @typedef {Object} GameResult
+ * @property {string} roomId - Room the game was played in
+ * @property {string} gameType - Game engine key
+ * @property {Object} players - Seated players ({ host, guest })
+ * @property {string|null} winner - Winner EOA, or null for a draw
+ * @property {string} stake - Stake per player
+ * @property {string} asset - Stake asset
+ * @property {Object<string, string>|null} allocations - Payout by EOA from the app session close, null if nothing was settled
+ * @property {number} endedAt - When the game ended (ms since epoch)
+ */
+
+/**
+ * Creates the leaderboard service
+ * @param {Object} [options] - Service options
+ * @param {import('./storage.js').StorageAdapter} [options.storage] - Where results are persisted (in-memory by default)
+ * @param {function(string): number} options.getRating - Current rating of a player by EOA
+ * @returns {Object} Leaderboard service with recordResult and getLeaderboard
+ */
+export function createLeaderboard({ storage = createMemoryStorage(), getRating }) {
+  /**
+   * Stores the result of a finished game
+   * @param {GameResult} result - Finished game and its settled allocations
+   */
+  function recordResult(result) {
+    storage.save(RESULTS_COLLECTION, `${result.roomId}:${result.endedAt}`, result);
+  }
+
+  /**
+   * Ranks the players of the games inside a time window
+   * Net won is the settled payout minus the stake, summed over games in the requested asset.
+   * @param {Object} [query] - Leaderboard query
+   * @param {string} [query.window] - 'daily', 'weekly' or 'all-time'
+   * @param {string} [query.sortBy] - 'rating', 'wins' or 'netWon'
+   * @param {string} [query.asset] - Asset net winnings are counted in
+   * @param {number} [query.offset] - Entries to skip
+   * @param {number} [query.limit] - Entries to return
+   * @param {number} [now] - Current time
+   * @returns {Object} Page of ranked entries with the query and the total number of ranked players
+   */
+  function getLeaderboard({
+    window = 'all-time',
+    sortBy = 'rating',
+    asset = DEFAULT_ASSET,
+    offset = 0,
+    limit = 20
+  } = {}, now = Date.now()) {
+    const windowMs = LEADERBOARD_WINDOWS[window];
+    const since = windowMs === null ? 0 : now - windowMs;
+    const players = new Map();
+
+    for (const [, result] of storage.load(RESULTS_COLLECTION)) {
+      if (result.endedAt < since) {
+        continue;
+      }
+
+      for (const eoa of [result.players.host, result.players.guest]) {
+        if (!players.has(eoa)) {
+          players.set(eoa, { eoa, gamesPlayed: 0, wins: 0, losses: 0, draws: 0, netWonUnits: 0n });
+        }
+
+        const entry = players.get(eoa);
+        entry.gamesPlayed += 1;
+        if (!result.winner) {
+          entry.draws += 1;
+        } else if (result.winner === eoa) {
+          entry.wins += 1;
+        } else {
+          entry.losses += 1;
+        }
+
+        if (result.allocations && result.asset === asset) {
+          entry.netWonUnits += parseAmount(result.allocations[eoa], asset) - parseAmount(result.stake, asset);
+        }
+      }
+    }
+
+    const ranked = [...players.values()].map(entry => ({ ...entry, rating: getRating(entry.eoa) }));
+    const compare = {
+      rating: (a, b) => b.rating - a.rating,
+      wins: (a, b) => b.wins - a.wins,
+      netWon: (a, b) => (b.netWonUnits > a.netWonUnits ? 1 : b.netWonUnits < a.netWonUnits ? -1 : 0)
+    }[sortBy];
+    ranked.sort((a, b) => compare(a, b) || b.rating - a.rating);
+
+    const entries = ranked.slice(offset, offset + limit).map(({ netWonUnits, ...entry }, index) => ({
+      rank: offset + index + 1,
+      ...entry,
+      netWon: formatAmount(netWonUnits, asset)
+    }));
+
+    return {
+      window,
+      sortBy,
+      asset,
+      offset,
+      limit,
+      total: ranked.length,
+      entries
+    };
+  }
+
+  // Return public API
+  return {
+    recordResult,
+    getLeaderboard
+  };
+}
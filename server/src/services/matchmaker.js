@@ -0,0 +1,161 @@
+/**
+ * Matchmaking queue
+ * Waiting players are bucketed by game type, stake and rating; the first two
+ * players in the same bucket are paired and leave the queue together.
+ */
+import dotenv from 'dotenv';
+import { parseAmount } from '../utils/amounts.js';
+
+// Load environment variables
+dotenv.config();
+
+// Starting rating of players without finished games
+export const DEFAULT_RATING = 1500;
+
+// Width of a rating bucket; players are only paired within the same bucket
+const DEFAULT_RATING_BUCKET_SIZE = 200;
+
+/**
+ * @typedef {Object} QueueEntry
+ * @property {string} eoa - Checksummed player address
+ * @property {Object} ws - WebSocket connection of the player
+ * @property {string} gameType - Game engine key
+ * @property {string} stake - Stake per player
+ * @property {string} asset - Stake asset
+ * @property {number} rating - Player rating when they joined
+ * @property {string} bucket - Key of the bucket the player waits in
+ * @property {number} queuedAt - When the player joined the queue (ms since epoch)
+ */
+
+/**
+ * @typedef {Object} Matchmaker
+ * @property {function(Object): Object} join - Queues a player, pairing them if someone waits in their bucket
+ * @property {function(string): Object} leave - Removes a player from the queue
+ * @property {function(Object): (QueueEntry|null)} leaveByConnection - Removes whoever queued on a connection
+ * @property {function(string): boolean} isQueued - Whether a player is waiting
+ * @property {function(): number} getQueueSize - Number of waiting players
+ */
+
+/**
+ * Creates a new matchmaker
+ * @param {Object} [options] - Matchmaker options
+ * @param {function(string): number} [options.getRating] - Rating of a player by EOA (DEFAULT_RATING for everyone by default)
+ * @param {number} [options.ratingBucketSize] - Width of a rating bucket (RATING_BUCKET_SIZE)
+ * @returns {Matchmaker} Matchmaker instance
+ */
+export function createMatchmaker({
+  getRating = () => DEFAULT_RATING,
+  ratingBucketSize = Number(process.env.RATING_BUCKET_SIZE) || DEFAULT_RATING_BUCKET_SIZE
+} = {}) {
+  // Waiting players by EOA, in the order they joined
+  const queue = new Map();
+
+  /**
+   * Computes the bucket a player waits in
+   * Stakes are compared in smallest units so '0.01' and '0.010' match.
+   * @param {Object} options - Queue options
+   * @param {string} options.gameType - Game engine key
+   * @param {string} options.stake - Stake per player
+   * @param {string} options.asset - Stake asset
+   * @param {number} rating - Player rating
+   * @returns {string} Bucket key
+   */
+  function getBucket({ gameType, stake, asset }, rating) {
+    const ratingBucket = Math.floor(rating / ratingBucketSize);
+    return `${gameType}:${asset}:${parseAmount(stake, asset)}:${ratingBucket}`;
+  }
+
+  /**
+   * Queues a player, or pairs them with the longest waiting player in their bucket
+   * @param {Object} request - Queue request
+   * @param {string} request.eoa - Checksummed player address
+   * @param {Object} request.ws - WebSocket connection of the player
+   * @param {string} request.gameType - Game engine key
+   * @param {string} request.stake - Stake per player
+   * @param {string} request.asset - Stake asset
+   * @returns {Object} Result with success flag and either the queue entry or the matched pair (host waited longest)
+   */
+  function join({ eoa, ws, gameType, stake, asset }) {
+    if (queue.has(eoa)) {
+      return { success: false, error: 'Player is already queued' };
+    }
+
+    const rating = getRating(eoa);
+    const entry = {
+      eoa,
+      ws,
+      gameType,
+      stake,
+      asset,
+      rating,
+      bucket: getBucket({ gameType, stake, asset }, rating),
+      queuedAt: Date.now()
+    };
+
+    for (const waiting of queue.values()) {
+      if (waiting.bucket === entry.bucket) {
+        queue.delete(waiting.eoa);
+        return { success: true, match: { host: waiting, guest: entry } };
+      }
+    }
+
+    queue.set(eoa, entry);
+    return { success: true, entry, match: null };
+  }
+
+  /**
+   * Removes a player from the queue
+   * @param {string} eoa - Checksummed player address
+   * @returns {Object} Result with success flag and the removed entry
+   */
+  function leave(eoa) {
+    const entry = queue.get(eoa);
+    if (!entry) {
+      return { success: false, error: 'Player is not queued' };
+    }
+
+    queue.delete(eoa);
+    return { success: true, entry };
+  }
+
+  /**
+   * Removes whoever queued on a connection, e.g. when it closes
+   * @param {Object} ws - WebSocket connection
+   * @returns {QueueEntry|null} Removed entry or null
+   */
+  function leaveByConnection(ws) {
+    for (const entry of queue.values()) {
+      if (entry.ws === ws) {
+        queue.delete(entry.eoa);
+        return entry;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Checks whether a player is waiting in the queue
+   * @param {string} eoa - Checksummed player address
+   * @returns {boolean} True if queued
+   */
+  function isQueued(eoa) {
+    return queue.has(eoa);
+  }
+
+  /**
+   * Gets the number of waiting players
+   * @returns {number} Queue size
+   */
+  function getQueueSize() {
+    return queue.size;
+  }
+
+  // Return public API
+  return {
+    join,
+    leave,
+    leaveByConnection,
+    isQueued,
+    getQueueSize
+  };
+}
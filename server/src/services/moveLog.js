@@ -0,0 +1,138 @@
+/**
+ * Signed move log
+ * Every accepted move is recorded with its sequence number, timestamp and the
+ * player's signature over (roomId, seq, pos). Moves are signed by the session
+ * key the wallet delegated to during auth, so the log carries each player's
+ * signed delegation and can be verified and replayed without the server.
+ */
+import { ethers } from 'ethers';
+import { AUTH_DOMAIN, AUTH_TYPES } from './auth.js';
+
+/**
+ * @typedef {Object} MoveLogEntry
+ * @property {number} seq - Position of the move in the game, starting at 0
+ * @property {string} player - EOA of the player who moved
+ * @property {*} pos - Move in the game engine's format (board position for tic-tac-toe)
+ * @property {number} timestamp - When the server accepted the move (ms since epoch)
+ * @property {string} signer - Address that signed the move (the player's session key)
+ * @property {string} signature - Signature over (roomId, seq, pos)
+ */
+
+/**
+ * @typedef {Object} MoveLog
+ * @property {Array<MoveLogEntry>} moves - Accepted moves in order
+ * @property {Object<string, Object>} delegations - Signed auth Policy ({ message, signature }) by player EOA
+ */
+
+/**
+ * Creates an empty move log
+ * @returns {MoveLog} Move log
+ */
+export function createMoveLog() {
+  return { moves: [], delegations: {} };
+}
+
+/**
+ * Computes the digest a player signs for a move
+ * Same scheme as the client's session key signer: keccak256 of the JSON payload.
+ * @param {string} roomId - Room ID
+ * @param {number} seq - Sequence number of the move
+ * @param {*} pos - Move position
+ * @returns {string} Hex digest
+ */
+export function getMoveDigest(roomId, seq, pos) {
+  return ethers.id(JSON.stringify([roomId, seq, pos]));
+}
+
+/**
+ * Recovers the address that signed a move
+ * @param {string} roomId - Room ID
+ * @param {number} seq - Sequence number of the move
+ * @param {*} pos - Move position
+ * @param {string} signature - Move signature
+ * @returns {string|null} Checksummed signer address, or null if the signature is malformed
+ */
+export function recoverMoveSigner(roomId, seq, pos, signature) {
+  try {
+    return ethers.recoverAddress(getMoveDigest(roomId, seq, pos), signature);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Checks a signed auth Policy and returns the key the wallet delegated to
+ * @param {string} eoa - Player EOA the delegation should belong to
+ * @param {Object} delegation - Signed Policy ({ message, signature })
+ * @returns {string|null} Checksummed session key address, or null if the delegation is invalid
+ */
+export function verifyDelegation(eoa, delegation) {
+  if (!delegation || !delegation.message || !delegation.signature) {
+    return null;
+  }
+
+  try {
+    const recovered = ethers.verifyTypedData(AUTH_DOMAIN, AUTH_TYPES, delegation.message, delegation.signature);
+    return recovered === eoa && delegation.message.wallet === eoa
+      ? ethers.getAddress(delegation.message.participant)
+      : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Appends an accepted move to the log
+ * @param {MoveLog} moveLog - Current log
+ * @param {MoveLogEntry} entry - Accepted move
+ * @param {Object} [delegation] - Signed auth Policy of the player, kept the first time they move
+ * @returns {MoveLog} Updated log
+ */
+export function appendMove(moveLog, entry, delegation) {
+  const delegations = { ...moveLog.delegations };
+  if (delegation && !delegations[entry.player]) {
+    delegations[entry.player] = delegation;
+  }
+
+  return {
+    moves: [...moveLog.moves, entry],
+    delegations
+  };
+}
+
+/**
+ * Verifies every signature in a move log and replays it from the initial state
+ * @param {import('./gameEngines.js').GameEngine} engine - Engine of the game (its applyMove is makeMove for tic-tac-toe)
+ * @param {string} roomId - Room ID the moves were signed for
+ * @param {Object} players - Seated players
+ * @param {string} players.host - Host EOA
+ * @param {string} players.guest - Guest EOA
+ * @param {MoveLog} moveLog - Log to replay
+ * @returns {Object} Result with success flag and the replayed game state, or error naming the first bad move
+ */
+export function replayMoveLog(engine, roomId, players, moveLog) {
+  let gameState = engine.create(players.host, players.guest);
+
+  for (const [index, entry] of moveLog.moves.entries()) {
+    if (entry.seq !== index) {
+      return { success: false, error: `Move ${index} is out of sequence` };
+    }
+
+    const sessionKey = verifyDelegation(entry.player, moveLog.delegations[entry.player]);
+    if (!sessionKey || sessionKey !== entry.signer) {
+      return { success: false, error: `Move ${index} was signed by a key the player did not delegate to` };
+    }
+
+    if (recoverMoveSigner(roomId, entry.seq, entry.pos, entry.signature) !== entry.signer) {
+      return { success: false, error: `Move ${index} has an invalid signature` };
+    }
+
+    const result = engine.applyMove(gameState, entry.pos, entry.player);
+    if (!result.success) {
+      return { success: false, error: `Move ${index} is not legal: ${result.error}` };
+    }
+    gameState = result.gameState;
+  }
+
+  return { success: true, gameState };
+}
@@ -0,0 +1,48 @@
+/**
+ * Server operators
+ * Addresses listed in OPERATOR_ADDRESSES (comma separated) may read the fee
+ * report and run app session recovery.
+ */
+import dotenv from 'dotenv';
+import { ethers } from 'ethers';
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Reads the operator addresses from OPERATOR_ADDRESSES
+ * @param {Object} [env] - Environment to read
+ * @returns {Array<string>} Configured addresses
+ * @throws {Error} If an address is malformed
+ */
+export function loadOperatorAddresses(env = process.env) {
+  return (env.OPERATOR_ADDRESSES || '')
+    .split(',')
+    .map(address => address.trim())
+    .filter(Boolean)
+    .map(address => ethers.getAddress(address));
+}
+
+/**
+ * Creates the operator list
+ * @param {Object} [options] - List options
+ * @param {Array<string>} [options.addresses] - Operator addresses (OPERATOR_ADDRESSES by default)
+ * @returns {Object} Operator list
+ */
+export function createOperatorList({ addresses = loadOperatorAddresses() } = {}) {
+  const operatorSet = new Set(addresses.map(address => ethers.getAddress(address)));
+
+  /**
+   * Checks whether an address is a configured operator
+   * @param {string|null} eoa - Checksummed address
+   * @returns {boolean} True for configured operators
+   */
+  function isOperator(eoa) {
+    return !!eoa && operatorSet.has(eoa);
+  }
+
+  // Return public API
+  return {
+    isOperator
+  };
+}
@@ -0,0 +1,171 @@
+/**
+ * Player profiles keyed by EOA
+ * Keeps an Elo rating, win/loss/draw totals and recent game history for every
+ * address that finished a game, persisted through the storage adapter.
+ */
+import { createMemoryStorage } from './storage.js';
+import { DEFAULT_RATING } from './matchmaker.js';
+import logger from '../utils/logger.js';
+
+// Storage collection holding profile records
+const PROFILES_COLLECTION = 'profiles';
+
+// How strongly one game moves a rating
+const ELO_K_FACTOR = 32;
+
+// Number of past games kept per profile, newest first
+const MAX_HISTORY = 50;
+
+/**
+ * @typedef {Object} GameHistoryEntry
+ * @property {string} roomId - Room the game was played in
+ * @property {string} gameType - Game engine key
+ * @property {string} opponent - Opponent EOA
+ * @property {string} result - 'win', 'loss' or 'draw'
+ * @property {string} reason - How the game ended ('completed', 'timeout', 'resignation' or 'agreement')
+ * @property {number} ratingBefore - Rating before the game
+ * @property {number} ratingAfter - Rating after the game
+ * @property {string} stake - Stake per player
+ * @property {string} asset - Stake asset
+ * @property {number} endedAt - When the game ended (ms since epoch)
+ */
+
+/**
+ * @typedef {Object} PlayerProfile
+ * @property {string} eoa - Checksummed player address
+ * @property {number} rating - Current Elo rating
+ * @property {number} gamesPlayed - Finished games
+ * @property {number} wins - Games won
+ * @property {number} losses - Games lost
+ * @property {number} draws - Games drawn
+ * @property {Array<GameHistoryEntry>} history - Most recent games, newest first
+ */
+
+/**
+ * Computes the expected score of a player against an opponent
+ * @param {number} rating - Player rating
+ * @param {number} opponentRating - Opponent rating
+ * @returns {number} Expected score between 0 and 1
+ */
+export function getExpectedScore(rating, opponentRating) {
+  return 1 / (1 + 10 ** ((opponentRating - rating) / 400));
+}
+
+/**
+ * Computes a player's new Elo rating after a game
+ * @param {number} rating - Player rating before the game
+ * @param {number} opponentRating - Opponent rating before the game
+ * @param {number} score - 1 for a win, 0.5 for a draw, 0 for a loss
+ * @returns {number} New rating, rounded to an integer
+ */
+export function getNewRating(rating, opponentRating, score) {
+  return Math.round(rating + ELO_K_FACTOR * (score - getExpectedScore(rating, opponentRating)));
+}
+
+/**
+ * Creates an empty profile
+ * @param {string} eoa - Checksummed player address
+ * @returns {PlayerProfile} Profile of a player without games
+ */
+function createProfile(eoa) {
+  return {
+    eoa,
+    rating: DEFAULT_RATING,
+    gamesPlayed: 0,
+    wins: 0,
+    losses: 0,
+    draws: 0,
+    history: []
+  };
+}
+
+/**
+ * Creates the player profile service
+ * @param {Object} [options] - Service options
+ * @param {import('./storage.js').StorageAdapter} [options.storage] - Where profiles are persisted (in-memory by default)
+ * @returns {Object} Profile service with getProfile, getRating and recordGame
+ */
+export function createPlayerProfiles({ storage = createMemoryStorage() } = {}) {
+  /**
+   * Gets the profile of a player
+   * @param {string} eoa - Checksummed player address
+   * @returns {PlayerProfile} Stored profile, or a fresh one for players without games
+   */
+  function getProfile(eoa) {
+    return storage.get(PROFILES_COLLECTION, eoa) || createProfile(eoa);
+  }
+
+  /**
+   * Gets the current rating of a player
+   * @param {string} eoa - Checksummed player address
+   * @returns {number} Elo rating
+   */
+  function getRating(eoa) {
+    return getProfile(eoa).rating;
+  }
+
+  /**
+   * Updates both players' ratings, totals and history with a finished game
+   * @param {Object} game - Finished game
+   * @param {string} game.roomId - Room ID
+   * @param {string} game.gameType - Game engine key
+   * @param {Object} game.players - Seated players
+   * @param {string} game.players.host - Host EOA
+   * @param {string} game.players.guest - Guest EOA
+   * @param {string|null} game.winner - Winner EOA, or null for a draw
+   * @param {string} game.reason - How the game ended
+   * @param {string} game.stake - Stake per player
+   * @param {string} game.asset - Stake asset
+   * @returns {Object<string, Object>} Rating change ({ before, after }) by player EOA
+   */
+  function recordGame({ roomId, gameType, players, winner, reason, stake, asset }) {
+    const { host, guest } = players;
+    const profiles = { [host]: getProfile(host), [guest]: getProfile(guest) };
+    const endedAt = Date.now();
+    const ratingChanges = {};
+
+    for (const [eoa, opponent] of [[host, guest], [guest, host]]) {
+      const profile = profiles[eoa];
+      const opponentRating = profiles[opponent].rating;
+      const result = !winner ? 'draw' : winner === eoa ? 'win' : 'loss';
+      const score = result === 'win' ? 1 : result === 'draw' ? 0.5 : 0;
+      const ratingAfter = getNewRating(profile.rating, opponentRating, score);
+
+      ratingChanges[eoa] = { before: profile.rating, after: ratingAfter };
+
+      storage.save(PROFILES_COLLECTION, eoa, {
+        ...profile,
+        rating: ratingAfter,
+        gamesPlayed: profile.gamesPlayed + 1,
+        wins: profile.wins + (result === 'win' ? 1 : 0),
+        losses: profile.losses + (result === 'loss' ? 1 : 0),
+        draws: profile.draws + (result === 'draw' ? 1 : 0),
+        history: [
+          {
+            roomId,
+            gameType,
+            opponent,
+            result,
+            reason,
+            ratingBefore: profile.rating,
+            ratingAfter,
+            stake,
+            asset,
+            endedAt
+          },
+          ...profile.history
+        ].slice(0, MAX_HISTORY)
+      });
+    }
+
+    logger.game(`Ratings updated for room ${roomId}: ${host} ${ratingChanges[host].after}, ${guest} ${ratingChanges[guest].after}`);
+    return ratingChanges;
+  }
+
+  // Return public API
+  return {
+    getProfile,
+    getRating,
+    recordGame
+  };
+}
@@ -1,10 +1,41 @@
 /**
- * Room manager for the tic-tac-toe game
+ * Room manager for game rooms
  */
 
+import crypto from 'crypto';
 import { v4 as uuidv4 } from 'uuid';
 import { ethers } from 'ethers';
-import { makeMove } from './index.js';
+import { DEFAULT_GAME_TYPE, getGameEngine } from './gameEngines.js';
+import { createMemoryStorage } from './storage.js';
+import { createMoveLog, appendMove, recoverMoveSigner } from './moveLog.js';
+import { startClock, switchClock, stopClock, resumeClock, getClockDeadline, formatClock } from './gameClock.js';
+import { DEFAULT_ASSET, DEFAULT_STAKE } from '../utils/amounts.js';
+import logger from '../utils/logger.js';
+
+// Storage collection holding room records
+const ROOMS_COLLECTION = 'rooms';
+
+// Room fields that only make sense for the running process and are never stored
+const TRANSIENT_ROOM_FIELDS = ['connections', 'spectators'];
+
+// How long a disconnected player's seat is held before they leave the room
+const DEFAULT_RECONNECT_GRACE_MS = 60000;
+
+// How long a finished room stays open for a rematch before it is closed
+const DEFAULT_REMATCH_WINDOW_MS = 30000;
+
+// Pause between the games of a best-of series
+const DEFAULT_SERIES_NEXT_GAME_DELAY_MS = 5000;
+
+// Series lengths a room can be played as; 1 is a single game
+export const SERIES_LENGTHS = [1, 3, 5, 7];
+
+// Free rooms are played without stake, channel deposit or app session
+export const ROOM_MODES = ['free', 'staked'];
+
+// Join codes for private rooms: short, upper case, without look-alike characters (0/O, 1/I/L)
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const JOIN_CODE_LENGTH = 6;
 
 /**
  * @typedef {Object} Room
@@ -13,8 +44,37 @@ import { makeMove } from './index.js';
  * @property {string|null} players.host - Host's Ethereum address (X player)
  * @property {string|null} players.guest - Guest's Ethereum address (O player)
  * @property {Map<string, Object>} connections - Map of player connections by EOA
+ * @property {Set<Object>} spectators - Read-only connections watching the room
  * @property {Object|null} gameState - Current game state
  * @property {boolean} isReady - Whether the room is ready to start
+ * @property {string} stake - Amount each player puts into the app session
+ * @property {string} asset - Asset the stake is denominated in
+ * @property {string} gameType - Game engine key the room plays
+ * @property {Object} series - Running score of the games played in this room
+ * @property {number} series.bestOf - Games in a series; the whole series shares one app session when above 1
+ * @property {number} series.gamesPlayed - Finished games
+ * @property {number} series.draws - Games without a winner
+ * @property {Object<string, number>} series.wins - Games won by player EOA
+ * @property {string|null} rematchRequestedBy - EOA of the player asking for a rematch
+ * @property {boolean} isRematch - Whether the players agreed to a rematch, rather than a guest joining
+ * @property {boolean} isPrivate - Whether the room is hidden from the available rooms list
+ * @property {string|null} joinCode - Short code guests of a private room join with
+ * @property {Array<string>|null} allowedGuests - EOAs the host invited; anyone may join when null
+ * @property {Array<string>|null} reservedFor - The only EOAs that may take either seat (tournament matches)
+ * @property {Object|null} tournament - Tournament match the room plays ({ tournamentId, matchId })
+ * @property {string} mode - 'staked' rooms lock both stakes in an app session, 'free' rooms never open one
+ * @property {boolean} isPractice - Free room played against a bot, without rating changes
+ * @property {Object|null} bot - Bot seated as guest ({ eoa, difficulty })
+ */
+
+/**
+ * Game state fields the room manager keeps next to the engine's own state
+ * @typedef {Object} RoomGameStateExtras
+ * @property {import('./gameClock.js').GameClock} clock - Move and game clocks
+ * @property {string} [endReason] - Why the game ended when it was not played out ('timeout', 'resignation' or 'agreement')
+ * @property {string} [drawOffer] - EOA of the player whose draw offer is open
+ * @property {import('./moveLog.js').MoveLog} moveLog - Signed record of every accepted move
+ * @property {Object} seats - Players seated when the game started ({ host, guest }), kept after a seat is released
  */
 
 /**
@@ -23,21 +83,237 @@ import { makeMove } from './index.js';
  * @property {Map<string, string>} addressToRoom - Map of addresses to room IDs
  */
 
+/**
+ * Converts a room into a storable record
+ * @param {Room} room - Room to serialize
+ * @returns {Object} Room without transient fields
+ */
+function serializeRoom(room) {
+  const record = { ...room };
+  for (const field of TRANSIENT_ROOM_FIELDS) {
+    delete record[field];
+  }
+  return record;
+}
+
+/**
+ * Generates a random join code
+ * @returns {string} Join code of JOIN_CODE_LENGTH characters from JOIN_CODE_ALPHABET
+ */
+function generateJoinCode() {
+  let code = '';
+  for (let i = 0; i < JOIN_CODE_LENGTH; i++) {
+    code += JOIN_CODE_ALPHABET[crypto.randomInt(JOIN_CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+/**
+ * Drops the open draw offer from a game state
+ * @param {Object} gameState - Game state
+ * @returns {Object} Game state without drawOffer
+ */
+function withoutDrawOffer(gameState) {
+  const updated = { ...gameState };
+  delete updated.drawOffer;
+  return updated;
+}
+
+/**
+ * Creates the score of a new series
+ * @param {number} bestOf - Games in the series
+ * @returns {Object} Empty series score
+ */
+function createSeries(bestOf) {
+  return { bestOf, gamesPlayed: 0, draws: 0, wins: {} };
+}
+
+/**
+ * Works out whether a best-of series is decided
+ * A player needs a majority of the games; once every game is played the
+ * player with more wins takes the series, and equal wins make it a draw.
+ * @param {Object} series - Series score including the finished game
+ * @returns {Object} Whether the series is over and its winner (null for a draw or an undecided series)
+ */
+function getSeriesOutcome(series) {
+  const winsNeeded = Math.floor(series.bestOf / 2) + 1;
+  const ranked = Object.entries(series.wins).sort(([, a], [, b]) => b - a);
+  const [leader, leaderWins = 0] = ranked[0] || [];
+  const runnerUpWins = ranked[1]?.[1] || 0;
+
+  if (leaderWins >= winsNeeded) {
+    return { isOver: true, winnerAddress: leader };
+  }
+
+  if (series.gamesPlayed >= series.bestOf) {
+    return { isOver: true, winnerAddress: leaderWins > runnerUpWins ? leader : null };
+  }
+
+  return { isOver: false, winnerAddress: null };
+}
+
 /**
  * Creates a new room manager
+ * @param {Object} [options] - Room manager options
+ * @param {import('./storage.js').StorageAdapter} [options.storage] - Where rooms are persisted (in-memory by default)
+ * @param {number} [options.reconnectGraceMs] - How long a disconnected player keeps their seat (RECONNECT_GRACE_MS)
+ * @param {Object} [options.clock] - Move and game time limits (MOVE_TIME_MS / GAME_TIME_MS by default)
+ * @param {function(string): void} [options.onGameOver] - Called with the room ID when the manager ends a game itself (e.g. timeout)
+ * @param {function(string): void} [options.onSigningExpired] - Called with the room ID when its app session was not signed in time
+ * @param {number} [options.rematchWindowMs] - How long a finished room waits for a rematch (REMATCH_WINDOW_MS)
+ * @param {number} [options.seriesNextGameDelayMs] - Pause between the games of a series (SERIES_NEXT_GAME_DELAY_MS)
  * @returns {RoomManager} Room manager instance
  */
-export function createRoomManager() {
-  // In-memory storage for rooms and address-to-room mapping
+export function createRoomManager({
+  storage = createMemoryStorage(),
+  reconnectGraceMs = Number(process.env.RECONNECT_GRACE_MS) || DEFAULT_RECONNECT_GRACE_MS,
+  rematchWindowMs = Number(process.env.REMATCH_WINDOW_MS) || DEFAULT_REMATCH_WINDOW_MS,
+  seriesNextGameDelayMs = Number(process.env.SERIES_NEXT_GAME_DELAY_MS) || DEFAULT_SERIES_NEXT_GAME_DELAY_MS,
+  clock: clockOptions = {},
+  onGameOver = () => {},
+  onSigningExpired = () => {}
+} = {}) {
+  // Live rooms and address-to-room mapping, mirrored to storage on every change
   const rooms = new Map();
   const addressToRoom = new Map();
 
+  // Timers that release the seats of disconnected players, by EOA
+  const seatTimers = new Map();
+
+  // Timers that end a game when the player on turn runs out of time, by room ID
+  const clockTimers = new Map();
+
+  // Timers that close finished rooms once the rematch window has passed, by room ID
+  const roomCloseTimers = new Map();
+
+  // Timers that start the next game of an undecided series, by room ID
+  const nextGameTimers = new Map();
+
+  // Timers that abort app session signature rounds nobody finished, by room ID
+  const signingTimers = new Map();
+
+  // Room each spectator connection is watching
+  const spectatorToRoom = new Map();
+
+  // Private rooms by join code
+  const codeToRoom = new Map();
+
+  /**
+   * Writes the current state of a room to storage
+   * @param {string} roomId - Room ID
+   */
+  function saveRoom(roomId) {
+    const room = rooms.get(roomId);
+    if (room) {
+      storage.save(ROOMS_COLLECTION, roomId, serializeRoom(room));
+    } else {
+      storage.remove(ROOMS_COLLECTION, roomId);
+    }
+  }
+
+  /**
+   * Rehydrates rooms from storage
+   * Players come back without connections and get the reconnect grace period
+   * to rejoin; finished or empty rooms are dropped, except rooms between the
+   * games of an undecided series, which go on with the next game.
+   */
+  function restoreRooms() {
+    for (const [roomId, record] of storage.load(ROOMS_COLLECTION)) {
+      const hasPlayers = record.players && (record.players.host || record.players.guest);
+      const engine = getGameEngine(record.gameType);
+      const isFinished = engine && record.gameState && engine.getResult(record.gameState).isGameOver;
+      const isBetweenGames = isFinished && record.series?.bestOf > 1 && !getSeriesOutcome(record.series).isOver;
+
+      // A bot's wallet only lives in memory, so its rooms cannot go on
+      if (!hasPlayers || !engine || (isFinished && !isBetweenGames) || record.bot) {
+        storage.remove(ROOMS_COLLECTION, roomId);
+        continue;
+      }
+
+      rooms.set(roomId, {
+        rematchRequestedBy: null,
+        isRematch: false,
+        isPrivate: false,
+        joinCode: null,
+        allowedGuests: null,
+        reservedFor: null,
+        tournament: null,
+        mode: 'staked',
+        isPractice: false,
+        bot: null,
+        ...record,
+        series: { ...createSeries(1), ...record.series },
+        connections: new Map(),
+        spectators: new Set()
+      });
+
+      // Nobody could move while the server was down, so the current turn starts over
+      if (isBetweenGames) {
+        scheduleNextGame(roomId);
+      } else if (record.gameState?.clock) {
+        rooms.get(roomId).gameState = { ...record.gameState, clock: resumeClock(record.gameState.clock) };
+        saveRoom(roomId);
+        scheduleClock(roomId);
+      }
+
+      for (const eoa of [record.players.host, record.players.guest]) {
+        if (eoa) {
+          addressToRoom.set(eoa, roomId);
+          holdSeat(roomId, eoa);
+        }
+      }
+
+      if (record.joinCode) {
+        codeToRoom.set(record.joinCode, roomId);
+      }
+    }
+
+    if (rooms.size > 0) {
+      logger.system(`Restored ${rooms.size} room(s) from storage`);
+    }
+  }
+
   /**
    * Creates a new room
+   * @param {Object} [options] - Room options chosen by the host
+   * @param {string} [options.stake] - Stake per player (defaults to DEFAULT_STAKE)
+   * @param {string} [options.asset] - Stake asset (defaults to DEFAULT_ASSET)
+   * @param {string} [options.gameType] - Game engine key (defaults to DEFAULT_GAME_TYPE)
+   * @param {boolean} [options.isPrivate] - Hide the room from the available rooms list and give it a join code
+   * @param {Array<string>} [options.allowedGuests] - Only these EOAs may join as guest
+   * @param {number} [options.bestOf] - Games in a series (one of SERIES_LENGTHS)
+   * @param {Array<string>} [options.reservedFor] - Only these EOAs may take a seat
+   * @param {Object} [options.tournament] - Tournament match the room plays ({ tournamentId, matchId })
+   * @param {string} [options.mode] - One of ROOM_MODES (defaults to 'staked'); free rooms have no stake
+   * @param {boolean} [options.isPractice] - Free room played against a bot, without rating changes
    * @returns {string} Room ID
    */
-  function createRoom() {
+  function createRoom({
+    stake = DEFAULT_STAKE,
+    asset = DEFAULT_ASSET,
+    gameType = DEFAULT_GAME_TYPE,
+    isPrivate = false,
+    allowedGuests = null,
+    bestOf = 1,
+    reservedFor = null,
+    tournament = null,
+    mode = 'staked',
+    isPractice = false
+  } = {}) {
+    if (!getGameEngine(gameType)) {
+      throw new Error(`Unknown game type: ${gameType}`);
+    }
+
     const roomId = uuidv4();
+
+    let joinCode = null;
+    if (isPrivate) {
+      do {
+        joinCode = generateJoinCode();
+      } while (codeToRoom.has(joinCode));
+      codeToRoom.set(joinCode, roomId);
+    }
+
     rooms.set(roomId, {
       id: roomId,
       players: {
@@ -45,10 +321,26 @@ export function createRoomManager() {
         guest: null
       },
       connections: new Map(),
+      spectators: new Set(),
       gameState: null,
       isReady: false,
+      stake: mode === 'free' ? '0' : stake,
+      asset,
+      gameType,
+      series: createSeries(bestOf),
+      rematchRequestedBy: null,
+      isRematch: false,
+      isPrivate,
+      joinCode,
+      allowedGuests: allowedGuests ? allowedGuests.map(eoa => ethers.getAddress(eoa)) : null,
+      reservedFor: reservedFor ? reservedFor.map(eoa => ethers.getAddress(eoa)) : null,
+      tournament,
+      mode,
+      isPractice,
+      bot: null,
       createdAt: Date.now()
     });
+    saveRoom(roomId);
     return roomId;
   }
 
@@ -89,6 +381,22 @@ export function createRoomManager() {
       };
     }
 
+    // Tournament match rooms only seat the two paired players
+    if (room.reservedFor && !room.reservedFor.includes(formattedEoa)) {
+      return {
+        success: false,
+        error: 'This room is reserved for a tournament match'
+      };
+    }
+
+    // Invite-only rooms take their host and the invited guests only
+    if (room.players.host && room.allowedGuests && !room.allowedGuests.includes(formattedEoa)) {
+      return {
+        success: false,
+        error: 'You are not invited to this room'
+      };
+    }
+
     // Assign player to available role
     let role;
     if (!room.players.host) {
@@ -113,6 +421,8 @@ export function createRoomManager() {
       // The game will be created when the host clicks "Start Game"
     }
 
+    saveRoom(roomId);
+
     return { 
       success: true, 
       roomId, 
@@ -121,14 +431,231 @@ export function createRoomManager() {
     };
   }
 
+  /**
+   * Creates the game state of a ready room and starts the clocks
+   * Does nothing if the game has already started.
+   * @param {string} roomId - Room ID
+   * @returns {Object|null} Game state, or null if the room does not exist
+   */
+  function startGame(roomId) {
+    const room = rooms.get(roomId);
+    if (!room) {
+      return null;
+    }
+
+    if (!room.gameState) {
+      const engine = getGameEngine(room.gameType);
+      const gameState = engine.create(room.players.host, room.players.guest);
+      const players = [room.players.host, room.players.guest].map(eoa => ethers.getAddress(eoa));
+
+      room.gameState = {
+        ...gameState,
+        clock: startClock(players, engine.getCurrentPlayer(gameState), clockOptions),
+        moveLog: createMoveLog(),
+        seats: { host: room.players.host, guest: room.players.guest }
+      };
+      saveRoom(roomId);
+      scheduleClock(roomId);
+    }
+
+    return room.gameState;
+  }
+
+  /**
+   * Arms the timer that ends the game when the player on turn runs out of time
+   * @param {string} roomId - Room ID
+   */
+  function scheduleClock(roomId) {
+    clearClockTimer(roomId);
+
+    const deadline = getClockDeadline(rooms.get(roomId).gameState.clock);
+    if (deadline === null) {
+      return;
+    }
+
+    clockTimers.set(roomId, setTimeout(() => {
+      clockTimers.delete(roomId);
+      expireClock(roomId);
+    }, Math.max(0, deadline - Date.now())));
+  }
+
+  /**
+   * Cancels the clock timer of a room
+   * @param {string} roomId - Room ID
+   */
+  function clearClockTimer(roomId) {
+    clearTimeout(clockTimers.get(roomId));
+    clockTimers.delete(roomId);
+  }
+
+  /**
+   * Adds the result of a finished game to the room's series score
+   * @param {Room} room - Room whose game just ended
+   */
+  function recordResult(room) {
+    const { winnerAddress } = getGameEngine(room.gameType).getResult(room.gameState);
+
+    room.series.gamesPlayed += 1;
+    if (winnerAddress) {
+      room.series.wins[winnerAddress] = (room.series.wins[winnerAddress] || 0) + 1;
+    } else {
+      room.series.draws += 1;
+    }
+  }
+
+  /**
+   * Ends a game that was not played out
+   * @param {string} roomId - Room ID
+   * @param {Object} finalState - Finished state from the engine (forfeit or declareDraw)
+   * @param {string} endReason - Why the game ended
+   */
+  function concludeGame(roomId, finalState, endReason) {
+    const room = rooms.get(roomId);
+
+    clearClockTimer(roomId);
+    room.gameState = {
+      ...withoutDrawOffer(finalState),
+      clock: stopClock(room.gameState.clock),
+      endReason
+    };
+    recordResult(room);
+    saveRoom(roomId);
+  }
+
+  /**
+   * Ends a game with a timeout loss for the player on turn
+   * @param {string} roomId - Room ID
+   */
+  function expireClock(roomId) {
+    const room = rooms.get(roomId);
+    if (!room || !room.gameState) return;
+
+    const engine = getGameEngine(room.gameType);
+    const loser = room.gameState.clock.turn;
+    if (!loser || engine.getResult(room.gameState).isGameOver) return;
+
+    concludeGame(roomId, engine.forfeit(room.gameState, loser), 'timeout');
+
+    logger.game(`Player ${loser} ran out of time in room ${roomId}`);
+    onGameOver(roomId);
+  }
+
+  /**
+   * Looks up a running game a player is seated in
+   * @param {string} roomId - Room ID
+   * @param {string} eoa - Player's checksummed address
+   * @returns {Object} Result with success flag and the room and engine, or error
+   */
+  function getRunningGame(roomId, eoa) {
+    const room = rooms.get(roomId);
+    if (!room) {
+      return { success: false, error: 'Room not found' };
+    }
+
+    if (room.players.host !== eoa && room.players.guest !== eoa) {
+      return { success: false, error: 'Player not in this room' };
+    }
+
+    if (!room.gameState) {
+      return { success: false, error: 'Game has not started' };
+    }
+
+    const engine = getGameEngine(room.gameType);
+    if (engine.getResult(room.gameState).isGameOver) {
+      return { success: false, error: 'Game is already over' };
+    }
+
+    return { success: true, room, engine };
+  }
+
+  /**
+   * Concedes a running game to the opponent
+   * @param {string} roomId - Room ID
+   * @param {string} eoa - Resigning player's Ethereum address
+   * @returns {Object} Result with success flag and final game state, or error
+   */
+  function resign(roomId, eoa) {
+    const formattedEoa = ethers.getAddress(eoa);
+
+    const game = getRunningGame(roomId, formattedEoa);
+    if (!game.success) {
+      return game;
+    }
+
+    concludeGame(roomId, game.engine.forfeit(game.room.gameState, formattedEoa), 'resignation');
+    logger.game(`Player ${formattedEoa} resigned in room ${roomId}`);
+
+    return { success: true, gameState: game.room.gameState };
+  }
+
+  /**
+   * Offers the opponent a draw; the offer stands until answered or the next move
+   * @param {string} roomId - Room ID
+   * @param {string} eoa - Offering player's Ethereum address
+   * @returns {Object} Result with success flag and checksummed EOA, or error
+   */
+  function offerDraw(roomId, eoa) {
+    const formattedEoa = ethers.getAddress(eoa);
+
+    const game = getRunningGame(roomId, formattedEoa);
+    if (!game.success) {
+      return game;
+    }
+
+    if (game.room.gameState.drawOffer) {
+      return { success: false, error: 'A draw offer is already open' };
+    }
+
+    game.room.gameState = { ...game.room.gameState, drawOffer: formattedEoa };
+    saveRoom(roomId);
+
+    return { success: true, eoa: formattedEoa };
+  }
+
+  /**
+   * Accepts or declines the opponent's open draw offer
+   * @param {string} roomId - Room ID
+   * @param {string} eoa - Responding player's Ethereum address
+   * @param {boolean} accept - Whether the draw is accepted
+   * @returns {Object} Result with success flag, whether the game ended and final game state, or error
+   */
+  function respondDraw(roomId, eoa, accept) {
+    const formattedEoa = ethers.getAddress(eoa);
+
+    const game = getRunningGame(roomId, formattedEoa);
+    if (!game.success) {
+      return game;
+    }
+
+    const { drawOffer } = game.room.gameState;
+    if (!drawOffer || drawOffer === formattedEoa) {
+      return { success: false, error: 'No draw offer from your opponent' };
+    }
+
+    if (!accept) {
+      game.room.gameState = withoutDrawOffer(game.room.gameState);
+      saveRoom(roomId);
+      return { success: true, eoa: formattedEoa, isGameOver: false };
+    }
+
+    concludeGame(roomId, game.engine.declareDraw(game.room.gameState), 'agreement');
+    logger.game(`Players agreed to a draw in room ${roomId}`);
+
+    return { success: true, eoa: formattedEoa, isGameOver: true, gameState: game.room.gameState };
+  }
+
   /**
    * Process a move in a game
    * @param {string} roomId - Room ID
-   * @param {number} position - Position on the board (0-8)
+   * @param {*} move - Move in the room's game engine format (board position for tic-tac-toe)
    * @param {string} eoa - Player's Ethereum address
+   * @param {Object} proof - Player's signature of the move
+   * @param {string} proof.signature - Signature over (roomId, seq, pos)
+   * @param {string} proof.signer - Key the signature must recover to (the player's session key)
+   * @param {Object} [proof.delegation] - Signed auth Policy linking the session key to the player
    * @returns {Object} Result with success flag and additional info
    */
-  function processMove(roomId, position, eoa) {
+  function processMove(roomId, move, eoa, { signature, signer, delegation } = {}) {
     // Format address to proper checksum format
     const formattedEoa = ethers.getAddress(eoa);
     
@@ -157,22 +684,283 @@ export function createRoomManager() {
       };
     }
 
-    // Make the move
-    const result = makeMove(room.gameState, position, formattedEoa);
+    // A move that arrives after the deadline loses on time, even if the timer has not fired yet
+    const deadline = getClockDeadline(room.gameState.clock);
+    if (deadline !== null && Date.now() >= deadline) {
+      clearClockTimer(roomId);
+      expireClock(roomId);
+      return {
+        success: false,
+        error: 'Time expired'
+      };
+    }
+
+    // Validate and apply the move with the room's game engine
+    const engine = getGameEngine(room.gameType);
+    const validation = engine.validateMove(room.gameState, move, formattedEoa);
+    if (!validation.success) {
+      return validation;
+    }
+
+    // The signature must cover this exact move at this point of the game
+    const seq = room.gameState.moveLog.moves.length;
+    if (!signer || recoverMoveSigner(roomId, seq, move, signature) !== signer) {
+      return {
+        success: false,
+        error: 'Invalid move signature'
+      };
+    }
+
+    const result = engine.applyMove(room.gameState, move, formattedEoa);
     if (!result.success) {
       return result;
     }
 
-    // Update game state
-    room.gameState = result.gameState;
+    const moveLog = appendMove(room.gameState.moveLog, {
+      seq,
+      player: formattedEoa,
+      pos: move,
+      timestamp: Date.now(),
+      signer,
+      signature
+    }, delegation);
+
+    // Update game state and hand the clock to the next player; a move also withdraws any draw offer
+    const isGameOver = engine.getResult(result.gameState).isGameOver;
+    room.gameState = {
+      ...withoutDrawOffer(result.gameState),
+      moveLog,
+      clock: isGameOver
+        ? stopClock(room.gameState.clock)
+        : switchClock(room.gameState.clock, engine.getCurrentPlayer(result.gameState))
+    };
+    if (isGameOver) {
+      recordResult(room);
+    }
+    saveRoom(roomId);
+    scheduleClock(roomId);
     
     return {
       success: true,
       gameState: room.gameState,
-      isGameOver: room.gameState.isGameOver
+      isGameOver
     };
   }
 
+  /**
+   * Checks that a room can start a rematch for a player
+   * @param {string} roomId - Room ID
+   * @param {string} eoa - Player's checksummed address
+   * @returns {Object} Result with success flag and the room, or error
+   */
+  function getFinishedRoom(roomId, eoa) {
+    const room = rooms.get(roomId);
+    if (!room) {
+      return { success: false, error: 'Room not found' };
+    }
+
+    if (room.players.host !== eoa && room.players.guest !== eoa) {
+      return { success: false, error: 'Player not in this room' };
+    }
+
+    if (!room.players.host || !room.players.guest) {
+      return { success: false, error: 'Your opponent has left the room' };
+    }
+
+    if (!room.gameState || !getGameEngine(room.gameType).getResult(room.gameState).isGameOver) {
+      return { success: false, error: 'The current game is not over' };
+    }
+
+    if (!getSeriesResult(roomId).isOver) {
+      return { success: false, error: 'The series is not over' };
+    }
+
+    if (room.tournament) {
+      return { success: false, error: 'Tournament matches cannot be rematched' };
+    }
+
+    return { success: true, room };
+  }
+
+  /**
+   * Asks the opponent for a rematch in the same room
+   * @param {string} roomId - Room ID
+   * @param {string} eoa - Requesting player's Ethereum address
+   * @returns {Object} Result with success flag and checksummed EOA, or error
+   */
+  function requestRematch(roomId, eoa) {
+    const formattedEoa = ethers.getAddress(eoa);
+
+    const check = getFinishedRoom(roomId, formattedEoa);
+    if (!check.success) {
+      return check;
+    }
+
+    if (check.room.rematchRequestedBy) {
+      return { success: false, error: 'A rematch has already been requested' };
+    }
+
+    check.room.rematchRequestedBy = formattedEoa;
+    saveRoom(roomId);
+
+    return { success: true, eoa: formattedEoa };
+  }
+
+  /**
+   * Swaps host and guest so the other player moves first
+   * @param {Room} room - Room whose game is over
+   */
+  function swapSides(room) {
+    room.players = { host: room.players.guest, guest: room.players.host };
+    for (const [playerEoa, connection] of room.connections.entries()) {
+      connection.role = playerEoa === room.players.host ? 'host' : 'guest';
+    }
+  }
+
+  /**
+   * Accepts the opponent's rematch request
+   * Both players keep their seats with X and O swapped; the new game starts
+   * once the new app session has been signed. A best-of room starts a new series.
+   * @param {string} roomId - Room ID
+   * @param {string} eoa - Accepting player's Ethereum address
+   * @returns {Object} Result with success flag, new players and series score, or error
+   */
+  function acceptRematch(roomId, eoa) {
+    const formattedEoa = ethers.getAddress(eoa);
+
+    const check = getFinishedRoom(roomId, formattedEoa);
+    if (!check.success) {
+      return check;
+    }
+
+    const { room } = check;
+    if (!room.rematchRequestedBy || room.rematchRequestedBy === formattedEoa) {
+      return { success: false, error: 'No rematch request from your opponent' };
+    }
+
+    clearRoomCloseTimer(roomId);
+    swapSides(room);
+
+    if (room.series.bestOf > 1) {
+      room.series = createSeries(room.series.bestOf);
+    }
+
+    room.gameState = null;
+    room.appId = null;
+    room.rematchRequestedBy = null;
+    room.isRematch = true;
+    saveRoom(roomId);
+
+    return { success: true, players: { ...room.players }, series: room.series };
+  }
+
+  /**
+   * Closes a finished room once the rematch window has passed
+   * @param {string} roomId - Room ID
+   * @returns {number} Timestamp at which the room closes
+   */
+  function scheduleRoomClose(roomId) {
+    clearRoomCloseTimer(roomId);
+
+    roomCloseTimers.set(roomId, setTimeout(() => {
+      roomCloseTimers.delete(roomId);
+      broadcastToRoom(roomId, 'room:closed', { roomId });
+      closeRoom(roomId);
+    }, rematchWindowMs));
+
+    return Date.now() + rematchWindowMs;
+  }
+
+  /**
+   * Gets the state of the series a room is playing
+   * A single-game room is decided by its game alone.
+   * @param {string} roomId - Room ID
+   * @returns {Object} Whether the series is over and its winner (null for a draw or an undecided series)
+   */
+  function getSeriesResult(roomId) {
+    const room = rooms.get(roomId);
+    if (!room || !room.gameState) {
+      return { isOver: false, winnerAddress: null };
+    }
+
+    if (room.series.bestOf === 1) {
+      const { isGameOver, winnerAddress } = getGameEngine(room.gameType).getResult(room.gameState);
+      return { isOver: isGameOver, winnerAddress: isGameOver ? winnerAddress : null };
+    }
+
+    return getSeriesOutcome(room.series);
+  }
+
+  /**
+   * Starts the next game of an undecided series after a short pause
+   * The game reuses the series' app session with sides swapped, so no new
+   * signatures are collected. If a player has left by then the room closes.
+   * @param {string} roomId - Room ID
+   * @returns {number} Timestamp at which the next game starts
+   */
+  function scheduleNextGame(roomId) {
+    clearTimeout(nextGameTimers.get(roomId));
+
+    nextGameTimers.set(roomId, setTimeout(() => {
+      nextGameTimers.delete(roomId);
+      const room = rooms.get(roomId);
+      if (!room) return;
+
+      if (!room.players.host || !room.players.guest) {
+        logger.game(`Series in room ${roomId} ended early, a player has left`);
+        broadcastToRoom(roomId, 'room:closed', { roomId });
+        closeRoom(roomId);
+        return;
+      }
+
+      swapSides(room);
+      room.gameState = null;
+      startGame(roomId);
+
+      logger.game(`Game ${room.series.gamesPlayed + 1} of best of ${room.series.bestOf} started in room ${roomId}`);
+      broadcastToRoom(roomId, 'series:nextGame', { roomId, players: { ...room.players }, series: room.series });
+      broadcastToRoom(roomId, 'game:started', { roomId, firstTurn: 'X', appId: room.appId || null });
+      broadcastToRoom(roomId, 'room:state', formatRoomState(roomId));
+    }, seriesNextGameDelayMs));
+
+    return Date.now() + seriesNextGameDelayMs;
+  }
+
+  /**
+   * Arms the timer that aborts the app session signature round of a room
+   * A deadline that already passed (e.g. across a restart) fires right away.
+   * @param {string} roomId - Room ID
+   * @param {number} deadline - Signing deadline (ms since epoch)
+   */
+  function scheduleSigningTimeout(roomId, deadline) {
+    clearSigningTimeout(roomId);
+
+    signingTimers.set(roomId, setTimeout(() => {
+      signingTimers.delete(roomId);
+      if (rooms.has(roomId)) {
+        onSigningExpired(roomId);
+      }
+    }, Math.max(0, deadline - Date.now())));
+  }
+
+  /**
+   * Cancels the signing timer of a room, once its app session is created or abandoned
+   * @param {string} roomId - Room ID
+   */
+  function clearSigningTimeout(roomId) {
+    clearTimeout(signingTimers.get(roomId));
+    signingTimers.delete(roomId);
+  }
+
+  /**
+   * Cancels the pending close of a finished room
+   * @param {string} roomId - Room ID
+   */
+  function clearRoomCloseTimer(roomId) {
+    clearTimeout(roomCloseTimers.get(roomId));
+    roomCloseTimers.delete(roomId);
+  }
+
   /**
    * Removes a player from a room
    * @param {string} eoa - Player's Ethereum address
@@ -202,14 +990,25 @@ export function createRoomManager() {
       } else if (room.players.guest === formattedEoa) {
         room.players.guest = null;
       }
+
+      // A room that loses a player before its game starts waits for a new one
+      if (!room.gameState) {
+        room.isReady = false;
+      }
       
       // Clean up room if empty
       if (!room.players.host && !room.players.guest) {
+        for (const ws of room.spectators) {
+          spectatorToRoom.delete(ws);
+        }
+        codeToRoom.delete(room.joinCode);
         rooms.delete(roomId);
       }
     }
     
     addressToRoom.delete(formattedEoa);
+    releaseSeatTimer(formattedEoa);
+    saveRoom(roomId);
     
     return { 
       success: true, 
@@ -218,7 +1017,195 @@ export function createRoomManager() {
   }
 
   /**
-   * Broadcasts a message to all players in a room
+   * Cancels the pending seat release of a player
+   * @param {string} eoa - Player's checksummed address
+   */
+  function releaseSeatTimer(eoa) {
+    clearTimeout(seatTimers.get(eoa));
+    seatTimers.delete(eoa);
+  }
+
+  /**
+   * Keeps a player's seat for the reconnect grace period, then removes them
+   * @param {string} roomId - Room ID
+   * @param {string} eoa - Player's checksummed address
+   * @returns {number} Timestamp at which the seat is released
+   */
+  function holdSeat(roomId, eoa) {
+    releaseSeatTimer(eoa);
+
+    seatTimers.set(eoa, setTimeout(() => {
+      seatTimers.delete(eoa);
+      const result = leaveRoom(eoa);
+      if (result.success) {
+        logger.game(`Released seat of ${eoa} in room ${roomId} after the reconnect grace period`);
+        broadcastToRoom(roomId, 'player:left', { roomId, eoa });
+      }
+    }, reconnectGraceMs));
+
+    return Date.now() + reconnectGraceMs;
+  }
+
+  /**
+   * Handles a dropped player connection
+   * Players of a ready room keep their seat for the reconnect grace period;
+   * a host still waiting for a guest leaves right away.
+   * @param {string} eoa - Player's Ethereum address
+   * @returns {Object} Result with success flag, room ID, whether the seat is held and until when
+   */
+  function disconnectPlayer(eoa) {
+    // Format address to proper checksum format
+    const formattedEoa = ethers.getAddress(eoa);
+
+    const roomId = addressToRoom.get(formattedEoa);
+    const room = roomId ? rooms.get(roomId) : null;
+
+    if (!room || !room.isReady) {
+      return { ...leaveRoom(formattedEoa), seatHeld: false };
+    }
+
+    room.connections.delete(formattedEoa);
+    const reconnectDeadline = holdSeat(roomId, formattedEoa);
+
+    return {
+      success: true,
+      roomId,
+      seatHeld: true,
+      reconnectDeadline
+    };
+  }
+
+  /**
+   * Puts a player back into the seat they hold in a room
+   * @param {string} roomId - Room ID
+   * @param {string} eoa - Player's Ethereum address
+   * @param {Object} ws - New WebSocket connection
+   * @returns {Object} Result with success flag, checksummed EOA and role
+   */
+  function reconnectPlayer(roomId, eoa, ws) {
+    // Format address to proper checksum format
+    const formattedEoa = ethers.getAddress(eoa);
+
+    const room = rooms.get(roomId);
+    if (!room) {
+      return { success: false, error: 'Room not found' };
+    }
+
+    let role = null;
+    if (room.players.host === formattedEoa) {
+      role = 'host';
+    } else if (room.players.guest === formattedEoa) {
+      role = 'guest';
+    }
+
+    if (!role) {
+      return { success: false, error: 'Player has no seat in this room' };
+    }
+
+    const existing = room.connections.get(formattedEoa);
+    if (existing && existing.ws !== ws && existing.ws.readyState === 1) { // WebSocket.OPEN
+      return { success: false, error: 'Player is already connected to this room' };
+    }
+
+    releaseSeatTimer(formattedEoa);
+    room.connections.set(formattedEoa, { ws, role });
+
+    return {
+      success: true,
+      roomId,
+      eoa: formattedEoa,
+      role
+    };
+  }
+
+  /**
+   * Finds a private room by its join code
+   * @param {string} joinCode - Join code, case-insensitive
+   * @returns {string|null} Room ID or null if no room has the code
+   */
+  function findRoomByCode(joinCode) {
+    return codeToRoom.get(joinCode.toUpperCase()) || null;
+  }
+
+  /**
+   * Adds a read-only spectator connection to a room
+   * A connection watches one room at a time; spectating another room moves it.
+   * Private rooms can only be watched by their invited guests or with the join code.
+   * @param {string} roomId - Room ID
+   * @param {Object} ws - WebSocket connection
+   * @param {Object} [access] - What the spectator can show for a private room
+   * @param {string|null} [access.eoa] - Authenticated EOA of the connection
+   * @param {string} [access.joinCode] - Join code of the room, case-insensitive
+   * @returns {Object} Result with success flag and the room's spectator count
+   */
+  function addSpectator(roomId, ws, { eoa = null, joinCode } = {}) {
+    const room = rooms.get(roomId);
+    if (!room) {
+      return { success: false, error: 'Room not found' };
+    }
+
+    if (room.isPrivate) {
+      const isInvited = !!eoa && !!room.allowedGuests && room.allowedGuests.includes(eoa);
+      const hasCode = !!joinCode && joinCode.toUpperCase() === room.joinCode;
+      if (!isInvited && !hasCode) {
+        return { success: false, error: 'This room is private' };
+      }
+    }
+
+    for (const connection of room.connections.values()) {
+      if (connection.ws === ws) {
+        return { success: false, error: 'Players cannot spectate their own room' };
+      }
+    }
+
+    removeSpectator(ws);
+    room.spectators.add(ws);
+    spectatorToRoom.set(ws, roomId);
+
+    return {
+      success: true,
+      roomId,
+      spectatorCount: room.spectators.size
+    };
+  }
+
+  /**
+   * Stops a connection from spectating
+   * @param {Object} ws - WebSocket connection
+   * @returns {Object} Result with success flag and the room that was watched
+   */
+  function removeSpectator(ws) {
+    const roomId = spectatorToRoom.get(ws);
+    if (!roomId) {
+      return { success: false, error: 'Connection is not spectating' };
+    }
+
+    rooms.get(roomId)?.spectators.delete(ws);
+    spectatorToRoom.delete(ws);
+
+    return { success: true, roomId };
+  }
+
+  /**
+   * Checks whether a connection is a read-only spectator
+   * @param {Object} ws - WebSocket connection
+   * @returns {boolean} True if the connection is spectating a room
+   */
+  function isSpectator(ws) {
+    return spectatorToRoom.has(ws);
+  }
+
+  /**
+   * Gets the number of spectators watching a room
+   * @param {string} roomId - Room ID
+   * @returns {number} Spectator count (0 if the room does not exist)
+   */
+  function getSpectatorCount(roomId) {
+    return rooms.get(roomId)?.spectators.size || 0;
+  }
+
+  /**
+   * Broadcasts a message to all players and spectators in a room
    * @param {string} roomId - Room ID
    * @param {string} type - Message type
    * @param {Object} data - Message data
@@ -229,9 +1216,10 @@ export function createRoomManager() {
     const room = rooms.get(roomId);
     const message = JSON.stringify({ type, ...data });
     
-    for (const connection of room.connections.values()) {
-      if (connection.ws.readyState === 1) { // WebSocket.OPEN
-        connection.ws.send(message);
+    const recipients = [...room.connections.values()].map(connection => connection.ws);
+    for (const ws of [...recipients, ...room.spectators]) {
+      if (ws.readyState === 1) { // WebSocket.OPEN
+        ws.send(message);
       }
     }
   }
@@ -245,24 +1233,142 @@ export function createRoomManager() {
     
     const room = rooms.get(roomId);
     
-    // Remove all players from the room
-    for (const eoa of room.connections.keys()) {
-      addressToRoom.delete(eoa);
+    // Remove all players from the room, including those waiting to reconnect
+    for (const eoa of [room.players.host, room.players.guest]) {
+      if (eoa) {
+        addressToRoom.delete(eoa);
+        releaseSeatTimer(eoa);
+      }
     }
     
+    // Spectators have nothing left to watch
+    for (const ws of room.spectators) {
+      spectatorToRoom.delete(ws);
+    }
+    codeToRoom.delete(room.joinCode);
+
+    clearClockTimer(roomId);
+    clearRoomCloseTimer(roomId);
+    clearTimeout(nextGameTimers.get(roomId));
+    nextGameTimers.delete(roomId);
+    clearSigningTimeout(roomId);
+
     // Delete the room
     rooms.delete(roomId);
+    saveRoom(roomId);
+  }
+
+  /**
+   * Gets the game engine a room plays
+   * @param {string} roomId - Room ID
+   * @returns {import('./gameEngines.js').GameEngine|null} The engine or null if the room does not exist
+   */
+  function getRoomEngine(roomId) {
+    const room = rooms.get(roomId);
+    return room ? getGameEngine(room.gameType) : null;
   }
 
+  /**
+   * Formats a room's game state for `room:state` messages, including the clocks
+   * @param {string} roomId - Room ID
+   * @returns {Object|null} Formatted state or null if no game is running
+   */
+  function formatRoomState(roomId) {
+    const room = rooms.get(roomId);
+    if (!room || !room.gameState) {
+      return null;
+    }
+
+    return {
+      ...getGameEngine(room.gameType).formatState(room.gameState, roomId),
+      clock: formatClock(room.gameState.clock),
+      drawOffer: room.gameState.drawOffer || null,
+      nextSeq: room.gameState.moveLog.moves.length
+    };
+  }
+
+  /**
+   * Formats a room's game progress as the session data of an app session state update
+   * Carries the board and move count along with the latest signed move, so the
+   * clearnode's copy can be checked against the players' own signatures.
+   * @param {string} roomId - Room ID
+   * @returns {Object|null} Session data or null if no game is running
+   */
+  function formatSessionData(roomId) {
+    const room = rooms.get(roomId);
+    if (!room || !room.gameState) {
+      return null;
+    }
+
+    const { moves } = room.gameState.moveLog;
+    return {
+      ...getGameEngine(room.gameType).formatState(room.gameState, roomId),
+      gameType: room.gameType,
+      moveCount: moves.length,
+      lastMove: moves[moves.length - 1] || null,
+      series: room.series
+    };
+  }
+
+  /**
+   * Formats a finished game for `game:over` messages, including how it ended
+   * and the signed move log to audit the result with
+   * @param {string} roomId - Room ID
+   * @returns {Object|null} Formatted result or null if no game is running
+   */
+  function formatGameOver(roomId) {
+    const room = rooms.get(roomId);
+    if (!room || !room.gameState) {
+      return null;
+    }
+
+    return {
+      ...getGameEngine(room.gameType).formatGameOver(room.gameState),
+      reason: room.gameState.endReason || 'completed',
+      series: room.series,
+      moveLog: {
+        roomId,
+        gameType: room.gameType,
+        players: { ...room.gameState.seats },
+        ...room.gameState.moveLog
+      }
+    };
+  }
+
+  restoreRooms();
+
   // Return public API
   return {
     rooms,
     addressToRoom,
+    saveRoom,
     createRoom,
     joinRoom,
+    startGame,
     processMove,
+    resign,
+    offerDraw,
+    respondDraw,
+    requestRematch,
+    acceptRematch,
+    scheduleRoomClose,
+    getSeriesResult,
+    scheduleNextGame,
+    scheduleSigningTimeout,
+    clearSigningTimeout,
     leaveRoom,
+    disconnectPlayer,
+    reconnectPlayer,
+    findRoomByCode,
+    addSpectator,
+    removeSpectator,
+    isSpectator,
+    getSpectatorCount,
     broadcastToRoom,
-    closeRoom
+    closeRoom,
+    getRoomEngine,
+    formatRoomState,
+    formatSessionData,
+    formatGameOver
   };
 }
\ No newline at end of file
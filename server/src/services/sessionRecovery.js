@@ -0,0 +1,233 @@
+/**
+ * Recovery of orphaned app sessions
+ * A failed or timed-out close leaves an app session open on the clearnode and
+ * the players' stakes locked. Recovery periodically lists the sessions still
+ * open for the server, matches them with the stored app sessions and closes
+ * the ones nothing else will close: with the allocations the failed close
+ * recorded, or by returning every stake when the room is gone without one.
+ * Operators can resolve a session by hand with allocations of their choosing.
+ */
+import dotenv from 'dotenv';
+import {
+  closeAppSession,
+  forgetAppSession,
+  getAllAppSessions,
+  listOpenAppSessions
+} from './appSessions.js';
+import { getPayouts, getPotUnits, settle } from './settlement.js';
+import { parseAmount } from '../utils/amounts.js';
+import logger from '../utils/logger.js';
+
+// Load environment variables
+dotenv.config();
+
+// How often orphaned app sessions are retried
+const DEFAULT_RECOVERY_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * @typedef {Object} RecoveryReport
+ * @property {number} scannedAt - When the scan ran (ms since epoch)
+ * @property {Array<Object>} closed - Sessions closed by this scan ({ roomId, appId, allocations })
+ * @property {Array<Object>} failed - Sessions whose close failed again ({ roomId, appId, allocations, attempts, lastError })
+ * @property {Array<string>} alreadyClosed - Rooms whose session the clearnode had closed already
+ * @property {Array<string>} active - Rooms whose session is still in use
+ * @property {Array<Object>} unknown - Open sessions with no stored record ({ appId, participants })
+ */
+
+/**
+ * Gets the players of a stored app session
+ * @param {Object} appSession - Stored app session
+ * @returns {Array<string>} Players in session order
+ */
+function getPlayers(appSession) {
+  return appSession.participants || [appSession.participantA, appSession.participantB];
+}
+
+/**
+ * Gets the allocations that give every player their stake back
+ * @param {Object} appSession - Stored app session
+ * @returns {Array<string>} Allocations, players in session order and then the server
+ */
+function getRefundAllocations(appSession) {
+  const { stake, asset } = appSession;
+  const players = getPlayers(appSession);
+  return settle({ participants: players, payouts: getPayouts({ players, winners: [], stake, asset }), asset }).allocations;
+}
+
+/**
+ * Creates the app session recovery
+ * @param {Object} options - Recovery options
+ * @param {function(string): boolean} options.hasRoom - Whether the room (or tournament) of a session is still in use
+ * @param {function(string, Object): void} [options.onRecovered] - Called with the room ID and { appSession, allocations } after a session was closed
+ * @param {number} [options.intervalMs] - Time between scans (APP_SESSION_RECOVERY_INTERVAL_MS)
+ * @returns {Object} Session recovery
+ */
+export function createSessionRecovery({
+  hasRoom,
+  onRecovered = () => {},
+  intervalMs = Number(process.env.APP_SESSION_RECOVERY_INTERVAL_MS) || DEFAULT_RECOVERY_INTERVAL_MS
+}) {
+  let timer = null;
+  let runningScan = null;
+  let lastReport = null;
+
+  /**
+   * Closes a stored app session and reports it on success
+   * @param {string} roomId - Room ID
+   * @param {Object} appSession - Stored app session
+   * @param {Array<string>} allocations - Allocations to close with
+   * @returns {Promise<boolean>} Whether the session was closed
+   */
+  async function closeOrphan(roomId, appSession, allocations) {
+    const isClosed = await closeAppSession(roomId, allocations);
+    if (isClosed) {
+      logger.nitro(`Recovered app session ${appSession.appId} for ${roomId}`);
+      onRecovered(roomId, { appSession, allocations });
+    }
+    return isClosed;
+  }
+
+  /**
+   * Lists the open app sessions and closes every orphan
+   * Scans never overlap; a scan requested while one runs gets its result.
+   * @returns {Promise<RecoveryReport>} What the scan found and did
+   */
+  function scan() {
+    if (!runningScan) {
+      runningScan = runScan().finally(() => {
+        runningScan = null;
+      });
+    }
+    return runningScan;
+  }
+
+  /**
+   * Runs one recovery scan
+   * @returns {Promise<RecoveryReport>} What the scan found and did
+   */
+  async function runScan() {
+    const report = { scannedAt: Date.now(), closed: [], failed: [], alreadyClosed: [], active: [], unknown: [] };
+
+    const openSessions = await listOpenAppSessions();
+    const openAppIds = new Set(openSessions.map(session => session.app_session_id));
+    const knownAppIds = new Set();
+
+    for (const [roomId, appSession] of Array.from(getAllAppSessions().entries())) {
+      knownAppIds.add(appSession.appId);
+
+      // A close that timed out may still have gone through
+      if (!openAppIds.has(appSession.appId)) {
+        forgetAppSession(roomId);
+        report.alreadyClosed.push(roomId);
+        continue;
+      }
+
+      // Sessions of live rooms are closed by their game, unless that already failed
+      if (!appSession.settlement && hasRoom(roomId)) {
+        report.active.push(roomId);
+        continue;
+      }
+
+      const allocations = appSession.settlement ? appSession.settlement.allocations : getRefundAllocations(appSession);
+      if (await closeOrphan(roomId, appSession, allocations)) {
+        report.closed.push({ roomId, appId: appSession.appId, allocations });
+      } else {
+        const { attempts, lastError } = getAllAppSessions().get(roomId)?.settlement || {};
+        report.failed.push({ roomId, appId: appSession.appId, allocations, attempts, lastError });
+      }
+    }
+
+    for (const session of openSessions) {
+      if (!knownAppIds.has(session.app_session_id)) {
+        report.unknown.push({ appId: session.app_session_id, participants: session.participants || [] });
+      }
+    }
+
+    logger.nitro(`App session recovery: ${report.closed.length} closed, ${report.failed.length} failed, ${report.alreadyClosed.length} already closed, ${report.unknown.length} unknown`);
+    lastReport = report;
+    return report;
+  }
+
+  /**
+   * Closes a stored app session with allocations chosen by an operator
+   * Without allocations the session is closed with the ones its failed close
+   * recorded, or returns every stake. Allocations have to add up to the stakes
+   * locked in the session; sessions of games still in progress are refused.
+   * @param {string} appId - App session ID
+   * @param {Array<string>} [allocations] - Players in session order, then the server
+   * @returns {Promise<Object>} Result with success flag, room ID and allocations, or error
+   */
+  async function resolve(appId, allocations) {
+    const entry = Array.from(getAllAppSessions().entries()).find(([, appSession]) => appSession.appId === appId);
+    if (!entry) {
+      return { success: false, error: 'No stored app session with this ID' };
+    }
+
+    const [roomId, appSession] = entry;
+    if (!appSession.settlement && hasRoom(roomId)) {
+      return { success: false, error: 'The app session still belongs to a game in progress' };
+    }
+
+    const refund = getRefundAllocations(appSession);
+    const finalAllocations = allocations || appSession.settlement?.allocations || refund;
+
+    if (finalAllocations.length !== refund.length) {
+      return { success: false, error: `Expected ${refund.length} allocations, got ${finalAllocations.length}` };
+    }
+
+    let total;
+    try {
+      total = finalAllocations.reduce((sum, amount) => sum + parseAmount(amount, appSession.asset), 0n);
+    } catch (error) {
+      return { success: false, error: `Invalid ${appSession.asset} amount in allocations` };
+    }
+
+    const locked = getPotUnits(appSession.stake, getPlayers(appSession).length, appSession.asset);
+    if (total !== locked) {
+      return { success: false, error: 'Allocations must add up to the stakes locked in the session' };
+    }
+
+    if (!(await closeOrphan(roomId, appSession, finalAllocations))) {
+      return { success: false, error: getAllAppSessions().get(roomId)?.settlement?.lastError || 'The app session could not be closed' };
+    }
+
+    return { success: true, roomId, allocations: finalAllocations };
+  }
+
+  /**
+   * Starts scanning on schedule
+   */
+  function start() {
+    if (timer) return;
+
+    timer = setInterval(() => {
+      scan().catch(error => logger.error('App session recovery scan failed:', error));
+    }, intervalMs);
+    logger.nitro(`App session recovery scans every ${Math.round(intervalMs / 1000)}s`);
+  }
+
+  /**
+   * Stops the scheduled scans
+   */
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  /**
+   * Gets the report of the latest scan
+   * @returns {RecoveryReport|null} Latest report, or null before the first scan
+   */
+  function getLastReport() {
+    return lastReport;
+  }
+
+  // Return public API
+  return {
+    scan,
+    resolve,
+    start,
+    stop,
+    getLastReport
+  };
+}
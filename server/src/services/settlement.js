@@ -0,0 +1,87 @@
+/**
+ * Settlement of app sessions
+ * The one place a pot is divided: won, drawn, resigned and timed-out games,
+ * tournament prize pools and refunds of abandoned sessions all turn their
+ * result into app session allocations here. Amounts are worked out in the
+ * asset's smallest units as bigints, so no value is lost to rounding.
+ */
+import { formatAmount, parseAmount } from '../utils/amounts.js';
+
+/**
+ * Computes the pot of a session in which every player allocated the same stake
+ * @param {string} stake - Stake of each player, as a decimal string
+ * @param {number} playerCount - Players in the session
+ * @param {string} asset - Asset symbol
+ * @returns {bigint} Pot in the asset's smallest units
+ */
+export function getPotUnits(stake, playerCount, asset) {
+  return parseAmount(stake, asset) * BigInt(playerCount);
+}
+
+/**
+ * Divides a pot between the winners of a result
+ * Without winners (a draw, or a session abandoned before it was decided) every
+ * player gets their stake back. Otherwise the winners share the pot evenly and
+ * the remainder of an uneven split goes to the first winner.
+ * @param {Object} result - Result to pay out
+ * @param {Array<string>} result.players - Players, each of whom allocated the stake
+ * @param {Array<string>} result.winners - Winning players, in order of precedence
+ * @param {string} result.stake - Stake of each player
+ * @param {string} result.asset - Asset symbol
+ * @returns {Object<string, string>} Payout by player before fees, as decimal strings
+ */
+export function getPayouts({ players, winners, stake, asset }) {
+  if (winners.length === 0) {
+    const refund = formatAmount(parseAmount(stake, asset), asset);
+    return Object.fromEntries(players.map(player => [player, refund]));
+  }
+
+  const pot = getPotUnits(stake, players.length, asset);
+  const share = pot / BigInt(winners.length);
+  const remainder = pot - share * BigInt(winners.length);
+
+  return Object.fromEntries(players.map(player => {
+    const index = winners.indexOf(player);
+    const amount = index === -1 ? 0n : share + (index === 0 ? remainder : 0n);
+    return [player, formatAmount(amount, asset)];
+  }));
+}
+
+/**
+ * Turns payouts into the allocations an app session is closed with
+ * The operator's fee is taken from the payouts in proportion to them and
+ * allocated to the server; units lost to rounding are taken from the largest
+ * payouts first.
+ * @param {Object} settlement - Session to settle
+ * @param {Array<string>} settlement.participants - Players in the app session's allocation order
+ * @param {Object<string, string>} settlement.payouts - Payout by player before fees (see getPayouts)
+ * @param {string} settlement.asset - Asset symbol
+ * @param {function(bigint, string): bigint} [settlement.computeFee] - Fee owed on a pot (none by default)
+ * @returns {Object} Allocations (players, then the server), payouts after the fee by player, fee and pot, as decimal strings
+ */
+export function settle({ participants, payouts, asset, computeFee = () => 0n }) {
+  const units = participants.map(player => parseAmount(payouts[player] ?? '0', asset));
+  const pot = units.reduce((sum, amount) => sum + amount, 0n);
+  const fee = computeFee(pot, asset);
+
+  const deductions = units.map(amount => (pot === 0n ? 0n : fee * amount / pot));
+  let remainder = fee - deductions.reduce((sum, amount) => sum + amount, 0n);
+
+  const largestFirst = units.map((_, index) => index).sort((a, b) => (units[b] > units[a] ? 1 : units[b] < units[a] ? -1 : a - b));
+  for (const index of largestFirst) {
+    if (remainder === 0n) break;
+    if (units[index] > deductions[index]) {
+      deductions[index] += 1n;
+      remainder -= 1n;
+    }
+  }
+
+  const netPayouts = units.map((amount, index) => formatAmount(amount - deductions[index], asset));
+
+  return {
+    allocations: [...netPayouts, formatAmount(fee, asset)],
+    payouts: Object.fromEntries(participants.map((player, index) => [player, netPayouts[index]])),
+    fee: formatAmount(fee, asset),
+    pot: formatAmount(pot, asset)
+  };
+}
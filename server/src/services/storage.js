@@ -0,0 +1,123 @@
+/**
+ * Storage adapters for server state
+ * State is kept in named collections of JSON-serializable records keyed by ID,
+ * so rooms and app sessions survive a server restart.
+ */
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import logger from '../utils/logger.js';
+
+// Load environment variables
+dotenv.config();
+
+// Default location of the file-backed store
+const DEFAULT_STORAGE_PATH = './data/nitro-aura.json';
+
+/**
+ * @typedef {Object} StorageAdapter
+ * @property {function(string): Array<[string, Object]>} load - Returns all records of a collection as [key, value] pairs
+ * @property {function(string, string): (Object|null)} get - Returns a single record or null
+ * @property {function(string, string, Object): void} save - Inserts or replaces a record
+ * @property {function(string, string): void} remove - Deletes a record
+ */
+
+/**
+ * Creates an adapter over a plain collections object
+ * @param {Object} collections - Records by collection name and key
+ * @param {function(): void} onChange - Called after every write
+ * @returns {StorageAdapter} Storage adapter
+ */
+function createAdapter(collections, onChange) {
+  const getCollection = (name) => {
+    if (!collections[name]) {
+      collections[name] = {};
+    }
+    return collections[name];
+  };
+
+  return {
+    load(name) {
+      return Object.entries(getCollection(name));
+    },
+
+    get(name, key) {
+      return getCollection(name)[key] ?? null;
+    },
+
+    save(name, key, value) {
+      // Round-trip through JSON so stored records never share references with live objects
+      getCollection(name)[key] = JSON.parse(JSON.stringify(value));
+      onChange();
+    },
+
+    remove(name, key) {
+      const collection = getCollection(name);
+      if (key in collection) {
+        delete collection[key];
+        onChange();
+      }
+    }
+  };
+}
+
+/**
+ * Creates an in-memory storage adapter (state is lost on restart)
+ * @returns {StorageAdapter} Storage adapter
+ */
+export function createMemoryStorage() {
+  return createAdapter({}, () => {});
+}
+
+/**
+ * Creates a storage adapter backed by a single JSON file
+ * Every write rewrites the file atomically (write to a temp file, then rename).
+ * @param {string} filePath - Path of the JSON file
+ * @returns {StorageAdapter} Storage adapter
+ */
+export function createFileStorage(filePath) {
+  const resolvedPath = path.resolve(filePath);
+  let collections = {};
+
+  if (fs.existsSync(resolvedPath)) {
+    try {
+      collections = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+      logger.system(`Loaded state from ${resolvedPath}`);
+    } catch (error) {
+      logger.error(`Failed to read state file ${resolvedPath}, starting empty:`, error);
+      collections = {};
+    }
+  } else {
+    fs.mkdirSync(path.dirname(resolvedPath), { recursive: true });
+  }
+
+  const flush = () => {
+    const tempPath = `${resolvedPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(collections));
+    fs.renameSync(tempPath, resolvedPath);
+  };
+
+  return createAdapter(collections, flush);
+}
+
+/**
+ * Creates the storage adapter selected by the environment
+ * STORAGE_DRIVER is 'file' (default) or 'memory'; STORAGE_PATH sets the file location.
+ * @returns {StorageAdapter} Storage adapter
+ */
+export function createStorage() {
+  const driver = process.env.STORAGE_DRIVER || 'file';
+
+  if (driver === 'memory') {
+    logger.system('Using in-memory storage (state will not survive restarts)');
+    return createMemoryStorage();
+  }
+
+  if (driver !== 'file') {
+    throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+  }
+
+  const filePath = process.env.STORAGE_PATH || DEFAULT_STORAGE_PATH;
+  logger.system(`Using file storage at ${filePath}`);
+  return createFileStorage(filePath);
+}
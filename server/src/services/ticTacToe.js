@@ -38,15 +38,18 @@ export function createGame(hostEoa, guestEoa) {
 }
 
 /**
- * Makes a move on the board
+ * Validates a move without applying it
  * @param {GameState} gameState - Current game state
  * @param {number} position - Position to place the piece (0-8)
  * @param {string} playerEoa - Player's Ethereum address
- * @returns {Object} Result with updated game state or error
+ * @returns {Object} Result with success flag or error
  */
-export function makeMove(gameState, position, playerEoa) {
-  // Format player address to proper checksum format
-  const formattedPlayerEoa = ethers.getAddress(playerEoa);
+export function validateMove(gameState, position, playerEoa) {
+  // Format player address to proper checksum format; a player's own address
+  // is already checksummed, which spares bot searches the hashing on every move
+  const formattedPlayerEoa = Object.values(gameState.players).includes(playerEoa)
+    ? playerEoa
+    : ethers.getAddress(playerEoa);
   
   // Check if the game is already over
   if (gameState.isGameOver) {
@@ -60,10 +63,28 @@ export function makeMove(gameState, position, playerEoa) {
   }
 
   // Check if the position is valid and empty
-  if (position < 0 || position > 8 || gameState.board[position] !== null) {
+  if (!Number.isInteger(position) || position < 0 || position > 8 || gameState.board[position] !== null) {
     return { success: false, error: 'Invalid move: position is occupied or out of bounds' };
   }
 
+  return { success: true };
+}
+
+/**
+ * Makes a move on the board
+ * @param {GameState} gameState - Current game state
+ * @param {number} position - Position to place the piece (0-8)
+ * @param {string} playerEoa - Player's Ethereum address
+ * @returns {Object} Result with updated game state or error
+ */
+export function makeMove(gameState, position, playerEoa) {
+  const validation = validateMove(gameState, position, playerEoa);
+  if (!validation.success) {
+    return validation;
+  }
+
+  const playerSymbol = gameState.nextTurn;
+
   // Create a new board with the move applied
   const newBoard = [...gameState.board];
   newBoard[position] = playerSymbol;
@@ -87,6 +108,19 @@ export function makeMove(gameState, position, playerEoa) {
   };
 }
 
+/**
+ * Lists the moves the player to move can make
+ * @param {GameState} gameState - Current game state
+ * @returns {Array<number>} Empty board positions, or none once the game is over
+ */
+export function getValidMoves(gameState) {
+  if (gameState.isGameOver) {
+    return [];
+  }
+
+  return gameState.board.flatMap((cell, position) => (cell === null ? [position] : []));
+}
+
 /**
  * Checks if there's a winner on the board
  * @param {Array<string|null>} board - The current board state
@@ -109,6 +143,57 @@ export function checkWinner(board) {
   return null; // No winner
 }
 
+/**
+ * Reads the outcome of a game
+ * @param {GameState} gameState - Current game state
+ * @returns {Object} Result with isGameOver, winner symbol and winner address
+ */
+export function getResult(gameState) {
+  return {
+    isGameOver: gameState.isGameOver,
+    winner: gameState.winner,
+    winnerAddress: gameState.winner ? gameState.players[gameState.winner] : null
+  };
+}
+
+/**
+ * Gets the player whose move it is
+ * @param {GameState} gameState - Current game state
+ * @returns {string|null} EOA of the player to move, or null once the game is over
+ */
+export function getCurrentPlayer(gameState) {
+  return gameState.isGameOver ? null : gameState.players[gameState.nextTurn];
+}
+
+/**
+ * Ends the game with a loss for one player (e.g. timeout)
+ * @param {GameState} gameState - Current game state
+ * @param {string} loserEoa - EOA of the player who forfeits
+ * @returns {GameState} Finished game state with the opponent as winner
+ */
+export function forfeit(gameState, loserEoa) {
+  const loserSymbol = gameState.players.X === ethers.getAddress(loserEoa) ? 'X' : 'O';
+
+  return {
+    ...gameState,
+    winner: loserSymbol === 'X' ? 'O' : 'X',
+    isGameOver: true
+  };
+}
+
+/**
+ * Ends the game as a draw (e.g. agreed by both players)
+ * @param {GameState} gameState - Current game state
+ * @returns {GameState} Finished game state without a winner
+ */
+export function declareDraw(gameState) {
+  return {
+    ...gameState,
+    winner: null,
+    isGameOver: true
+  };
+}
+
 /**
  * Formats game state for client consumption
  * @param {GameState} gameState - Current game state
@@ -134,4 +219,22 @@ export function formatGameOverMessage(gameState) {
     winner: gameState.winner,
     board: gameState.board
   };
-}
\ No newline at end of file
+}
+
+/**
+ * Tic-tac-toe implementation of the game engine interface
+ * @type {import('./gameEngines.js').GameEngine}
+ */
+export const ticTacToeEngine = {
+  type: 'tictactoe',
+  create: createGame,
+  validateMove,
+  applyMove: makeMove,
+  getValidMoves,
+  getResult,
+  getCurrentPlayer,
+  forfeit,
+  declareDraw,
+  formatState: formatGameState,
+  formatGameOver: formatGameOverMessage
+};
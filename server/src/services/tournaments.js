@@ -0,0 +1,879 @@
+/**
+ * Tournaments
+ * Runs single-elimination and round-robin tournaments on top of the room
+ * manager: every registered player puts the entry stake into one prize pool
+ * app session, matches are played in reserved rooms without stakes of their
+ * own, and the pool is paid out through the app session allocations once the
+ * tournament is decided.
+ */
+import dotenv from 'dotenv';
+import { v4 as uuidv4 } from 'uuid';
+import { createMemoryStorage } from './storage.js';
+import { DEFAULT_RATING } from './matchmaker.js';
+import { DEFAULT_ASSET, formatAmount } from '../utils/amounts.js';
+import { getPayouts, getPotUnits } from './settlement.js';
+import logger from '../utils/logger.js';
+
+// Load environment variables
+dotenv.config();
+
+// Storage collection holding tournament records
+const TOURNAMENTS_COLLECTION = 'tournaments';
+
+// Tournament formats
+export const TOURNAMENT_FORMATS = ['single-elimination', 'round-robin'];
+
+// Largest field a tournament can have
+export const MAX_TOURNAMENT_PLAYERS = 32;
+
+// How long registered players have to sign the prize pool app session
+const DEFAULT_FUNDING_TIMEOUT_MS = 5 * 60 * 1000;
+
+// How long paired players have to sit down in their match room
+const DEFAULT_NO_SHOW_MS = 2 * 60 * 1000;
+
+// Drawn elimination games replayed before the higher seed goes through
+const DEFAULT_MAX_REPLAYS = 2;
+
+// Tournament records never shown in the public list once this many newer ones exist
+const MAX_LISTED_TOURNAMENTS = 50;
+
+/**
+ * @typedef {Object} TournamentMatch
+ * @property {string} id - Match ID, unique within the tournament ('<round>-<index>')
+ * @property {number} round - Round number, starting at 1
+ * @property {Array<string|null>} players - Paired players; null marks a bye
+ * @property {string|null} roomId - Room the match is played in
+ * @property {string} status - 'pending', 'ready' or 'finished'
+ * @property {string|null} winner - Winner EOA, null for a draw or while undecided
+ * @property {string|null} result - 'played', 'draw', 'walkover', 'bye', 'forfeit' or 'tiebreak' once finished
+ * @property {number} replays - Drawn elimination games replayed so far
+ */
+
+/**
+ * @typedef {Object} Tournament
+ * @property {string} id - Tournament ID (also the key of its prize pool app session)
+ * @property {string} name - Display name
+ * @property {string} format - 'single-elimination' or 'round-robin'
+ * @property {string} creator - EOA that created the tournament
+ * @property {string} gameType - Game engine key every match plays
+ * @property {string} entryStake - Amount every player puts into the prize pool
+ * @property {string} asset - Asset of the entry stake
+ * @property {number} maxPlayers - Player cap
+ * @property {number} bestOf - Games per match
+ * @property {string} status - 'registering', 'funding', 'running', 'finished' or 'cancelled'
+ * @property {Array<string>} players - Registered players in registration order (prize pool allocation order)
+ * @property {Array<string>} seeds - Players from the highest seed down, once started
+ * @property {string|null} appId - Prize pool app session ID
+ * @property {Array<Array<TournamentMatch>>} rounds - Matches by round
+ * @property {Object<string, string>|null} payouts - Prize by EOA once finished, after the operator's fee once settled
+ * @property {boolean} isSettled - Whether the prize pool app session was closed with the payouts
+ * @property {number|null} fundingDeadline - When unsigned tournaments are cancelled
+ * @property {string|null} cancelReason - Why the tournament was cancelled
+ * @property {number} createdAt - Creation time (ms since epoch)
+ * @property {number|null} startedAt - When the first round started
+ * @property {number|null} finishedAt - When the tournament was decided
+ */
+
+/**
+ * Orders seeds so the strongest players meet as late as possible
+ * @param {number} size - Bracket size (a power of two)
+ * @returns {Array<number>} Zero-based seeds in bracket order; consecutive pairs play each other
+ */
+function getBracketOrder(size) {
+  let order = [0];
+  while (order.length < size) {
+    const length = order.length * 2;
+    order = order.flatMap(seed => [seed, length - 1 - seed]);
+  }
+  return order;
+}
+
+/**
+ * Pairs every player with every other player using the circle method
+ * @param {Array<string>} players - Seeded players
+ * @returns {Array<Array<Array<string|null>>>} Pairings by round; null marks a bye
+ */
+function getRoundRobinSchedule(players) {
+  const field = players.length % 2 === 0 ? [...players] : [...players, null];
+  const rounds = [];
+
+  for (let round = 0; round < field.length - 1; round++) {
+    const pairings = [];
+    for (let i = 0; i < field.length / 2; i++) {
+      pairings.push([field[i], field[field.length - 1 - i]]);
+    }
+    rounds.push(pairings);
+
+    // Keep the first player in place and rotate everyone else
+    field.splice(1, 0, field.pop());
+  }
+
+  return rounds;
+}
+
+/**
+ * Creates a match record
+ * @param {number} round - Round number
+ * @param {number} index - Position in the round
+ * @param {Array<string|null>} players - Paired players
+ * @returns {TournamentMatch} Pending match
+ */
+function createMatch(round, index, players) {
+  return {
+    id: `${round}-${index}`,
+    round,
+    players,
+    roomId: null,
+    status: 'pending',
+    winner: null,
+    result: null,
+    replays: 0
+  };
+}
+
+/**
+ * Creates the tournament manager
+ * @param {Object} options - Manager options
+ * @param {import('./roomManager.js').RoomManager} options.roomManager - Room manager the match rooms are created in
+ * @param {import('./storage.js').StorageAdapter} [options.storage] - Where tournaments are persisted (in-memory by default)
+ * @param {function(string): number} [options.getRating] - Rating of a player by EOA, used for seeding
+ * @param {function(Tournament): void} [options.onFinished] - Called once a tournament is decided and its prize pool should be paid out
+ * @param {number} [options.fundingTimeoutMs] - How long players have to sign the prize pool (TOURNAMENT_FUNDING_TIMEOUT_MS)
+ * @param {number} [options.noShowMs] - How long paired players have to sit down (TOURNAMENT_NO_SHOW_MS)
+ * @param {number} [options.maxReplays] - Drawn elimination games replayed before the higher seed goes through (TOURNAMENT_MAX_REPLAYS)
+ * @returns {Object} Tournament manager
+ */
+export function createTournamentManager({
+  roomManager,
+  storage = createMemoryStorage(),
+  getRating = () => DEFAULT_RATING,
+  onFinished = () => {},
+  fundingTimeoutMs = Number(process.env.TOURNAMENT_FUNDING_TIMEOUT_MS) || DEFAULT_FUNDING_TIMEOUT_MS,
+  noShowMs = Number(process.env.TOURNAMENT_NO_SHOW_MS) || DEFAULT_NO_SHOW_MS,
+  maxReplays = Number(process.env.TOURNAMENT_MAX_REPLAYS) || DEFAULT_MAX_REPLAYS
+}) {
+  // Tournaments by ID, mirrored to storage on every change
+  const tournaments = new Map();
+
+  // Latest connection of every registered player, for notifications
+  const playerConnections = new Map();
+
+  // Funding deadline and no-show timers, by tournament ID and by room ID
+  const fundingTimers = new Map();
+  const noShowTimers = new Map();
+
+  // Tournament and match of every match room
+  const roomToMatch = new Map();
+
+  /**
+   * Writes a tournament to storage
+   * @param {string} tournamentId - Tournament ID
+   */
+  function saveTournament(tournamentId) {
+    storage.save(TOURNAMENTS_COLLECTION, tournamentId, tournaments.get(tournamentId));
+  }
+
+  /**
+   * Sends a message to a player if they have a live connection
+   * @param {string} eoa - Player EOA
+   * @param {string} type - Message type
+   * @param {Object} payload - Message payload
+   */
+  function notifyPlayer(eoa, type, payload) {
+    const ws = playerConnections.get(eoa);
+    if (ws && ws.readyState === 1) {
+      ws.send(JSON.stringify({ type, ...payload }));
+    }
+  }
+
+  /**
+   * Sends a message to every registered player of a tournament
+   * @param {string} tournamentId - Tournament ID
+   * @param {string} type - Message type
+   * @param {Object} payload - Message payload
+   */
+  function broadcastToTournament(tournamentId, type, payload) {
+    for (const eoa of tournaments.get(tournamentId).players) {
+      notifyPlayer(eoa, type, payload);
+    }
+  }
+
+  /**
+   * Sends the current bracket to every registered player
+   * @param {string} tournamentId - Tournament ID
+   */
+  function broadcastUpdate(tournamentId) {
+    broadcastToTournament(tournamentId, 'tournament:update', { tournament: formatTournament(tournamentId) });
+  }
+
+  /**
+   * Remembers the connection a player can be notified on
+   * @param {string} eoa - Player EOA
+   * @param {Object} ws - WebSocket connection
+   */
+  function attachConnection(eoa, ws) {
+    playerConnections.set(eoa, ws);
+  }
+
+  /**
+   * Finds the active tournament a player is registered in
+   * @param {string} eoa - Player EOA
+   * @returns {Tournament|null} Tournament that is not finished or cancelled, or null
+   */
+  function getActiveTournamentOf(eoa) {
+    for (const tournament of tournaments.values()) {
+      if (!['finished', 'cancelled'].includes(tournament.status) && tournament.players.includes(eoa)) {
+        return tournament;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Checks whether a tournament is still collecting signatures or playing
+   * @param {string} tournamentId - Tournament ID
+   * @returns {boolean} True while funding or running
+   */
+  function isActive(tournamentId) {
+    const tournament = tournaments.get(tournamentId);
+    return !!tournament && ['funding', 'running'].includes(tournament.status);
+  }
+
+  /**
+   * Creates a tournament open for registration
+   * @param {Object} options - Tournament settings
+   * @param {string} options.creator - Creator EOA
+   * @param {string} [options.name] - Display name
+   * @param {string} options.format - 'single-elimination' or 'round-robin'
+   * @param {string} options.gameType - Game engine key
+   * @param {string} options.entryStake - Amount every player puts into the prize pool
+   * @param {string} [options.asset] - Asset of the entry stake
+   * @param {number} options.maxPlayers - Player cap
+   * @param {number} [options.bestOf] - Games per match
+   * @returns {Object} Formatted tournament
+   */
+  function createTournament({ creator, name, format, gameType, entryStake, asset = DEFAULT_ASSET, maxPlayers, bestOf = 1 }) {
+    const id = uuidv4();
+    tournaments.set(id, {
+      id,
+      name: name || `${format === 'round-robin' ? 'Round robin' : 'Knockout'} ${id.slice(0, 4).toUpperCase()}`,
+      format,
+      creator,
+      gameType,
+      entryStake,
+      asset,
+      maxPlayers,
+      bestOf,
+      status: 'registering',
+      players: [],
+      seeds: [],
+      appId: null,
+      rounds: [],
+      payouts: null,
+      isSettled: false,
+      fundingDeadline: null,
+      cancelReason: null,
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null
+    });
+    saveTournament(id);
+
+    logger.game(`Tournament ${id} (${format}, ${maxPlayers} players, ${entryStake} ${asset}) created by ${creator}`);
+    return formatTournament(id);
+  }
+
+  /**
+   * Registers a player for a tournament
+   * @param {string} tournamentId - Tournament ID
+   * @param {string} eoa - Player EOA
+   * @param {Object} ws - Connection to notify the player on
+   * @returns {Object} Result with success flag and whether the tournament is now full, or error
+   */
+  function register(tournamentId, eoa, ws) {
+    const tournament = tournaments.get(tournamentId);
+    if (!tournament) {
+      return { success: false, error: 'Tournament not found' };
+    }
+
+    if (tournament.status !== 'registering') {
+      return { success: false, error: 'Registration is closed' };
+    }
+
+    if (tournament.players.includes(eoa)) {
+      return { success: false, error: 'Already registered' };
+    }
+
+    if (getActiveTournamentOf(eoa)) {
+      return { success: false, error: 'Already registered in another tournament' };
+    }
+
+    if (tournament.players.length >= tournament.maxPlayers) {
+      return { success: false, error: 'Tournament is full' };
+    }
+
+    tournament.players.push(eoa);
+    attachConnection(eoa, ws);
+    saveTournament(tournamentId);
+    broadcastUpdate(tournamentId);
+
+    return { success: true, isFull: tournament.players.length === tournament.maxPlayers };
+  }
+
+  /**
+   * Withdraws a player's registration before the tournament is funded
+   * @param {string} tournamentId - Tournament ID
+   * @param {string} eoa - Player EOA
+   * @returns {Object} Result with success flag, or error
+   */
+  function unregister(tournamentId, eoa) {
+    const tournament = tournaments.get(tournamentId);
+    if (!tournament || !tournament.players.includes(eoa)) {
+      return { success: false, error: 'Not registered for this tournament' };
+    }
+
+    if (tournament.status !== 'registering') {
+      return { success: false, error: 'Registration is closed' };
+    }
+
+    tournament.players = tournament.players.filter(player => player !== eoa);
+    saveTournament(tournamentId);
+    broadcastUpdate(tournamentId);
+
+    return { success: true };
+  }
+
+  /**
+   * Closes registration and waits for every player to sign the prize pool
+   * Starts automatically once the tournament is full; the creator may start earlier.
+   * @param {string} tournamentId - Tournament ID
+   * @param {string|null} [eoa] - Player asking to start, null when the tournament filled up
+   * @returns {Object} Result with success flag and the funding deadline, or error
+   */
+  function beginFunding(tournamentId, eoa = null) {
+    const tournament = tournaments.get(tournamentId);
+    if (!tournament) {
+      return { success: false, error: 'Tournament not found' };
+    }
+
+    if (eoa && tournament.creator !== eoa) {
+      return { success: false, error: 'Only the creator can start the tournament' };
+    }
+
+    if (tournament.status !== 'registering') {
+      return { success: false, error: 'Tournament has already started' };
+    }
+
+    if (tournament.players.length < 2) {
+      return { success: false, error: 'At least two players are needed' };
+    }
+
+    tournament.status = 'funding';
+    tournament.fundingDeadline = Date.now() + fundingTimeoutMs;
+    saveTournament(tournamentId);
+    scheduleFundingDeadline(tournamentId);
+    broadcastUpdate(tournamentId);
+
+    return { success: true, fundingDeadline: tournament.fundingDeadline };
+  }
+
+  /**
+   * Cancels a tournament whose prize pool is still unsigned at its deadline
+   * @param {string} tournamentId - Tournament ID
+   */
+  function scheduleFundingDeadline(tournamentId) {
+    const { fundingDeadline } = tournaments.get(tournamentId);
+
+    clearTimeout(fundingTimers.get(tournamentId));
+    fundingTimers.set(tournamentId, setTimeout(() => {
+      fundingTimers.delete(tournamentId);
+      if (tournaments.get(tournamentId)?.status === 'funding') {
+        cancel(tournamentId, 'Not every player signed the prize pool in time');
+      }
+    }, Math.max(0, fundingDeadline - Date.now())));
+  }
+
+  /**
+   * Drops players who cannot fund the prize pool and reopens registration
+   * The remaining players keep their registration; the tournament is cancelled
+   * if nobody is left.
+   * @param {string} tournamentId - Tournament ID
+   * @param {Array<string>} eoas - Players to drop
+   * @returns {Object} Result with success flag, or error
+   */
+  function reopenRegistration(tournamentId, eoas) {
+    const tournament = tournaments.get(tournamentId);
+    if (!tournament || tournament.status !== 'funding') {
+      return { success: false, error: 'Tournament is not waiting for funding' };
+    }
+
+    tournament.players = tournament.players.filter(player => !eoas.includes(player));
+    if (tournament.players.length === 0) {
+      cancel(tournamentId, 'No registered player could fund the prize pool');
+      return { success: true };
+    }
+
+    clearTimeout(fundingTimers.get(tournamentId));
+    fundingTimers.delete(tournamentId);
+
+    tournament.status = 'registering';
+    tournament.fundingDeadline = null;
+    saveTournament(tournamentId);
+
+    logger.game(`Tournament ${tournamentId} back to registration without ${eoas.join(', ')}`);
+    broadcastUpdate(tournamentId);
+    return { success: true };
+  }
+
+  /**
+   * Cancels a tournament that has not started
+   * Nothing is locked before the prize pool app session exists, so nothing is refunded.
+   * @param {string} tournamentId - Tournament ID
+   * @param {string} reason - Why the tournament was cancelled
+   */
+  function cancel(tournamentId, reason) {
+    const tournament = tournaments.get(tournamentId);
+    if (!tournament || !['registering', 'funding'].includes(tournament.status)) return;
+
+    clearTimeout(fundingTimers.get(tournamentId));
+    fundingTimers.delete(tournamentId);
+
+    tournament.status = 'cancelled';
+    tournament.cancelReason = reason;
+    saveTournament(tournamentId);
+
+    logger.game(`Tournament ${tournamentId} cancelled: ${reason}`);
+    broadcastToTournament(tournamentId, 'tournament:cancelled', { tournamentId, reason });
+  }
+
+  /**
+   * Starts a funded tournament: seeds the players and opens the first round
+   * @param {string} tournamentId - Tournament ID
+   * @param {string} appId - Prize pool app session ID
+   * @returns {Object} Result with success flag, or error
+   */
+  function start(tournamentId, appId) {
+    const tournament = tournaments.get(tournamentId);
+    if (!tournament || tournament.status !== 'funding') {
+      return { success: false, error: 'Tournament is not waiting for funding' };
+    }
+
+    clearTimeout(fundingTimers.get(tournamentId));
+    fundingTimers.delete(tournamentId);
+
+    // Stronger players are seeded first; registration order breaks ties
+    const seeds = [...tournament.players].sort((a, b) => getRating(b) - getRating(a));
+    tournament.seeds = seeds;
+
+    if (tournament.format === 'round-robin') {
+      tournament.rounds = getRoundRobinSchedule(seeds)
+        .map((pairings, round) => pairings.map((players, index) => createMatch(round + 1, index, players)));
+    } else {
+      let size = 2;
+      while (size < seeds.length) size *= 2;
+
+      const order = getBracketOrder(size).map(seed => seeds[seed] || null);
+      const rounds = [];
+      for (let round = 1, matches = size / 2; matches >= 1; round++, matches /= 2) {
+        rounds.push(Array.from({ length: matches }, (_, index) => createMatch(round, index, round === 1
+          ? [order[index * 2], order[index * 2 + 1]]
+          : [null, null])));
+      }
+      tournament.rounds = rounds;
+    }
+
+    tournament.status = 'running';
+    tournament.appId = appId;
+    tournament.startedAt = Date.now();
+    saveTournament(tournamentId);
+
+    logger.game(`Tournament ${tournamentId} started with ${seeds.length} players`);
+    openRound(tournamentId, 1);
+    return { success: true };
+  }
+
+  /**
+   * Opens every match of a round that has its players, settling byes right away
+   * @param {string} tournamentId - Tournament ID
+   * @param {number} roundNumber - Round to open
+   */
+  function openRound(tournamentId, roundNumber) {
+    const tournament = tournaments.get(tournamentId);
+
+    for (const match of tournament.rounds[roundNumber - 1]) {
+      if (match.status !== 'pending') continue;
+
+      const [a, b] = match.players;
+      if (a && b) {
+        openMatch(tournamentId, match);
+      } else if (tournament.format === 'round-robin' || roundNumber === 1) {
+        // A missing opponent can only be a bye once the bracket is drawn
+        finishMatch(tournamentId, match, a || b, 'bye');
+      }
+    }
+
+    saveTournament(tournamentId);
+    broadcastUpdate(tournamentId);
+    advance(tournamentId);
+  }
+
+  /**
+   * Creates the reserved room of a match and tells both players to join it
+   * @param {string} tournamentId - Tournament ID
+   * @param {TournamentMatch} match - Match with both players known
+   */
+  function openMatch(tournamentId, match) {
+    const tournament = tournaments.get(tournamentId);
+
+    match.roomId = roomManager.createRoom({
+      gameType: tournament.gameType,
+      stake: '0',
+      asset: tournament.asset,
+      bestOf: tournament.bestOf,
+      reservedFor: match.players,
+      tournament: { tournamentId, matchId: match.id }
+    });
+    match.status = 'ready';
+    roomToMatch.set(match.roomId, { tournamentId, matchId: match.id });
+    scheduleNoShow(match.roomId);
+
+    logger.game(`Tournament ${tournamentId} match ${match.id}: ${match.players[0]} vs ${match.players[1]} in room ${match.roomId}`);
+
+    for (const [eoa, opponent] of [match.players, [...match.players].reverse()]) {
+      notifyPlayer(eoa, 'tournament:matchReady', {
+        tournamentId,
+        matchId: match.id,
+        round: match.round,
+        roomId: match.roomId,
+        opponent,
+        joinDeadline: Date.now() + noShowMs
+      });
+    }
+  }
+
+  /**
+   * Decides a match whose players did not both sit down in time
+   * A player who showed up wins by walkover. If nobody did, the higher seed
+   * goes through in an elimination bracket and nobody scores in a round robin.
+   * @param {string} roomId - Match room ID
+   */
+  function scheduleNoShow(roomId) {
+    clearTimeout(noShowTimers.get(roomId));
+    noShowTimers.set(roomId, setTimeout(() => {
+      noShowTimers.delete(roomId);
+
+      const lookup = getMatchByRoom(roomId);
+      const room = roomManager.rooms.get(roomId);
+      if (!lookup || lookup.match.status !== 'ready' || room?.gameState) return;
+
+      const { tournament, match } = lookup;
+      const seated = match.players.filter(eoa => room && (room.players.host === eoa || room.players.guest === eoa));
+
+      roomToMatch.delete(roomId);
+      if (room) {
+        roomManager.broadcastToRoom(roomId, 'room:closed', { roomId });
+        roomManager.closeRoom(roomId);
+      }
+
+      if (seated.length === 1) {
+        finishMatch(tournament.id, match, seated[0], 'walkover');
+      } else if (tournament.format === 'single-elimination') {
+        finishMatch(tournament.id, match, getHigherSeed(tournament, match.players), 'forfeit');
+      } else {
+        finishMatch(tournament.id, match, null, 'forfeit');
+      }
+
+      logger.game(`Tournament ${tournament.id} match ${match.id} decided by no-show`);
+      saveTournament(tournament.id);
+      broadcastUpdate(tournament.id);
+      advance(tournament.id);
+    }, noShowMs));
+  }
+
+  /**
+   * Picks the higher seeded of two paired players
+   * @param {Tournament} tournament - Tournament
+   * @param {Array<string>} players - Paired players
+   * @returns {string} EOA of the higher seed
+   */
+  function getHigherSeed(tournament, players) {
+    const seeds = tournament.seeds || [];
+    const rank = eoa => (seeds.includes(eoa) ? seeds.indexOf(eoa) : seeds.length);
+    return rank(players[1]) < rank(players[0]) ? players[1] : players[0];
+  }
+
+  /**
+   * Looks up the tournament match a room plays
+   * @param {string} roomId - Room ID
+   * @returns {Object|null} Tournament and match, or null if the room is not a match room
+   */
+  function getMatchByRoom(roomId) {
+    const entry = roomToMatch.get(roomId);
+    const tournament = entry && tournaments.get(entry.tournamentId);
+    if (!tournament) return null;
+
+    const match = tournament.rounds.flat().find(candidate => candidate.id === entry.matchId);
+    return match ? { tournament, match } : null;
+  }
+
+  /**
+   * Marks a match as decided
+   * @param {string} tournamentId - Tournament ID
+   * @param {TournamentMatch} match - Match to finish
+   * @param {string|null} winner - Winner EOA, null for a draw or double forfeit
+   * @param {string} result - How the match was decided
+   */
+  function finishMatch(tournamentId, match, winner, result) {
+    match.status = 'finished';
+    match.winner = winner;
+    match.result = result;
+
+    // The winner moves into their slot of the next elimination round
+    const tournament = tournaments.get(tournamentId);
+    if (tournament.format === 'single-elimination' && winner) {
+      const nextRound = tournament.rounds[match.round];
+      if (nextRound) {
+        const index = Number(match.id.split('-')[1]);
+        nextRound[Math.floor(index / 2)].players[index % 2] = winner;
+      }
+    }
+  }
+
+  /**
+   * Records the result of a finished match room
+   * A drawn elimination match is replayed in a new room with sides swapped, up
+   * to maxReplays times; after that the higher seed goes through.
+   * @param {string} roomId - Room the match was played in
+   * @param {string|null} winnerAddress - Winner EOA, null for a draw
+   * @returns {boolean} True if the room was a tournament match
+   */
+  function recordMatchResult(roomId, winnerAddress) {
+    const lookup = getMatchByRoom(roomId);
+    if (!lookup || lookup.match.status !== 'ready') {
+      return false;
+    }
+
+    const { tournament, match } = lookup;
+    clearTimeout(noShowTimers.get(roomId));
+    noShowTimers.delete(roomId);
+    roomToMatch.delete(roomId);
+
+    if (!winnerAddress && tournament.format === 'single-elimination' && match.replays >= maxReplays) {
+      const winner = getHigherSeed(tournament, match.players);
+      logger.game(`Tournament ${tournament.id} match ${match.id} drawn ${match.replays + 1} times, higher seed ${winner} goes through`);
+      finishMatch(tournament.id, match, winner, 'tiebreak');
+    } else if (!winnerAddress && tournament.format === 'single-elimination') {
+      match.replays += 1;
+      match.players = [...match.players].reverse();
+      logger.game(`Tournament ${tournament.id} match ${match.id} drawn, replaying`);
+      openMatch(tournament.id, match);
+    } else {
+      finishMatch(tournament.id, match, winnerAddress, winnerAddress ? 'played' : 'draw');
+    }
+
+    saveTournament(tournament.id);
+    broadcastUpdate(tournament.id);
+    advance(tournament.id);
+    return true;
+  }
+
+  /**
+   * Opens the next round once the current one is decided, or finishes the tournament
+   * @param {string} tournamentId - Tournament ID
+   */
+  function advance(tournamentId) {
+    const tournament = tournaments.get(tournamentId);
+    if (tournament.status !== 'running') return;
+
+    const currentIndex = tournament.rounds.findIndex(round => round.some(match => match.status !== 'finished'));
+    if (currentIndex === -1) {
+      finish(tournamentId);
+      return;
+    }
+
+    // Wait for the round in progress; open it if nothing in it has started yet
+    const round = tournament.rounds[currentIndex];
+    const isOpen = round.some(match => match.status !== 'pending');
+    const isDrawn = round.every(match => match.players.some(Boolean));
+    if (!isOpen && isDrawn) {
+      openRound(tournamentId, currentIndex + 1);
+    }
+  }
+
+  /**
+   * Computes round-robin standings: a win scores 1 point, a draw half a point
+   * @param {Tournament} tournament - Tournament
+   * @returns {Array<Object>} Standings ({ eoa, points, wins, draws, losses }), best first
+   */
+  function getStandings(tournament) {
+    const standings = new Map(tournament.players.map(eoa => [eoa, { eoa, points: 0, wins: 0, draws: 0, losses: 0 }]));
+
+    for (const match of tournament.rounds.flat()) {
+      if (match.status !== 'finished' || match.result === 'bye' || !match.players.every(Boolean)) continue;
+
+      for (const eoa of match.players) {
+        const entry = standings.get(eoa);
+        if (match.winner === eoa) {
+          entry.points += 1;
+          entry.wins += 1;
+        } else if (match.result === 'draw') {
+          entry.points += 0.5;
+          entry.draws += 1;
+        } else {
+          entry.losses += 1;
+        }
+      }
+    }
+
+    return [...standings.values()].sort((a, b) => b.points - a.points || b.wins - a.wins);
+  }
+
+  /**
+   * Decides the prize pool and hands the tournament over for payout
+   * The elimination champion takes the pool; round-robin leaders on equal
+   * points share it, the remainder of an uneven split going to the earliest registrant.
+   * @param {string} tournamentId - Tournament ID
+   */
+  function finish(tournamentId) {
+    const tournament = tournaments.get(tournamentId);
+
+    let winners;
+    if (tournament.format === 'single-elimination') {
+      winners = [tournament.rounds[tournament.rounds.length - 1][0].winner];
+    } else {
+      const standings = getStandings(tournament);
+      const topPoints = standings[0].points;
+      winners = tournament.players.filter(eoa => standings.find(entry => entry.eoa === eoa).points === topPoints);
+    }
+
+    // Winners keep registration order, so the earliest registrant is first
+    tournament.payouts = getPayouts({
+      players: tournament.players,
+      winners,
+      stake: tournament.entryStake,
+      asset: tournament.asset
+    });
+
+    tournament.status = 'finished';
+    tournament.finishedAt = Date.now();
+    saveTournament(tournamentId);
+
+    logger.game(`Tournament ${tournamentId} finished, won by ${winners.join(', ')}`);
+    onFinished(formatTournament(tournamentId));
+  }
+
+  /**
+   * Records whether the prize pool was paid out and tells every player
+   * @param {string} tournamentId - Tournament ID
+   * @param {boolean} isSettled - Whether the app session was closed with the payouts
+   * @param {Object<string, string>} [payouts] - Prize by EOA after the operator's fee, replacing the gross payouts
+   */
+  function recordSettlement(tournamentId, isSettled, payouts) {
+    const tournament = tournaments.get(tournamentId);
+    if (!tournament) return;
+
+    tournament.isSettled = isSettled;
+    if (payouts) {
+      tournament.payouts = payouts;
+    }
+    saveTournament(tournamentId);
+    broadcastToTournament(tournamentId, 'tournament:finished', { tournament: formatTournament(tournamentId) });
+  }
+
+  /**
+   * Formats a tournament for clients, including the bracket and standings
+   * @param {string} tournamentId - Tournament ID
+   * @returns {Object|null} Public view of the tournament, or null if unknown
+   */
+  function formatTournament(tournamentId) {
+    const tournament = tournaments.get(tournamentId);
+    if (!tournament) return null;
+
+    const prizePool = formatAmount(
+      getPotUnits(tournament.entryStake, tournament.players.length, tournament.asset),
+      tournament.asset
+    );
+
+    return {
+      ...tournament,
+      prizePool,
+      rounds: tournament.rounds.map(round => round.map(match => ({ ...match }))),
+      standings: tournament.format === 'round-robin' && tournament.rounds.length > 0 ? getStandings(tournament) : null
+    };
+  }
+
+  /**
+   * Lists tournaments without their brackets, newest first
+   * @returns {Array<Object>} Tournament summaries
+   */
+  function listTournaments() {
+    return [...tournaments.values()]
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .slice(0, MAX_LISTED_TOURNAMENTS)
+      .map(({ rounds, ...tournament }) => ({
+        ...tournament,
+        prizePool: formatAmount(
+          getPotUnits(tournament.entryStake, tournament.players.length, tournament.asset),
+          tournament.asset
+        ),
+        round: rounds.findIndex(round => round.some(match => match.status !== 'finished')) + 1 || null
+      }));
+  }
+
+  /**
+   * Rehydrates tournaments from storage
+   * Funding deadlines are re-armed; match rooms that were lost with the
+   * restart are opened again and their players notified once they reconnect.
+   */
+  function restoreTournaments() {
+    for (const [tournamentId, record] of storage.load(TOURNAMENTS_COLLECTION)) {
+      tournaments.set(tournamentId, record);
+
+      if (record.status === 'funding') {
+        scheduleFundingDeadline(tournamentId);
+      }
+
+      if (record.status !== 'running') continue;
+
+      for (const match of record.rounds.flat()) {
+        if (match.status !== 'ready') continue;
+
+        if (roomManager.rooms.has(match.roomId)) {
+          roomToMatch.set(match.roomId, { tournamentId, matchId: match.id });
+          scheduleNoShow(match.roomId);
+        } else {
+          openMatch(tournamentId, match);
+        }
+      }
+      saveTournament(tournamentId);
+    }
+
+    if (tournaments.size > 0) {
+      logger.system(`Restored ${tournaments.size} tournament(s) from storage`);
+    }
+  }
+
+  restoreTournaments();
+
+  // Return public API
+  return {
+    attachConnection,
+    notifyPlayer,
+    broadcastToTournament,
+    getActiveTournamentOf,
+    isActive,
+    createTournament,
+    register,
+    unregister,
+    beginFunding,
+    reopenRegistration,
+    cancel,
+    start,
+    recordMatchResult,
+    recordSettlement,
+    getMatchByRoom,
+    formatTournament,
+    listTournaments
+  };
+}
@@ -0,0 +1,49 @@
+/**
+ * Asset amount helpers for stakes and app session allocations
+ */
+import { ethers } from 'ethers';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+// Decimal precision of every asset a room can be staked in
+export const ASSET_DECIMALS = {
+  usdc: 6
+};
+
+// Stake used when the host does not choose one
+export const DEFAULT_ASSET = 'usdc';
+export const DEFAULT_STAKE = '0.01';
+
+// Upper bound for a single player's stake (in asset units)
+export const MAX_STAKE = process.env.MAX_STAKE || '100';
+
+/**
+ * Checks whether an asset can be used for stakes
+ * @param {string} asset - Asset symbol
+ * @returns {boolean} True if the asset is supported
+ */
+export function isSupportedAsset(asset) {
+  return typeof asset === 'string' && Object.hasOwn(ASSET_DECIMALS, asset);
+}
+
+/**
+ * Converts a decimal amount string into the asset's smallest units
+ * @param {string} amount - Decimal amount (e.g. '0.01')
+ * @param {string} asset - Asset symbol
+ * @returns {bigint} Amount in smallest units
+ */
+export function parseAmount(amount, asset) {
+  return ethers.parseUnits(String(amount), ASSET_DECIMALS[asset]);
+}
+
+/**
+ * Converts an amount in smallest units back into a decimal string
+ * @param {bigint} units - Amount in smallest units
+ * @param {string} asset - Asset symbol
+ * @returns {string} Decimal amount without a trailing '.0'
+ */
+export function formatAmount(units, asset) {
+  return ethers.formatUnits(units, ASSET_DECIMALS[asset]).replace(/\.0$/, '');
+}
@@ -1,6 +1,18 @@
 /**
  * Validators for game inputs
  */
+import { ASSET_DECIMALS, DEFAULT_ASSET, MAX_STAKE, isSupportedAsset, parseAmount } from './amounts.js';
+import { getGameTypes, hasGameEngine } from '../services/gameEngines.js';
+import { LEADERBOARD_SORTS, LEADERBOARD_WINDOWS, MAX_LEADERBOARD_LIMIT } from '../services/leaderboard.js';
+import { ROOM_MODES, SERIES_LENGTHS } from '../services/roomManager.js';
+import { MAX_TOURNAMENT_PLAYERS, TOURNAMENT_FORMATS } from '../services/tournaments.js';
+import { BOT_DIFFICULTIES } from '../services/botPlayer.js';
+
+// Most guests a host can invite to a private room
+const MAX_ALLOWED_GUESTS = 20;
+
+// Longest tournament name
+const MAX_TOURNAMENT_NAME_LENGTH = 40;
 
 /**
  * Validates Ethereum address format
@@ -24,13 +36,44 @@ export function isValidRoomId(roomId) {
     && /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(roomId);
 }
 
+/**
+ * Validates a private room join code
+ * @param {string} joinCode - Join code to validate
+ * @returns {boolean} True if the code has six letters or digits from the join code alphabet (any case)
+ */
+export function isValidJoinCode(joinCode) {
+  return typeof joinCode === 'string'
+    && /^[A-HJKMNP-Z2-9]{6}$/i.test(joinCode);
+}
+
 /**
  * Validates move position format
- * @param {number} pos - Position on the board (0-8)
- * @returns {boolean} True if the position is valid
+ * Range checks are left to the room's game engine, since board sizes differ per game
+ * @param {number} pos - Position on the board
+ * @returns {boolean} True if the position is a non-negative integer
  */
 export function isValidPosition(pos) {
-  return Number.isInteger(pos) && pos >= 0 && pos <= 8;
+  return Number.isInteger(pos) && pos >= 0;
+}
+
+/**
+ * Validates a stake amount for the given asset
+ * @param {string} stake - Decimal stake amount per player (e.g. '0.01')
+ * @param {string} asset - Asset symbol
+ * @returns {boolean} True if the stake is positive, within MAX_STAKE and not more precise than the asset
+ */
+export function isValidStake(stake, asset) {
+  if (typeof stake !== 'string' || !isSupportedAsset(asset)) {
+    return false;
+  }
+
+  const match = /^\d+(?:\.(\d+))?$/.exec(stake);
+  if (!match || (match[1] && match[1].length > ASSET_DECIMALS[asset])) {
+    return false;
+  }
+
+  const units = parseAmount(stake, asset);
+  return units > 0n && units <= parseAmount(MAX_STAKE, asset);
 }
 
 /**
@@ -38,6 +81,16 @@ export function isValidPosition(pos) {
  * @param {object} payload - The payload to validate
  * @param {string} payload.roomId - Room ID
  * @param {string} payload.eoa - Ethereum address
+ * @param {string} [payload.stake] - Stake per player, only when creating a room
+ * @param {string} [payload.asset] - Stake asset, only when creating a room
+ * @param {string} [payload.gameType] - Game engine key, only when creating a room
+ * @param {boolean} [payload.isPrivate] - Hide the room and give it a join code, only when creating a room
+ * @param {Array<string>} [payload.allowedGuests] - EOAs allowed to join as guest, only when creating a room
+ * @param {number} [payload.bestOf] - Games in a series settled by one app session, only when creating a room
+ * @param {string} [payload.mode] - 'staked' (default) or 'free' to play without stake or app session, only when creating a room
+ * @param {boolean} [payload.practice] - Play a bot in a free room, only when creating a room
+ * @param {string} [payload.botDifficulty] - Difficulty of the practice bot
+ * @param {string} [payload.joinCode] - Join code of a private room, instead of roomId
  * @returns {object} Validation result with success flag and optional error message
  */
 export function validateJoinRoomPayload(payload) {
@@ -55,12 +108,75 @@ export function validateJoinRoomPayload(payload) {
   }
 
   // Room ID validation
-  // If roomId is undefined, we're creating a new room
-  // If roomId is provided, we're joining an existing room
-  if (payload.roomId === undefined) {
-    // Creating a new room - no further validation needed
+  // If roomId and joinCode are undefined, we're creating a new room
+  // If either is provided, we're joining an existing room
+  if (payload.roomId === undefined && payload.joinCode === undefined) {
+    // Creating a new room - validate the optional stake settings
+    if (payload.asset !== undefined && !isSupportedAsset(payload.asset)) {
+      return { success: false, error: `Unsupported asset (supported: ${Object.keys(ASSET_DECIMALS).join(', ')})` };
+    }
+
+    if (payload.gameType !== undefined && !hasGameEngine(payload.gameType)) {
+      return { success: false, error: `Unknown game type (supported: ${getGameTypes().join(', ')})` };
+    }
+
+    if (payload.stake !== undefined && !isValidStake(payload.stake, payload.asset || DEFAULT_ASSET)) {
+      return { success: false, error: `Invalid stake (must be a positive decimal string up to ${MAX_STAKE})` };
+    }
+
+    if (payload.bestOf !== undefined && !SERIES_LENGTHS.includes(payload.bestOf)) {
+      return { success: false, error: `bestOf must be one of ${SERIES_LENGTHS.join(', ')}` };
+    }
+
+    if (payload.isPrivate !== undefined && typeof payload.isPrivate !== 'boolean') {
+      return { success: false, error: 'isPrivate must be a boolean' };
+    }
+
+    if (payload.allowedGuests !== undefined) {
+      if (!Array.isArray(payload.allowedGuests) || payload.allowedGuests.length === 0
+        || payload.allowedGuests.length > MAX_ALLOWED_GUESTS) {
+        return { success: false, error: `allowedGuests must list 1 to ${MAX_ALLOWED_GUESTS} addresses` };
+      }
+
+      if (!payload.allowedGuests.every(isValidEthereumAddress)) {
+        return { success: false, error: 'Invalid Ethereum address in allowedGuests' };
+      }
+    }
+
+    if (payload.mode !== undefined && !ROOM_MODES.includes(payload.mode)) {
+      return { success: false, error: `mode must be one of ${ROOM_MODES.join(', ')}` };
+    }
+
+    if (payload.mode === 'free' && payload.stake !== undefined) {
+      return { success: false, error: 'Free rooms have no stake' };
+    }
+
+    if (payload.practice !== undefined && typeof payload.practice !== 'boolean') {
+      return { success: false, error: 'practice must be a boolean' };
+    }
+
+    if (payload.botDifficulty !== undefined && !Object.hasOwn(BOT_DIFFICULTIES, payload.botDifficulty)) {
+      return { success: false, error: `botDifficulty must be one of ${Object.keys(BOT_DIFFICULTIES).join(', ')}` };
+    }
+
+    // Practice rooms are free rooms filled by a bot, so nobody else can be invited
+    if (payload.practice && (payload.isPrivate || payload.allowedGuests !== undefined)) {
+      return { success: false, error: 'Practice rooms cannot be private or invite guests' };
+    }
+
+    if (payload.practice && (payload.mode === 'staked' || payload.stake !== undefined)) {
+      return { success: false, error: 'Practice rooms are free rooms without stake' };
+    }
+
     console.log("Creating new room");
     return { success: true, isCreating: true };
+  } else if (payload.roomId === undefined) {
+    // Joining a private room by its code
+    if (!isValidJoinCode(payload.joinCode)) {
+      return { success: false, error: 'Invalid join code format' };
+    }
+    console.log("Joining room by code:", payload.joinCode);
+    return { success: true, isJoining: true };
   } else {
     // Joining a room - validate room ID 
     if (!isValidRoomId(payload.roomId)) {
@@ -71,11 +187,191 @@ export function validateJoinRoomPayload(payload) {
   }
 }
 
+/**
+ * Validates rejoin room payload
+ * @param {object} payload - The payload to validate
+ * @param {string} payload.roomId - Room ID the player holds a seat in
+ * @param {string} payload.eoa - Ethereum address
+ * @returns {object} Validation result with success flag and optional error message
+ */
+export function validateRejoinRoomPayload(payload) {
+  if (!payload || typeof payload !== 'object') {
+    return { success: false, error: 'Invalid payload format' };
+  }
+
+  if (!payload.eoa) {
+    return { success: false, error: 'Ethereum address is required' };
+  }
+
+  if (!isValidEthereumAddress(payload.eoa)) {
+    return { success: false, error: 'Invalid Ethereum address format' };
+  }
+
+  if (!payload.roomId) {
+    return { success: false, error: 'Room ID is required' };
+  }
+
+  if (!isValidRoomId(payload.roomId)) {
+    return { success: false, error: 'Invalid room ID format' };
+  }
+
+  return { success: true };
+}
+
+/**
+ * Validates get profile payload
+ * @param {object} payload - The payload to validate
+ * @param {string} payload.eoa - Address whose profile is requested
+ * @returns {object} Validation result with success flag and optional error message
+ */
+export function validateGetProfilePayload(payload) {
+  if (!payload || typeof payload !== 'object') {
+    return { success: false, error: 'Invalid payload format' };
+  }
+
+  if (!payload.eoa) {
+    return { success: false, error: 'Ethereum address is required' };
+  }
+
+  if (!isValidEthereumAddress(payload.eoa)) {
+    return { success: false, error: 'Invalid Ethereum address format' };
+  }
+
+  return { success: true };
+}
+
+/**
+ * Validates get fee report payload
+ * @param {object} [payload] - The payload to validate
+ * @param {number} [payload.since] - Earliest collection time to include (ms since epoch)
+ * @returns {object} Validation result with success flag and optional error message
+ */
+export function validateGetFeeReportPayload(payload) {
+  if (payload === undefined) {
+    return { success: true };
+  }
+
+  if (!payload || typeof payload !== 'object') {
+    return { success: false, error: 'Invalid payload format' };
+  }
+
+  if (payload.since !== undefined && !(Number.isInteger(payload.since) && payload.since >= 0)) {
+    return { success: false, error: 'since must be a non-negative timestamp in milliseconds' };
+  }
+
+  return { success: true };
+}
+
+/**
+ * Validates recovery resolve payload
+ * @param {object} payload - The payload to validate
+ * @param {string} payload.appId - App session to close
+ * @param {Array<string>} [payload.allocations] - Decimal amounts, players in session order and then the server
+ * @returns {object} Validation result with success flag and optional error message
+ */
+export function validateRecoveryResolvePayload(payload) {
+  if (!payload || typeof payload !== 'object') {
+    return { success: false, error: 'Invalid payload format' };
+  }
+
+  if (typeof payload.appId !== 'string' || !/^0x[0-9a-fA-F]+$/.test(payload.appId)) {
+    return { success: false, error: 'App session ID must be a hex string' };
+  }
+
+  if (payload.allocations !== undefined) {
+    if (!Array.isArray(payload.allocations) || payload.allocations.length === 0) {
+      return { success: false, error: 'allocations must be a list of amounts' };
+    }
+
+    if (!payload.allocations.every(amount => typeof amount === 'string' && /^\d+(\.\d+)?$/.test(amount))) {
+      return { success: false, error: 'Every allocation must be a non-negative decimal string' };
+    }
+  }
+
+  return { success: true };
+}
+
+/**
+ * Validates get leaderboard payload
+ * @param {object} [payload] - The payload to validate
+ * @param {string} [payload.window] - 'daily', 'weekly' or 'all-time'
+ * @param {string} [payload.sortBy] - 'rating', 'wins' or 'netWon'
+ * @param {string} [payload.asset] - Asset net winnings are counted in
+ * @param {number} [payload.offset] - Entries to skip
+ * @param {number} [payload.limit] - Entries to return
+ * @returns {object} Validation result with success flag and optional error message
+ */
+export function validateGetLeaderboardPayload(payload) {
+  if (payload === undefined) {
+    return { success: true };
+  }
+
+  if (!payload || typeof payload !== 'object') {
+    return { success: false, error: 'Invalid payload format' };
+  }
+
+  if (payload.window !== undefined && !Object.hasOwn(LEADERBOARD_WINDOWS, payload.window)) {
+    return { success: false, error: `Invalid window (supported: ${Object.keys(LEADERBOARD_WINDOWS).join(', ')})` };
+  }
+
+  if (payload.sortBy !== undefined && !LEADERBOARD_SORTS.includes(payload.sortBy)) {
+    return { success: false, error: `Invalid sort (supported: ${LEADERBOARD_SORTS.join(', ')})` };
+  }
+
+  if (payload.asset !== undefined && !isSupportedAsset(payload.asset)) {
+    return { success: false, error: `Unsupported asset (supported: ${Object.keys(ASSET_DECIMALS).join(', ')})` };
+  }
+
+  if (payload.offset !== undefined && !(Number.isInteger(payload.offset) && payload.offset >= 0)) {
+    return { success: false, error: 'Offset must be a non-negative integer' };
+  }
+
+  if (payload.limit !== undefined && !(Number.isInteger(payload.limit) && payload.limit > 0 && payload.limit <= MAX_LEADERBOARD_LIMIT)) {
+    return { success: false, error: `Limit must be an integer between 1 and ${MAX_LEADERBOARD_LIMIT}` };
+  }
+
+  return { success: true };
+}
+
+/**
+ * Validates matchmaking queue payload
+ * The queued player is always the connection's authenticated wallet.
+ * @param {object} payload - The payload to validate
+ * @param {string} [payload.stake] - Stake per player
+ * @param {string} [payload.asset] - Stake asset
+ * @param {string} [payload.gameType] - Game engine key
+ * @returns {object} Validation result with success flag and optional error message
+ */
+export function validateQueueJoinPayload(payload) {
+  if (payload === undefined) {
+    return { success: true };
+  }
+
+  if (!payload || typeof payload !== 'object') {
+    return { success: false, error: 'Invalid payload format' };
+  }
+
+  if (payload.asset !== undefined && !isSupportedAsset(payload.asset)) {
+    return { success: false, error: `Unsupported asset (supported: ${Object.keys(ASSET_DECIMALS).join(', ')})` };
+  }
+
+  if (payload.gameType !== undefined && !hasGameEngine(payload.gameType)) {
+    return { success: false, error: `Unknown game type (supported: ${getGameTypes().join(', ')})` };
+  }
+
+  if (payload.stake !== undefined && !isValidStake(payload.stake, payload.asset || DEFAULT_ASSET)) {
+    return { success: false, error: `Invalid stake (must be a positive decimal string up to ${MAX_STAKE})` };
+  }
+
+  return { success: true };
+}
+
 /**
  * Validates move payload
  * @param {object} payload - The payload to validate
  * @param {string} payload.roomId - Room ID
- * @param {number} payload.pos - Position on the board (0-8)
+ * @param {number} payload.pos - Position on the board
+ * @param {string} payload.signature - Player's signature over (roomId, seq, pos)
  * @returns {object} Validation result with success flag and optional error message
  */
 export function validateMovePayload(payload) {
@@ -96,8 +392,210 @@ export function validateMovePayload(payload) {
   }
 
   if (!isValidPosition(payload.pos)) {
-    return { success: false, error: 'Invalid position format (must be 0-8)' };
+    return { success: false, error: 'Invalid position format (must be a non-negative integer)' };
+  }
+
+  if (typeof payload.signature !== 'string' || !/^0x[a-fA-F0-9]+$/.test(payload.signature)) {
+    return { success: false, error: 'Move signature must be a hex string' };
+  }
+
+  return { success: true };
+}
+
+/**
+ * Validates the payload of an action on a game in a room (resign, offerDraw, rematch)
+ * @param {object} payload - The payload to validate
+ * @param {string} payload.roomId - Room ID
+ * @returns {object} Validation result with success flag and optional error message
+ */
+export function validateGameActionPayload(payload) {
+  if (!payload || typeof payload !== 'object') {
+    return { success: false, error: 'Invalid payload format' };
+  }
+
+  if (!payload.roomId) {
+    return { success: false, error: 'Room ID is required' };
+  }
+
+  if (!isValidRoomId(payload.roomId)) {
+    return { success: false, error: 'Invalid room ID format' };
+  }
+
+  return { success: true };
+}
+
+/**
+ * Validates spectate room payload
+ * @param {object} payload - The payload to validate
+ * @param {string} payload.roomId - Room ID
+ * @param {string} [payload.joinCode] - Join code of a private room
+ * @returns {object} Validation result with success flag and optional error message
+ */
+export function validateSpectatePayload(payload) {
+  const validation = validateGameActionPayload(payload);
+  if (!validation.success) {
+    return validation;
+  }
+
+  if (payload.joinCode !== undefined && !isValidJoinCode(payload.joinCode)) {
+    return { success: false, error: 'Invalid join code format' };
+  }
+
+  return { success: true };
+}
+
+/**
+ * Validates respond draw payload
+ * @param {object} payload - The payload to validate
+ * @param {string} payload.roomId - Room ID
+ * @param {boolean} payload.accept - Whether the draw offer is accepted
+ * @returns {object} Validation result with success flag and optional error message
+ */
+export function validateRespondDrawPayload(payload) {
+  const validation = validateGameActionPayload(payload);
+  if (!validation.success) {
+    return validation;
+  }
+
+  if (typeof payload.accept !== 'boolean') {
+    return { success: false, error: 'Accept must be a boolean' };
+  }
+
+  return { success: true };
+}
+
+/**
+ * Validates create tournament payload
+ * @param {object} payload - The payload to validate
+ * @param {string} payload.format - 'single-elimination' or 'round-robin'
+ * @param {number} payload.maxPlayers - Player cap
+ * @param {string} [payload.name] - Display name
+ * @param {string} [payload.entryStake] - Amount every player puts into the prize pool
+ * @param {string} [payload.asset] - Asset of the entry stake
+ * @param {string} [payload.gameType] - Game engine key
+ * @param {number} [payload.bestOf] - Games per match
+ * @returns {object} Validation result with success flag and optional error message
+ */
+export function validateCreateTournamentPayload(payload) {
+  if (!payload || typeof payload !== 'object') {
+    return { success: false, error: 'Invalid payload format' };
+  }
+
+  if (!TOURNAMENT_FORMATS.includes(payload.format)) {
+    return { success: false, error: `format must be one of ${TOURNAMENT_FORMATS.join(', ')}` };
+  }
+
+  if (!Number.isInteger(payload.maxPlayers) || payload.maxPlayers < 2 || payload.maxPlayers > MAX_TOURNAMENT_PLAYERS) {
+    return { success: false, error: `maxPlayers must be an integer from 2 to ${MAX_TOURNAMENT_PLAYERS}` };
+  }
+
+  if (payload.name !== undefined
+    && (typeof payload.name !== 'string' || !payload.name.trim() || payload.name.length > MAX_TOURNAMENT_NAME_LENGTH)) {
+    return { success: false, error: `name must be 1 to ${MAX_TOURNAMENT_NAME_LENGTH} characters` };
+  }
+
+  if (payload.asset !== undefined && !isSupportedAsset(payload.asset)) {
+    return { success: false, error: `Unsupported asset (supported: ${Object.keys(ASSET_DECIMALS).join(', ')})` };
+  }
+
+  if (payload.gameType !== undefined && !hasGameEngine(payload.gameType)) {
+    return { success: false, error: `Unknown game type (supported: ${getGameTypes().join(', ')})` };
+  }
+
+  if (payload.entryStake !== undefined && !isValidStake(payload.entryStake, payload.asset || DEFAULT_ASSET)) {
+    return { success: false, error: `Invalid entry stake (must be a positive decimal string up to ${MAX_STAKE})` };
+  }
+
+  if (payload.bestOf !== undefined && !SERIES_LENGTHS.includes(payload.bestOf)) {
+    return { success: false, error: `bestOf must be one of ${SERIES_LENGTHS.join(', ')}` };
+  }
+
+  return { success: true };
+}
+
+/**
+ * Validates the payload of an action on a tournament (register, unregister, start, getTournament)
+ * @param {object} payload - The payload to validate
+ * @param {string} payload.tournamentId - Tournament ID
+ * @returns {object} Validation result with success flag and optional error message
+ */
+export function validateTournamentActionPayload(payload) {
+  if (!payload || typeof payload !== 'object') {
+    return { success: false, error: 'Invalid payload format' };
+  }
+
+  if (!payload.tournamentId) {
+    return { success: false, error: 'Tournament ID is required' };
+  }
+
+  if (!isValidRoomId(payload.tournamentId)) {
+    return { success: false, error: 'Invalid tournament ID format' };
+  }
+
+  return { success: true };
+}
+
+/**
+ * Validates tournament prize pool signature payload
+ * @param {object} payload - The payload to validate
+ * @param {string} payload.tournamentId - Tournament ID
+ * @param {string} payload.signature - Player's signature over the prize pool app session request
+ * @returns {object} Validation result with success flag and optional error message
+ */
+export function validateTournamentSignaturePayload(payload) {
+  const validation = validateTournamentActionPayload(payload);
+  if (!validation.success) {
+    return validation;
+  }
+
+  if (typeof payload.signature !== 'string' || !/^0x[a-fA-F0-9]+$/.test(payload.signature)) {
+    return { success: false, error: 'Signature must be a hex string' };
+  }
+
+  return { success: true };
+}
+
+/**
+ * Validates auth request payload
+ * @param {object} payload - The payload to validate
+ * @param {string} payload.address - Wallet address to authenticate
+ * @param {string} [payload.sessionKey] - Session key address the wallet delegates signing to
+ * @returns {object} Validation result with success flag and optional error message
+ */
+export function validateAuthRequestPayload(payload) {
+  if (!payload || typeof payload !== 'object') {
+    return { success: false, error: 'Invalid payload format' };
+  }
+
+  if (!payload.address) {
+    return { success: false, error: 'Wallet address is required' };
+  }
+
+  if (!isValidEthereumAddress(payload.address)) {
+    return { success: false, error: 'Invalid wallet address format' };
+  }
+
+  if (payload.sessionKey !== undefined && !isValidEthereumAddress(payload.sessionKey)) {
+    return { success: false, error: 'Invalid session key address format' };
+  }
+
+  return { success: true };
+}
+
+/**
+ * Validates auth verify payload
+ * @param {object} payload - The payload to validate
+ * @param {string} payload.signature - Wallet signature of the challenge
+ * @returns {object} Validation result with success flag and optional error message
+ */
+export function validateAuthVerifyPayload(payload) {
+  if (!payload || typeof payload !== 'object') {
+    return { success: false, error: 'Invalid payload format' };
+  }
+
+  if (typeof payload.signature !== 'string' || !/^0x[a-fA-F0-9]+$/.test(payload.signature)) {
+    return { success: false, error: 'Signature must be a hex string' };
   }
 
   return { success: true };
-}
\ No newline at end of file
+}
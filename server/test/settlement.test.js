@@ -0,0 +1,142 @@
+/**
+ * Tests for the settlement of app sessions
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getPayouts, settle } from '../src/services/settlement.js';
+import { createFeeManager, parseFeeSetting } from '../src/services/fees.js';
+import { createMemoryStorage } from '../src/services/storage.js';
+
+const HOST = '0x1111111111111111111111111111111111111111';
+const GUEST = '0x2222222222222222222222222222222222222222';
+const THIRD = '0x3333333333333333333333333333333333333333';
+
+/**
+ * Builds the fee function of a fee manager charging a single usdc setting
+ * @param {string} value - Fee setting as configured (e.g. '2.5%' or '0.001')
+ * @returns {function(bigint, string): bigint} Fee owed on a pot
+ */
+function feeOf(value) {
+  return createFeeManager({
+    storage: createMemoryStorage(),
+    schedule: { usdc: parseFeeSetting(value, 'usdc') }
+  }).computeFee;
+}
+
+describe('getPayouts', () => {
+  it('pays the whole pot to the winner', () => {
+    const payouts = getPayouts({ players: [HOST, GUEST], winners: [HOST], stake: '0.01', asset: 'usdc' });
+    assert.deepEqual(payouts, { [HOST]: '0.02', [GUEST]: '0' });
+  });
+
+  it('returns every stake on a draw', () => {
+    const payouts = getPayouts({ players: [HOST, GUEST], winners: [], stake: '0.01', asset: 'usdc' });
+    assert.deepEqual(payouts, { [HOST]: '0.01', [GUEST]: '0.01' });
+  });
+
+  it('gives the remainder of an uneven split to the first winner', () => {
+    const payouts = getPayouts({ players: [HOST, GUEST, THIRD], winners: [GUEST, HOST], stake: '0.000001', asset: 'usdc' });
+    assert.deepEqual(payouts, { [HOST]: '0.000001', [GUEST]: '0.000002', [THIRD]: '0' });
+  });
+
+  it('pays nothing out of a zero pot', () => {
+    const payouts = getPayouts({ players: [HOST, GUEST], winners: [HOST], stake: '0', asset: 'usdc' });
+    assert.deepEqual(payouts, { [HOST]: '0', [GUEST]: '0' });
+  });
+});
+
+describe('settle', () => {
+  it('allocates a win to the winner and nothing to the server without a fee', () => {
+    const settlement = settle({
+      participants: [HOST, GUEST],
+      payouts: getPayouts({ players: [HOST, GUEST], winners: [GUEST], stake: '0.01', asset: 'usdc' }),
+      asset: 'usdc'
+    });
+
+    assert.deepEqual(settlement, {
+      allocations: ['0', '0.02', '0'],
+      payouts: { [HOST]: '0', [GUEST]: '0.02' },
+      fee: '0',
+      pot: '0.02'
+    });
+  });
+
+  it('takes a percentage fee from the winner', () => {
+    const settlement = settle({
+      participants: [HOST, GUEST],
+      payouts: { [HOST]: '0.02', [GUEST]: '0' },
+      asset: 'usdc',
+      computeFee: feeOf('2.5%')
+    });
+
+    assert.deepEqual(settlement.allocations, ['0.0195', '0', '0.0005']);
+    assert.equal(settlement.fee, '0.0005');
+  });
+
+  it('splits the fee of a draw evenly', () => {
+    const settlement = settle({
+      participants: [HOST, GUEST],
+      payouts: getPayouts({ players: [HOST, GUEST], winners: [], stake: '0.01', asset: 'usdc' }),
+      asset: 'usdc',
+      computeFee: feeOf('2.5%')
+    });
+
+    assert.deepEqual(settlement.payouts, { [HOST]: '0.00975', [GUEST]: '0.00975' });
+    assert.equal(settlement.fee, '0.0005');
+  });
+
+  it('rounds a percentage fee down and takes leftover units from the largest payout', () => {
+    // 50% of a 3-unit pot is 1.5 units, charged as 1; proportional shares round to 0
+    const settlement = settle({
+      participants: [HOST, GUEST, THIRD],
+      payouts: { [HOST]: '0.000001', [GUEST]: '0.000002', [THIRD]: '0' },
+      asset: 'usdc',
+      computeFee: feeOf('50%')
+    });
+
+    assert.deepEqual(settlement.allocations, ['0.000001', '0.000001', '0', '0.000001']);
+    assert.equal(settlement.pot, '0.000003');
+  });
+
+  it('takes leftover units of a flat fee from the first of equal payouts', () => {
+    // A 3-unit fee on two 5-unit refunds deducts 1 unit each, plus 1 left over
+    const settlement = settle({
+      participants: [HOST, GUEST],
+      payouts: { [HOST]: '0.000005', [GUEST]: '0.000005' },
+      asset: 'usdc',
+      computeFee: feeOf('0.000003')
+    });
+
+    assert.deepEqual(settlement.allocations, ['0.000003', '0.000004', '0.000003']);
+  });
+
+  it('caps a flat fee at the pot', () => {
+    const settlement = settle({
+      participants: [HOST, GUEST],
+      payouts: { [HOST]: '0.01', [GUEST]: '0.01' },
+      asset: 'usdc',
+      computeFee: feeOf('1')
+    });
+
+    assert.deepEqual(settlement.allocations, ['0', '0', '0.02']);
+    assert.equal(settlement.fee, '0.02');
+  });
+
+  it('settles a zero pot without a fee', () => {
+    for (const value of ['2.5%', '0.001']) {
+      const settlement = settle({
+        participants: [HOST, GUEST],
+        payouts: getPayouts({ players: [HOST, GUEST], winners: [HOST], stake: '0', asset: 'usdc' }),
+        asset: 'usdc',
+        computeFee: feeOf(value)
+      });
+
+      assert.deepEqual(settlement, {
+        allocations: ['0', '0', '0'],
+        payouts: { [HOST]: '0', [GUEST]: '0' },
+        fee: '0',
+        pot: '0'
+      });
+    }
+  });
+});